@@ -0,0 +1,120 @@
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+import fs from 'fs';
+import { parseTab } from './parseTab.js';
+import { roundTripTab } from './musicXml.js';
+import { tokenizeTab, getTabPositionNotes } from '../src/utils/tabTechniques.js';
+import { GUITAR_PRO_EXTENSIONS, parseGuitarProFile } from '../src/utils/guitarPro.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Directory of example tabs (name.txt) and their expected tab documents (name.json), and of example
+ * Guitar Pro files (e.g., name.gp5) and their expected songs (name.gp5.json)
+ */
+const EXAMPLES_DIR = join(__dirname, '..', 'examples');
+
+/**
+ * Serializes a tab document the way golden files are written
+ * @param {Object} document - Tab document from parseTab (or a song from parseGuitarProFile)
+ * @returns {string} - Indented JSON with a trailing newline
+ */
+export function serializeDocument(document) {
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Compares output with its golden file, or rewrites the golden file
+ * @param {string} goldenName - File name of the golden file in the examples directory
+ * @param {string} output - Serialized output
+ * @param {boolean} update - Rewrite the golden file instead of comparing
+ * @returns {boolean} - Whether the output matches (always true when updating)
+ */
+function compareGoldenFile(goldenName, output, update) {
+  const goldenPath = join(EXAMPLES_DIR, goldenName);
+  if (update) {
+    fs.writeFileSync(goldenPath, output);
+    console.log(`Updated ${goldenName}`);
+    return true;
+  }
+  if (!fs.existsSync(goldenPath) || fs.readFileSync(goldenPath, 'utf-8') !== output) {
+    console.error(`${goldenName}: output differs`);
+    return false;
+  }
+  console.log(`${goldenName}: ok`);
+  return true;
+}
+
+/**
+ * Finds the positions playback would skip or not mute: the transport plays the notes getTabPositionNotes gives
+ * for each step, and playTabNotes mutes the strings of notes without a fret
+ * @param {Object} document - Tab document from parseTab
+ * @returns {Array<number>} - Indexes of the positions that get no step, or whose dead notes aren't muted
+ */
+export function findUnplayedPositions(document) {
+  const events = tokenizeTab(document.ribbon, document.tracks.palmMute);
+  return document.positions
+    .filter(position => {
+      const step = getTabPositionNotes(document.ribbon, position, events, document.tuning.strings, document.metadata.capo);
+      return !step || step.deadNotes.length !== position.deadNotes.length || step.deadNotes.some(note => note.fret !== null);
+    })
+    .map(position => position.index);
+}
+
+/**
+ * Parses every example tab and compares it with its golden file, and checks that every position is played
+ * (muted strums included) and that exporting it to MusicXML and importing it back keeps every note; then
+ * decodes every example Guitar Pro file and compares the song with its golden file
+ * @param {boolean} update - Rewrite the golden files instead of comparing
+ * @returns {Array<string>} - Names of the examples whose output differs from their golden file, that have
+ *   positions playback skips, or whose MusicXML round trip changes notes
+ */
+export function checkGoldenFiles(update = false) {
+  const mismatches = [];
+  const files = fs.readdirSync(EXAMPLES_DIR).sort();
+
+  for (const file of files.filter(name => name.endsWith('.txt'))) {
+    const name = basename(file, '.txt');
+    const tabText = fs.readFileSync(join(EXAMPLES_DIR, file), 'utf-8');
+    const document = parseTab(tabText);
+
+    if (!compareGoldenFile(`${name}.json`, serializeDocument(document), update)) {
+      mismatches.push(name);
+    }
+
+    const unplayed = findUnplayedPositions(document);
+    if (unplayed.length > 0) {
+      mismatches.push(name);
+      console.error(`${name}: playback skips or doesn't mute steps ${unplayed.map(index => index + 1).join(', ')}`);
+    }
+
+    const { mismatches: roundTripMismatches } = roundTripTab(tabText);
+    if (roundTripMismatches.length > 0) {
+      mismatches.push(name);
+      console.error(`${name}: ${roundTripMismatches.length} steps change notes in a MusicXML round trip`);
+    } else {
+      console.log(`${name}: MusicXML round trip ok`);
+    }
+  }
+
+  for (const file of files.filter(name => GUITAR_PRO_EXTENSIONS.some(extension => name.endsWith(extension)))) {
+    const song = parseGuitarProFile(fs.readFileSync(join(EXAMPLES_DIR, file)));
+    if (!compareGoldenFile(`${file}.json`, serializeDocument(song), update)) {
+      mismatches.push(file);
+    }
+  }
+
+  return mismatches;
+}
+
+// CLI usage
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const mismatches = checkGoldenFiles(process.argv.includes('--update'));
+  if (mismatches.length > 0) {
+    console.error('\nRun "node scripts/checkGolden.js --update" if a golden file change is intended, or');
+    console.error('"node scripts/musicXml.js roundtrip <tab_file>" to list the notes a round trip changes.');
+    process.exit(1);
+  }
+}
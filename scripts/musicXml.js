@@ -0,0 +1,91 @@
+import { fileURLToPath } from 'url';
+import { parseTab } from './parseTab.js';
+import { parseTabDocument } from '../src/utils/tabDocument.js';
+import { exportMusicXml, parseMusicXml } from '../src/utils/musicXml.js';
+import { renderSongTrack } from '../src/utils/songTab.js';
+
+/**
+ * Loads a part of a MusicXML score as a tab document (the way the app imports it)
+ * @param {string} text - MusicXML text
+ * @param {number} trackIndex - Index of the part (default: the first part that isn't percussion)
+ * @returns {Object} - {text: tab text written for the part, document: tab document from parseTabDocument}
+ */
+export function importMusicXml(text, trackIndex = null) {
+  const song = parseMusicXml(text);
+  const index = trackIndex ?? song.tracks.findIndex(track => !track.isPercussion);
+  const track = song.tracks[index];
+  if (!track) {
+    throw new Error('The score has no part to write as tab');
+  }
+  const rendered = renderSongTrack(song, index);
+  return {
+    text: rendered.text,
+    document: parseTabDocument(rendered.text, { stringCount: track.tuning.length, tuningOverride: track.tuning, durations: rendered.durations }),
+  };
+}
+
+/**
+ * Lists the notes of a tab document, one line per position, for comparing documents
+ * @param {Object} document - Tab document
+ * @returns {Array<string>} - Each position's strings and tab frets (e.g., '1:3 2:4'; x for a dead note)
+ */
+function listNotes(document) {
+  return document.positions.map(position => [
+    ...position.notes.map(note => `${note.stringIndex}:${note.tabFret}`),
+    ...position.deadNotes.map(note => `${note.stringIndex}:x`),
+  ].sort().join(' '));
+}
+
+/**
+ * Exports a tab to MusicXML and imports it back
+ * @param {string} tabText - The monospaced tab text
+ * @returns {Object} - {musicXml, original, roundTrip (tab documents), mismatches: positions whose notes differ,
+ *   as {index, expected, actual}}
+ */
+export function roundTripTab(tabText) {
+  const original = parseTab(tabText);
+  const musicXml = exportMusicXml(original);
+  const roundTrip = importMusicXml(musicXml).document;
+
+  const expected = listNotes(original);
+  const actual = listNotes(roundTrip);
+  const mismatches = [];
+  for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+    if (expected[index] !== actual[index]) {
+      mismatches.push({ index, expected: expected[index] ?? null, actual: actual[index] ?? null });
+    }
+  }
+  return { musicXml, original, roundTrip, mismatches };
+}
+
+// CLI usage
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  import('fs').then(fs => {
+    const [command, filePath] = process.argv.slice(2);
+    if (!['export', 'import', 'roundtrip'].includes(command) || !filePath) {
+      console.error('Usage: node musicXml.js <export|import|roundtrip> <file_path>');
+      console.error('  export     print a tab file as MusicXML');
+      console.error('  import     print a MusicXML file\'s first part as tab');
+      console.error('  roundtrip  export a tab file and import it back, listing notes that changed');
+      process.exit(1);
+    }
+
+    const text = fs.readFileSync(filePath, 'utf-8');
+    if (command === 'export') {
+      process.stdout.write(exportMusicXml(parseTab(text)));
+    } else if (command === 'import') {
+      process.stdout.write(importMusicXml(text).text);
+    } else {
+      const { original, mismatches } = roundTripTab(text);
+      mismatches.forEach(({ index, expected, actual }) => {
+        console.log(`Step ${index + 1}: expected "${expected}", got "${actual}"`);
+      });
+      console.log(`${original.positions.length - mismatches.length} of ${original.positions.length} steps kept their notes`);
+      if (mismatches.length > 0) process.exit(1);
+    }
+  }).catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
@@ -2,7 +2,7 @@
  * Complete pipeline: fetch tab from Ultimate Guitar, parse it, and extract stepwise data
  */
 import { fetchTabText, cleanTabText } from './fetchTab.js';
-import { parseTab, formatParsedTab } from './parseTab.js';
+import { parseTab, formatParsedTab, parseTuning } from './parseTab.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -12,9 +12,10 @@ const __dirname = dirname(__filename);
 /**
  * Fetches and parses a tab from Ultimate Guitar
  * @param {string} tabUrl - The Ultimate Guitar tab URL
- * @returns {Promise<Object>} - Object containing raw text, cleaned text, and parsed steps
+ * @param {Array<Object>|null} tuning - Open strings, high to low, replacing the tab's own tuning (default: none)
+ * @returns {Promise<Object>} - Object containing raw text, cleaned text, and the parsed tab document
  */
-export async function fetchAndParseTab(tabUrl) {
+export async function fetchAndParseTab(tabUrl, tuning = null) {
   try {
     // Step 1: Fetch the tab text
     console.log(`Fetching tab from: ${tabUrl}`);
@@ -24,13 +25,13 @@ export async function fetchAndParseTab(tabUrl) {
     const cleanedText = cleanTabText(rawText);
     
     // Step 3: Parse the tab
-    const steps = parseTab(cleanedText);
+    const document = parseTab(cleanedText, tuning);
     
     return {
       rawText,
       cleanedText,
-      steps,
-      stepCount: steps.length
+      document,
+      stepCount: document.positions.length
     };
   } catch (error) {
     throw new Error(`Pipeline error: ${error.message}`);
@@ -40,18 +41,22 @@ export async function fetchAndParseTab(tabUrl) {
 // CLI usage
 const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
 if (isMainModule) {
-  const tabUrl = process.argv[2];
+  const args = process.argv.slice(2);
+  const tuningFlagIndex = args.indexOf('--tuning');
+  const tuningText = tuningFlagIndex === -1 ? null : (args.splice(tuningFlagIndex, 2)[1] || '');
+  const tabUrl = args[0];
   if (!tabUrl) {
-    console.error('Usage: node tabPipeline.js <tab_url>');
+    console.error('Usage: node tabPipeline.js <tab_url> [--tuning "D A D G B E"]');
     process.exit(1);
   }
 
-  fetchAndParseTab(tabUrl)
+  Promise.resolve()
+    .then(() => fetchAndParseTab(tabUrl, tuningText === null ? null : parseTuning(tuningText)))
     .then(result => {
       console.log('\n=== CLEANED TAB TEXT ===\n');
       console.log(result.cleanedText);
       console.log('\n=== PARSED STEPWISE DATA ===\n');
-      console.log(formatParsedTab(result.steps));
+      console.log(formatParsedTab(result.document));
       console.log(`\nTotal steps: ${result.stepCount}`);
     })
     .catch(error => {
@@ -1,141 +1,98 @@
 import { useState, useEffect, useMemo, useCallback, useRef, Fragment } from 'react'
 import Fretboard from './Fretboard'
 import TabRibbon from './components/TabRibbon'
-import { KEYS, SCALE_STYLES, getScaleNotes, NOTE_NAMES } from './utils/scales'
-import { getScalePositions, getNoteWithOctaveAtFret, STRING_TUNINGS } from './utils/fretCalculator'
-import { extractTabContent, isValidTabText, findUniqueCharacterPositions } from './utils/parseTabText'
+import { SCALE_GROUPS, getScaleOption, getScaleNotes, getKeyNames, registerUserScales } from './utils/scales'
+import { noteToPitchClass, flattenNote, spellPitchClass } from './utils/spelling'
+import { getScalePositions, getMidiAtFret } from './utils/fretCalculator'
+import { POSITION_SYSTEMS, isPositionSystemAvailable, getShapeCount, getPositionShape } from './utils/positions'
+import { playTabNotes, strumNotes } from './utils/audioPlayback'
+import { generateVoicings } from './utils/voicings'
+import { parseChordSymbol, getChordSymbolNumeral } from './utils/chordSymbols'
+import { identifyChord } from './utils/chordIdentify'
+import { findScales, getTabPitchClasses } from './utils/scaleFinder'
+import { detectKey } from './utils/keyDetection'
+import TuningSelector from './components/TuningSelector'
+import ScaleBuilder from './components/ScaleBuilder'
+import ChordIdentifier from './components/ChordIdentifier'
+import ScaleFinder from './components/ScaleFinder'
+import KeySuggestion from './components/KeySuggestion'
+import TabTransport from './components/TabTransport'
+import MeasureControls from './components/MeasureControls'
+import TabDiagnostics from './components/TabDiagnostics'
+import TabFileImport from './components/TabFileImport'
+import VoicingPanel from './components/VoicingPanel'
+import { loadUserScales, saveUserScales, mergeUserScales, getUserScaleGroup } from './utils/userScales'
+import { INSTRUMENTS, DEFAULT_INSTRUMENT, getInstrument, findInstrumentForStringCount } from './utils/instruments'
+import { formatTuning, isSameTuning } from './utils/tunings'
+import { isValidTabText, parseTabSystems } from './utils/parseTabText'
+import { parseTabDocument } from './utils/tabDocument'
+import { tokenizeTab, getTabPositionNotes } from './utils/tabTechniques'
+import { createTransport, MIN_BPM, MAX_BPM } from './utils/transport'
+import { GUITAR_PRO_EXTENSIONS, parseGuitarProFile } from './utils/guitarPro'
+import { MUSICXML_EXTENSIONS, parseMusicXml, exportMusicXml } from './utils/musicXml'
+import { renderSongTrack } from './utils/songTab'
+import { findAnnotationAt } from './utils/annotations'
 import { getSeventhChordsFromKey, getChordPositions, CHORD_PATTERNS, getChordNotes } from './utils/chords'
 import './App.css'
 
+// Extended, added-tone, augmented and altered flavors (offered with both triads and sevenths)
+const EXTENDED_FLAVORS = ['6', 'add9', '9', '11', '13', 'aug', '7b9', '7#9', '7alt']
+
+// Chord-name suffix of a flavor ('aug' is written '+', the rest as is)
+const getFlavorSuffix = (flavor) => (flavor === 'aug' ? '+' : flavor)
+
 function App() {
   const [selectedKey, setSelectedKey] = useState('C')
+  const [accidentalPreference, setAccidentalPreference] = useState('auto') // 'auto', 'sharps', 'flats'
   const [selectedStyle, setSelectedStyle] = useState('Pentatonic')
   const [numFrets, setNumFrets] = useState(16) // Stored value is 16, displayed as 15
   const [pastedTabText, setPastedTabText] = useState('')
-  const [tabText, setTabText] = useState('')
+  const [tabDocument, setTabDocument] = useState(null) // Loaded tab, from parseTabDocument
+  const [importedSong, setImportedSong] = useState(null) // Guitar Pro or MusicXML song the tab was imported from (null for pasted tabs)
+  const [importedTrackIndex, setImportedTrackIndex] = useState(0)
   const [error, setError] = useState('')
   const [projectTabToFretboard, setProjectTabToFretboard] = useState(false)
   const [currentTabPosition, setCurrentTabPosition] = useState(null)
   const [currentTabPositionIndex, setCurrentTabPositionIndex] = useState(0)
-  
-  // Audio context and buffers for playing tab notes
-  const audioContextRef = useRef(null)
-  const audioBufferCache = useRef(new Map())
-  
-  // Representative sample for each string (same as in Fretboard)
-  const stringSamples = [
-    { stringIndex: 0, file: 'E4.wav', note: 'E', octave: 4 },
-    { stringIndex: 1, file: 'B4.wav', note: 'B', octave: 4 },
-    { stringIndex: 2, file: 'E4.wav', note: 'E', octave: 4 },
-    { stringIndex: 3, file: 'D3.wav', note: 'D', octave: 3 },
-    { stringIndex: 4, file: 'A3.wav', note: 'A', octave: 3 },
-    { stringIndex: 5, file: 'E2.wav', note: 'E', octave: 2 },
-  ]
-
-  // Helper to load audio buffer for a string
-  const loadStringBuffer = async (stringIndex) => {
-    const stringSample = stringSamples.find(s => s.stringIndex === stringIndex);
-    if (!stringSample) return null;
-    
-    const filePath = `${import.meta.env.BASE_URL}acoustic_guitar_sound_pack/${stringSample.file}`;
-    
-    if (audioBufferCache.current.has(filePath)) {
-      return audioBufferCache.current.get(filePath);
-    }
-    
-    if (!audioContextRef.current) {
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    
-    try {
-      const response = await fetch(filePath);
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
-      audioBufferCache.current.set(filePath, audioBuffer);
-      return audioBuffer;
-    } catch (error) {
-      return null;
-    }
-  }
+  const [instrument, setInstrument] = useState(DEFAULT_INSTRUMENT)
+  const [tuning, setTuning] = useState(DEFAULT_INSTRUMENT.tuning)
+  const [tabTuning, setTabTuning] = useState(null) // null = tab follows the fretboard tuning
+  const [capo, setCapo] = useState(0) // Capo fret (0 = no capo); tabs are read relative to it
 
+  // The loaded tab's aligned text, palm-mute marks, chord names ([{text, chord, startColumn, endColumn}])
+  // and section headers ([{label, startColumn, endColumn}])
+  const tabText = tabDocument ? tabDocument.ribbon : ''
+  const tabPalmMuteTrack = tabDocument ? tabDocument.tracks.palmMute : ''
+  const tabChords = tabDocument ? tabDocument.chords : []
+  const tabSections = tabDocument ? tabDocument.sections : []
 
-  // Memoize playNoteSound to avoid recreating on every render
-  const playNoteSoundMemo = useCallback(async (stringIndex, fret) => {
-    try {
-      const { note: targetNote, octave: targetOctave } = getNoteWithOctaveAtFret(stringIndex, fret);
-      const stringSample = stringSamples.find(s => s.stringIndex === stringIndex);
-      if (!stringSample) return;
-      
-      const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-      const targetNoteIndex = NOTE_NAMES.indexOf(targetNote);
-      const targetMidi = (targetOctave + 1) * 12 + targetNoteIndex;
-      
-      const sampleNoteIndex = NOTE_NAMES.indexOf(stringSample.note);
-      const sampleMidi = (stringSample.octave + 1) * 12 + sampleNoteIndex;
-      
-      const semitonesToShift = targetMidi - sampleMidi;
-      const detune = semitonesToShift * 100;
-      
-      const audioBuffer = await loadStringBuffer(stringIndex);
-      if (!audioBuffer) return;
-      
-      if (!audioContextRef.current) {
-        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-      }
-      
-      if (audioContextRef.current.state === 'suspended') {
-        await audioContextRef.current.resume();
-      }
-      
-      // Create gain node for fade-out envelope
-      const gainNode = audioContextRef.current.createGain();
-      const source = audioContextRef.current.createBufferSource();
-      source.buffer = audioBuffer;
-      source.detune.value = detune;
-      
-      // Connect: source -> gain -> destination
-      source.connect(gainNode);
-      gainNode.connect(audioContextRef.current.destination);
-      
-      // Apply triangular fade-out envelope (ramp down to silence quickly)
-      const fadeDuration = 0.3; // 0.3 seconds fade (shorter for quicker cutoff)
-      const currentTime = audioContextRef.current.currentTime;
-      const duration = audioBuffer.duration;
-      
-      // Start at full volume
-      gainNode.gain.setValueAtTime(1.0, currentTime);
-      
-      // Ramp down to silence using linear (triangular) envelope
-      // Start fade earlier to cut off tails more aggressively
-      // Fade starts at 0.2 seconds into the sample, or immediately if duration is short
-      const fadeStartTime = currentTime + Math.min(0.2, duration * 0.3);
-      const fadeEndTime = fadeStartTime + fadeDuration;
-      gainNode.gain.linearRampToValueAtTime(0, fadeEndTime);
-      
-      source.start(0);
-    } catch (error) {
-      // Silently handle errors
-    }
-  }, [])
+  // The loaded tab's tuning (if set) drives note calculation, labels and audio
+  const activeTuning = tabText && tabTuning ? tabTuning : tuning
 
   // Function to play all notes in a tab position
   const playTabPositionNotes = useCallback(async (position) => {
-    if (!position || !position.notes || position.notes.length === 0) return;
+    if (!position || !position.notes || position.notes.length + (position.deadNotes || []).length === 0) return;
     
-    // Play all notes simultaneously
-    for (const note of position.notes) {
-      playNoteSoundMemo(note.stringIndex, note.fret);
-    }
-  }, [playNoteSoundMemo])
+    // Play all notes simultaneously, with their bends, slides, legato and dead strings
+    playTabNotes([...position.notes, ...(position.deadNotes || [])], activeTuning, instrument.samples);
+  }, [activeTuning, instrument])
   
   // Memoize the onPositionChange callback to prevent infinite loops
   const handlePositionChange = useCallback((currentPos) => {
     setCurrentTabPosition(currentPos)
   }, [])
   
+  // Transport: plays the tab on the audio clock ('stopped', 'playing' or 'paused')
+  const transportRef = useRef(null)
+  const [transportState, setTransportState] = useState('stopped')
+  const [bpm, setBpm] = useState(100)
+  const [countIn, setCountIn] = useState(4) // Beats clicked before playback starts
+  const [tabLoop, setTabLoop] = useState(null) // A–B loop region {start, end} of position indices
+
   // Play notes when projectTabToFretboard is turned ON or when position changes (clicking left/right or dragging)
+  // While the transport plays, it schedules the notes itself
   useEffect(() => {
-    if (projectTabToFretboard && currentTabPosition) {
+    if (projectTabToFretboard && currentTabPosition && !transportRef.current?.isPlaying()) {
       playTabPositionNotes(currentTabPosition);
     }
   }, [projectTabToFretboard, currentTabPosition, playTabPositionNotes])
@@ -148,37 +105,176 @@ function App() {
   const [flattenRoot, setFlattenRoot] = useState(false)
   const [flavorManuallySet, setFlavorManuallySet] = useState(false)
   const [displayMode, setDisplayMode] = useState('note') // 'note', 'chord', 'key'
+  const [leftHanded, setLeftHanded] = useState(false) // Mirror the fretboard (nut on the right)
+  const [playerView, setPlayerView] = useState(false) // Flip string order so the lowest string is on top
+  const [userScales, setUserScales] = useState(() => {
+    // Register saved scales before the first render so getScaleNotes can resolve their ids
+    const saved = loadUserScales()
+    registerUserScales(saved)
+    return saved
+  })
+  const [positionSystem, setPositionSystem] = useState('all') // 'all', 'caged', 'pentatonic-box', '3nps'
+  const [shapeIndex, setShapeIndex] = useState(0)
+  const [hideOutsideShape, setHideOutsideShape] = useState(false) // Hide (rather than dim) notes outside the shape
+  const [chordSymbolInput, setChordSymbolInput] = useState('') // Text of the chord symbol field
+  const [typedChord, setTypedChord] = useState(null) // Parsed chord symbol overriding the diatonic buttons
+  const [chordSymbolError, setChordSymbolError] = useState('')
+  const [showVoicings, setShowVoicings] = useState(false) // Show playable voicings of the selected chord
+  const [voicingOptions, setVoicingOptions] = useState({ inversion: 0, drop: 'none', maxSpan: 4 })
+  const [voicingIndex, setVoicingIndex] = useState(0)
+  const [scaleBuilderOpen, setScaleBuilderOpen] = useState(false)
+  const [builderDegrees, setBuilderDegrees] = useState([0]) // Semitones above the key selected in the builder
+  const [chordBuilderOpen, setChordBuilderOpen] = useState(false)
+  const [builtChord, setBuiltChord] = useState([]) // Clicked positions in build-chord mode: [{stringIndex, fret}], one per string
+  const [scaleFinderOpen, setScaleFinderOpen] = useState(false)
+  const [finderNotes, setFinderNotes] = useState([]) // Spelled notes the scale finder searches for (the first is the tonic hint)
+  const [keySuggestionDismissed, setKeySuggestionDismissed] = useState(false)
+
+  // Built-in scale groups plus the user's saved scales
+  const scaleGroups = useMemo(() => (
+    userScales.length > 0 ? [...SCALE_GROUPS, getUserScaleGroup(userScales)] : SCALE_GROUPS
+  ), [userScales])
+
+  // Map the Style selector value to its scale pattern (see SCALE_GROUPS)
+  const styleOption = getScaleOption(selectedStyle, scaleGroups)
+
+  // Calculate spelled scale notes (e.g., F major uses Bb, not A#)
+  // While the scale builder is open, the fretboard previews the scale being built
+  const scaleNotes = useMemo(() => {
+    if (scaleBuilderOpen) {
+      return getScaleNotes(selectedKey, builderDegrees, accidentalPreference)
+    }
+    const actualStyle = styleOption ? styleOption.scale : 'pentatonic-major'
+    return getScaleNotes(selectedKey, actualStyle, accidentalPreference)
+  }, [selectedKey, selectedStyle, accidentalPreference, scaleBuilderOpen, builderDegrees, userScales])
 
-  // Map simplified style names to actual scale styles
-  const styleMap = {
-    'Pentatonic': 'pentatonic-major',
-    'Blues Pentatonic': 'pentatonic-minor',
-    'Pentatonic +': 'pentatonic-major',
-    'Diatonic': 'major'
+  // Persist user scales and make them available to getScaleNotes
+  const updateUserScales = (nextScales) => {
+    registerUserScales(nextScales)
+    saveUserScales(nextScales)
+    setUserScales(nextScales)
   }
 
-  // Calculate scale notes and positions (up to numFrets frets)
+  const handleSaveScale = (scale) => {
+    updateUserScales(mergeUserScales(userScales, [scale]))
+    setSelectedStyle(scale.id)
+    setScaleBuilderOpen(false)
+  }
+
+  const handleDeleteScale = (scaleId) => {
+    updateUserScales(userScales.filter(scale => scale.id !== scaleId))
+    if (selectedStyle === scaleId) {
+      setSelectedStyle('Pentatonic')
+    }
+  }
+
+  // Open the builder starting from the currently selected scale
+  const openScaleBuilder = () => {
+    const rootPitchClass = noteToPitchClass(selectedKey)
+    setBuilderDegrees(scaleNotes.map(note => (noteToPitchClass(note) - rootPitchClass + 12) % 12).sort((a, b) => a - b))
+    setScaleBuilderOpen(true)
+    setChordBuilderOpen(false)
+    setScaleFinderOpen(false)
+  }
+
+  const openChordBuilder = () => {
+    setChordBuilderOpen(true)
+    setScaleBuilderOpen(false)
+    setScaleFinderOpen(false)
+  }
+
+  const openScaleFinder = () => {
+    setScaleFinderOpen(true)
+    setScaleBuilderOpen(false)
+    setChordBuilderOpen(false)
+  }
+
+  // Clicking a fret toggles it in the chord being built, or that note's degree in the scale builder
+  const handleFretboardNoteClick = (stringIndex, fret) => {
+    if (chordBuilderOpen) {
+      // One note per string: clicking the same fret removes it, another fret replaces it
+      const current = builtChord.find(position => position.stringIndex === stringIndex)
+      const others = builtChord.filter(position => position.stringIndex !== stringIndex)
+      setBuiltChord(current && current.fret === fret ? others : [...others, { stringIndex, fret }])
+      return
+    }
+    if (scaleFinderOpen) {
+      const pitchClass = getMidiAtFret(stringIndex, fret, activeTuning) % 12
+      setFinderNotes(finderNotes.some(note => noteToPitchClass(note) === pitchClass)
+        ? finderNotes.filter(note => noteToPitchClass(note) !== pitchClass)
+        : [...finderNotes, spellPitchClass(pitchClass, accidentalPreference, scaleNotes)])
+      return
+    }
+    if (!scaleBuilderOpen) return
+    const semitone = (getMidiAtFret(stringIndex, fret, activeTuning) - noteToPitchClass(selectedKey) + 12) % 12
+    if (semitone === 0) return
+    setBuilderDegrees(builderDegrees.includes(semitone)
+      ? builderDegrees.filter(degree => degree !== semitone)
+      : [...builderDegrees, semitone].sort((a, b) => a - b))
+  }
+
+  // The root as spelled in the scale (auto spelling may respell it, e.g. Db minor → C# minor)
+  const scaleRoot = scaleNotes[0]
+
+  // Notes of the chord being built, spelled like the scale, and every chord name they fit
+  const builtChordNotes = useMemo(() => (
+    builtChord.map(position => {
+      const midi = getMidiAtFret(position.stringIndex, position.fret, activeTuning)
+      return { ...position, midi, note: spellPitchClass(midi % 12, accidentalPreference, scaleNotes) }
+    })
+  ), [builtChord, activeTuning, accidentalPreference, scaleNotes])
+
+  const chordInterpretations = useMemo(() => (
+    identifyChord(builtChordNotes.map(note => note.midi), scaleRoot, accidentalPreference)
+  ), [builtChordNotes, scaleRoot, accidentalPreference])
+
+  // Keys and scales containing the scale finder's notes
+  const scaleMatches = useMemo(() => (
+    findScales(finderNotes.map(note => noteToPitchClass(note)), { preference: accidentalPreference, groups: scaleGroups })
+  ), [finderNotes, accidentalPreference, scaleGroups])
+
+  // Apply a {key, style} suggestion from the scale finder or the tab's key detection
+  const applyScaleMatch = (match) => {
+    setSelectedKey(match.key)
+    setSelectedStyle(match.style)
+  }
+
+  // Use the notes of the loaded tab (most frequent first, so the likeliest tonic leads)
+  const findScalesFromTab = () => {
+    const keyNames = getKeyNames(accidentalPreference)
+    setFinderNotes(getTabPitchClasses(tabText, activeTuning, capo).map(pitchClass => keyNames[pitchClass]))
+  }
+
+  // Calculate scale positions (up to numFrets frets)
   // Memoize to prevent recalculation when chord selection changes
   const scalePositions = useMemo(() => {
-    const actualStyle = styleMap[selectedStyle] || 'pentatonic-major'
-    const scaleNotes = getScaleNotes(selectedKey, actualStyle)
-    return getScalePositions(scaleNotes, numFrets)
-  }, [selectedKey, selectedStyle, numFrets])
+    return getScalePositions(scaleNotes, numFrets, activeTuning, capo)
+  }, [scaleNotes, numFrets, activeTuning, capo])
+
+  // Restrict the scale to one shape of the selected position system (null shows every note)
+  const shapeCount = getShapeCount(positionSystem, scaleNotes)
+  const positionShape = useMemo(() => (
+    getPositionShape(positionSystem, shapeIndex, scaleNotes, activeTuning, capo, numFrets)
+  ), [positionSystem, shapeIndex, scaleNotes, activeTuning, capo, numFrets])
+
+  const stepShape = (step) => {
+    setShapeIndex((shapeIndex + step + shapeCount) % shapeCount)
+  }
 
   // Calculate 4th and 7th degree positions for Pentatonic + mode
   const pentatonicPlusPositions = useMemo(() => {
-    if (selectedStyle !== 'Pentatonic +') return []
+    if (selectedStyle !== 'Pentatonic +' || scaleBuilderOpen) return []
     
     // Get the 4th and 7th degrees from the major scale
-    const majorScaleNotes = getScaleNotes(selectedKey, 'major')
+    const majorScaleNotes = getScaleNotes(selectedKey, 'major', accidentalPreference)
     // Major scale has 7 notes: [0, 2, 4, 5, 7, 9, 11] semitones
     // 4th degree is at index 3 (5 semitones), 7th degree is at index 6 (11 semitones)
     const fourthDegree = majorScaleNotes[3]
     const seventhDegree = majorScaleNotes[6]
     
     // Get positions for both notes
-    const fourthPositions = getScalePositions([fourthDegree], numFrets)
-    const seventhPositions = getScalePositions([seventhDegree], numFrets)
+    const fourthPositions = getScalePositions([fourthDegree], numFrets, activeTuning, capo)
+    const seventhPositions = getScalePositions([seventhDegree], numFrets, activeTuning, capo)
     
     // Create a set of position keys that are already showing pentatonic notes
     const pentatonicPositionKeys = new Set(
@@ -191,10 +287,10 @@ function App() {
       const positionKey = `${pos.stringIndex}-${pos.fret}`
       return !pentatonicPositionKeys.has(positionKey)
     })
-  }, [selectedKey, selectedStyle, numFrets, scalePositions])
+  }, [selectedKey, selectedStyle, numFrets, scalePositions, activeTuning, capo, accidentalPreference, scaleBuilderOpen])
   
   // Calculate context chords - get labels based on useSevenths toggle
-  const seventhChords = getSeventhChordsFromKey(selectedKey)
+  const seventhChords = getSeventhChordsFromKey(selectedKey, accidentalPreference)
   
   // Get chord labels - sevenths or triads based on toggle
   const getChordLabel = (chord, useSevenths) => {
@@ -264,6 +360,7 @@ function App() {
   // Get selected chord's roman numeral (accounting for flatten root)
   const getSelectedChordRomanNumeral = () => {
     if (!contextEnabled) return null
+    if (typedChord) return getChordSymbolNumeral(typedChord, scaleRoot)
     
     const selectedChord = seventhChords.find(chord => chord.degree === selectedChordDegree)
     if (!selectedChord) return null
@@ -290,14 +387,12 @@ function App() {
     let rootNote = selectedChord.note
     let isFlattened = false
     if (flattenRoot) {
-      const rootIndex = NOTE_NAMES.indexOf(rootNote)
-      const flattenedIndex = (rootIndex - 1 + 12) % 12
-      rootNote = NOTE_NAMES[flattenedIndex]
+      rootNote = flattenNote(rootNote)
       isFlattened = true
     }
     
     // Find the new degree based on the (possibly flattened) root note
-    const flattenedChord = seventhChords.find(chord => chord.note === rootNote)
+    const flattenedChord = seventhChords.find(chord => noteToPitchClass(chord.note) === noteToPitchClass(rootNote))
     
     // Build roman numeral label - start with the degree
     let romanNumeral = flattenedChord ? flattenedChord.degree : selectedChord.degree
@@ -317,7 +412,9 @@ function App() {
     }
     
     // Add voicing suffix
-    if (useSevenths) {
+    if (EXTENDED_FLAVORS.includes(actualVoicing)) {
+      romanNumeral = `${romanNumeral}${getFlavorSuffix(actualVoicing)}`
+    } else if (useSevenths) {
       if (actualVoicing === 'maj7') {
         romanNumeral = `${romanNumeral}maj7`
       } else if (actualVoicing === 'm7') {
@@ -373,6 +470,11 @@ function App() {
   // Calculate resulting chord and its notes
   const getResultingChord = () => {
     if (!contextEnabled) return null
+
+    // A typed chord symbol replaces the diatonic chord (intervals drive the chord-function labels)
+    if (typedChord) {
+      return { ...typedChord, name: typedChord.symbol, voicing: null }
+    }
     
     const selectedChord = seventhChords.find(chord => chord.degree === selectedChordDegree)
     if (!selectedChord) return null
@@ -403,9 +505,7 @@ function App() {
     // Calculate root note (flatten if needed)
     let rootNote = selectedChord.note
     if (flattenRoot) {
-      const rootIndex = NOTE_NAMES.indexOf(rootNote)
-      const flattenedIndex = (rootIndex - 1 + 12) % 12
-      rootNote = NOTE_NAMES[flattenedIndex]
+      rootNote = flattenNote(rootNote)
     }
     
     // Get chord notes - pass key context for diatonic sus4
@@ -432,6 +532,8 @@ function App() {
       chordName = `${rootNote}sus2`
     } else if (actualVoicing === 'sus4') {
       chordName = `${rootNote}sus4`
+    } else if (EXTENDED_FLAVORS.includes(actualVoicing)) {
+      chordName = `${rootNote}${getFlavorSuffix(actualVoicing)}`
     } else {
       // Default: if no voicing matches, just use root note
       chordName = rootNote
@@ -449,42 +551,283 @@ function App() {
 
   // Calculate context chord positions for the fretboard
   const contextChordPositions = resultingChord && contextEnabled 
-    ? getScalePositions(resultingChord.notes, numFrets)
+    ? getScalePositions(resultingChord.notes, numFrets, activeTuning, capo)
     : []
 
+  // Parse the chord symbol field; the typed chord stays selected until a diatonic chord is picked
+  const applyChordSymbol = () => {
+    try {
+      setTypedChord(parseChordSymbol(chordSymbolInput))
+      setChordSymbolError('')
+    } catch (error) {
+      setChordSymbolError(error.message)
+    }
+  }
+
+  const clearChordSymbol = () => {
+    setTypedChord(null)
+    setChordSymbolInput('')
+    setChordSymbolError('')
+  }
+
+  // Bass tone for voicings: a slash chord's bass, otherwise the chosen inversion
+  const getVoicingInversion = (chord) => {
+    const bassIndex = chord.bass ? chord.notes.indexOf(chord.bass) : -1
+    return bassIndex !== -1 ? bassIndex : Math.min(voicingOptions.inversion, chord.notes.length - 1)
+  }
+
+  // Playable voicings of the selected chord, best first
+  const chordNotesKey = resultingChord ? `${resultingChord.notes.join(' ')}/${resultingChord.bass || ''}` : ''
+  const voicings = useMemo(() => {
+    if (!showVoicings || !resultingChord) return []
+    const inversion = getVoicingInversion(resultingChord)
+    return generateVoicings(resultingChord.notes, activeTuning, capo, numFrets, { ...voicingOptions, inversion })
+  }, [showVoicings, chordNotesKey, activeTuning, capo, numFrets, voicingOptions])
+
+  // Start from the best voicing whenever the list changes
+  useEffect(() => {
+    setVoicingIndex(0)
+  }, [voicings])
+
+  const currentVoicing = showVoicings ? voicings[voicingIndex] || null : null
+
+  const strumVoicing = (voicing) => {
+    strumNotes(voicing.notes, activeTuning, instrument.samples)
+  }
+
+  // Switch instrument profile: reset tuning and fret count to the profile defaults
+  const selectInstrument = (nextInstrument) => {
+    setInstrument(nextInstrument)
+    setTuning(nextInstrument.tuning)
+    setTabTuning(null)
+    setNumFrets(nextInstrument.defaultFrets)
+  }
+
+  // Problems in the pasted tab (short, missing or duplicated string lines), checked as it's typed
+  const pastedTabDiagnostics = useMemo(() => (
+    pastedTabText.trim() ? parseTabSystems(pastedTabText, tuning.length).diagnostics : []
+  ), [pastedTabText, tuning.length])
+  const pasteInputRef = useRef(null)
+
+  // Select a line of the paste box (from a diagnostic)
+  const selectPastedLine = (lineNumber) => {
+    const textarea = pasteInputRef.current
+    if (!textarea) return
+    const lines = pastedTabText.split('\n')
+    const start = lines.slice(0, lineNumber - 1).reduce((offset, line) => offset + line.length + 1, 0)
+    textarea.focus()
+    textarea.setSelectionRange(start, start + lines[lineNumber - 1].length)
+  }
+
+  // Load tab text as the current tab (options go to parseTabDocument); returns whether it loaded
+  const loadTab = (text, options = {}) => {
+    setError('')
+
+    try {
+      const parsedTab = parseTabDocument(text, { stringCount: tuning.length, tuning, capo, ...options })
+
+      if (!isValidTabText(parsedTab.ribbon)) {
+        setError('Could not find valid tab content. Make sure the text includes string lines starting with a note name or string number and a bar (e.g., E|, D#|, 1|) followed by tab characters.')
+        setTabDocument(null)
+        return false
+      }
+
+      // Switch to an instrument with the tab's string count (e.g., a 4-string bass tab)
+      const tabStringCount = parsedTab.metadata.stringCount
+      const tabInstrument = findInstrumentForStringCount(tabStringCount, instrument)
+      if (!tabInstrument) {
+        setError(`This tab has ${tabStringCount} strings, which no instrument profile supports.`)
+        setTabDocument(null)
+        return false
+      }
+      if (tabInstrument !== instrument) {
+        selectInstrument(tabInstrument)
+      }
+
+      // The tab's declared tuning (a Tuning: header, its string names or the imported file's) drives its notes,
+      // unless the fretboard is already tuned that way
+      const fretboardTuning = tabInstrument !== instrument ? tabInstrument.tuning : tuning
+      const isDeclared = parsedTab.tuning.source !== 'default'
+      setTabTuning(isDeclared && !isSameTuning(parsedTab.tuning.strings, fretboardTuning) ? parsedTab.tuning.strings : null)
+
+      // The tab's capo (a Capo: header or the imported file's, else the current one) is the one its notes were read with
+      setCapo(parsedTab.metadata.capo)
+      setTabDocument(parsedTab)
+      setCurrentTabPositionIndex(0)
+      return true
+    } catch (err) {
+      setError(err.message || 'Failed to parse tab text. Please check the format and try again.')
+      setTabDocument(null)
+      return false
+    }
+  }
+
   const handleParseTabs = () => {
     if (!pastedTabText.trim()) {
       setError('Please paste tab text')
       return
     }
 
-    setError('')
-    
+    setImportedSong(null)
+    loadTab(pastedTabText)
+  }
+
+  // Load a track of an imported song, with its tuning, capo, tempo and exact note durations
+  const loadImportedTrack = (song, trackIndex) => {
+    const track = song.tracks[trackIndex]
     try {
-      const extractedTab = extractTabContent(pastedTabText)
-      
-      if (!isValidTabText(extractedTab)) {
-        setError('Could not find valid tab content. Make sure the text includes lines starting with E|, B|, G|, D|, A| followed by tab characters.')
-        setTabText('')
+      const { text, durations } = renderSongTrack(song, trackIndex)
+      if (!loadTab(text, { stringCount: track.tuning.length, tuningOverride: track.tuning, capo: track.capo, durations })) return
+      setPastedTabText(text)
+      setImportedTrackIndex(trackIndex)
+      setBpm(Math.min(MAX_BPM, Math.max(MIN_BPM, Math.round(song.tempo))))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Import a Guitar Pro or MusicXML file, starting with its first track with strings
+  const handleImportFile = async (file) => {
+    try {
+      if (file.name.toLowerCase().endsWith('.mxl')) {
+        setError(`${file.name} is compressed MusicXML, which can't be imported here; export it as uncompressed MusicXML (.musicxml).`)
         return
       }
-
-      setTabText(extractedTab)
-      setCurrentTabPositionIndex(0)
+      const isMusicXml = MUSICXML_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))
+      const song = isMusicXml ? parseMusicXml(await file.text()) : parseGuitarProFile(await file.arrayBuffer())
+      const trackIndex = song.tracks.findIndex(track => !track.isPercussion)
+      if (trackIndex === -1) {
+        setError(`${file.name} has no guitar or bass tracks to show as tab.`)
+        return
+      }
+      setImportedSong(song)
+      loadImportedTrack(song, trackIndex)
     } catch (err) {
-      setError(err.message || 'Failed to parse tab text. Please check the format and try again.')
-      setTabText('')
+      setError(`Could not import ${file.name}: ${err.message}`)
+    }
+  }
+
+  // Download the loaded tab as MusicXML, in the tab's tuning with the capo and the transport's tempo
+  const handleExportMusicXml = () => {
+    const musicXml = exportMusicXml(tabDocument, { tuning: activeTuning, capo, tempo: bpm, partName: instrument.label })
+    const blob = new Blob([musicXml], { type: 'application/vnd.recordare.musicxml+xml' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${(tabDocument.metadata.title || 'tab').replace(/[^\w-]+/g, '-')}.musicxml`
+    link.click()
+    // Revoked once the click has been handled, so the download isn't cancelled
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  // Positions for tab navigation, with how many beats each lasts, its measure and beat, and the chord it's under
+  const tabUniquePositions = tabDocument ? tabDocument.positions : []
+
+  // Measures between the tab's bar lines, and the measure and beat of the current position
+  const tabMeasures = tabDocument ? tabDocument.measures : []
+  const currentTabLocation = tabUniquePositions[currentTabPositionIndex] || null
+
+  // Measures with notes before and after the current one (empty measures are skipped)
+  const previousTabMeasure = currentTabLocation && currentTabLocation.measure !== null
+    ? [...tabMeasures].reverse().find(measure => measure.number < currentTabLocation.measure && measure.positionCount > 0)
+    : undefined
+  const nextTabMeasure = currentTabLocation && currentTabLocation.measure !== null
+    ? tabMeasures.find(measure => measure.number > currentTabLocation.measure && measure.positionCount > 0)
+    : undefined
+
+  // Go to the first position of a measure (or the next one after it, for an empty measure)
+  const jumpToMeasure = (number) => {
+    const measure = tabMeasures[number - 1]
+    if (!measure) return
+    const index = measure.firstPositionIndex !== -1
+      ? measure.firstPositionIndex
+      : tabUniquePositions.findIndex(position => position.column >= measure.startColumn)
+    if (index !== -1) {
+      setCurrentTabPositionIndex(index)
     }
   }
 
-  // Calculate unique positions for tab navigation
-  const tabUniquePositions = tabText ? findUniqueCharacterPositions(tabText) : []
+  // Section the current position is in
+  const currentTabSection = tabUniquePositions[currentTabPositionIndex]
+    ? findAnnotationAt(tabSections, tabUniquePositions[currentTabPositionIndex].column)
+    : null
+
+  // Go to the first position of a section
+  const jumpToSection = (section) => {
+    const index = tabUniquePositions.findIndex(position => position.column >= section.startColumn)
+    if (index !== -1) {
+      setCurrentTabPositionIndex(index)
+    }
+  }
+
+  // Note events with their playing techniques (hammer-ons, bends, slides, ...)
+  const tabEvents = useMemo(() => tokenizeTab(tabText, tabPalmMuteTrack), [tabText, tabPalmMuteTrack])
 
   // Reset position when tab text changes
   useEffect(() => {
     setCurrentTabPositionIndex(0)
+    setKeySuggestionDismissed(false)
+    setTabLoop(null)
+    if (transportRef.current) transportRef.current.stop()
+    setTransportState('stopped')
   }, [tabText])
 
+  // Keep the transport's settings current (it reads them at every step, so changes apply while playing)
+  useEffect(() => {
+    if (!transportRef.current) {
+      transportRef.current = createTransport()
+    }
+    transportRef.current.update({
+      stepCount: tabUniquePositions.length,
+      bpm,
+      countIn,
+      loop: tabLoop,
+      getStepBeats: (index) => tabUniquePositions[index].duration,
+      onStep: (index, time) => {
+        const position = getTabPositionNotes(tabText, tabUniquePositions[index], tabEvents, activeTuning, capo)
+        if (position) {
+          playTabNotes([...position.notes, ...position.deadNotes], activeTuning, instrument.samples, { startTime: time })
+        }
+      },
+      onPosition: setCurrentTabPositionIndex,
+      onEnd: () => setTransportState('stopped'),
+    })
+  }, [tabText, tabUniquePositions, tabEvents, activeTuning, capo, instrument, bpm, countIn, tabLoop])
+
+  // Stop the transport when the app unmounts
+  useEffect(() => () => {
+    if (transportRef.current) transportRef.current.stop()
+  }, [])
+
+  // Play from the start (of the loop, if there is one), or resume from the current position after a pause
+  const handleTransportPlay = () => {
+    transportRef.current.play(transportState === 'paused' ? currentTabPositionIndex : 0)
+    setTransportState('playing')
+  }
+
+  // Play from the highlighted position (the start of the loop if it's outside it)
+  const handlePlayFromHere = () => {
+    transportRef.current.play(currentTabPositionIndex)
+    setTransportState('playing')
+  }
+
+  const handleTransportPause = () => {
+    transportRef.current.stop()
+    setTransportState('paused')
+  }
+
+  // Stop and go back to the start (of the loop, if there is one)
+  const handleTransportStop = () => {
+    transportRef.current.stop()
+    setTransportState('stopped')
+    setCurrentTabPositionIndex(tabLoop ? Math.min(tabLoop.start, tabLoop.end) : 0)
+  }
+
+  // Likely keys and scales of the loaded tab (from all its notes)
+  const tabKeyCandidates = useMemo(() => (
+    tabText ? detectKey(tabText, activeTuning, capo, { preference: accidentalPreference }) : []
+  ), [tabText, activeTuning, capo, accidentalPreference])
+
   const handleTabPrevious = () => {
     if (currentTabPositionIndex > 0) {
       setCurrentTabPositionIndex(currentTabPositionIndex - 1)
@@ -511,7 +854,22 @@ function App() {
         return;
       }
 
-      if (e.key === 'ArrowLeft') {
+      if (e.key === ' ') {
+        // Space toggles playback
+        e.preventDefault();
+        if (transportState === 'playing') {
+          handleTransportPause();
+        } else {
+          handleTransportPlay();
+        }
+      } else if (e.key === 'ArrowLeft' && e.shiftKey) {
+        // Shift+arrows move by measure
+        e.preventDefault();
+        if (previousTabMeasure) jumpToMeasure(previousTabMeasure.number);
+      } else if (e.key === 'ArrowRight' && e.shiftKey) {
+        e.preventDefault();
+        if (nextTabMeasure) jumpToMeasure(nextTabMeasure.number);
+      } else if (e.key === 'ArrowLeft') {
         e.preventDefault();
         if (currentTabPositionIndex > 0) {
           setCurrentTabPositionIndex(currentTabPositionIndex - 1);
@@ -528,7 +886,7 @@ function App() {
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
     };
-  }, [tabText, currentTabPositionIndex, tabUniquePositions.length])
+  }, [tabText, currentTabPositionIndex, tabUniquePositions.length, transportState, tabLoop, tabMeasures])
 
   return (
     <div className="app">
@@ -545,12 +903,30 @@ function App() {
                 onChange={(e) => setSelectedKey(e.target.value)}
                 className="select-input"
               >
-                {KEYS.map(key => (
+                {getKeyNames(accidentalPreference).map(key => (
                   <option key={key} value={key}>{key}</option>
                 ))}
               </select>
             </div>
 
+            <div className="control-group">
+              <label htmlFor="accidentals-select">Accidentals:</label>
+              <select
+                id="accidentals-select"
+                value={accidentalPreference}
+                onChange={(e) => {
+                  // Respell the selected key to match the new key list
+                  setAccidentalPreference(e.target.value)
+                  setSelectedKey(getKeyNames(e.target.value)[noteToPitchClass(selectedKey)])
+                }}
+                className="select-input"
+              >
+                <option value="auto">Auto (by key)</option>
+                <option value="sharps">Prefer ♯</option>
+                <option value="flats">Prefer ♭</option>
+              </select>
+            </div>
+
             <div className="control-group">
               <label htmlFor="style-select">Style:</label>
               <select
@@ -559,10 +935,73 @@ function App() {
                 onChange={(e) => setSelectedStyle(e.target.value)}
                 className="select-input"
               >
-                <option value="Pentatonic">Pentatonic</option>
-                <option value="Blues Pentatonic">Blues Pentatonic</option>
-                <option value="Pentatonic +">Pentatonic +</option>
-                <option value="Diatonic">Diatonic</option>
+                {scaleGroups.map(group => (
+                  <optgroup key={group.label} label={group.label}>
+                    {group.options.map(option => (
+                      <option key={option.value} value={option.value} title={option.description}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+              {styleOption && (
+                <span className="style-description">{styleOption.description}</span>
+              )}
+              <button
+                className="build-scale-button"
+                onClick={() => (scaleBuilderOpen ? setScaleBuilderOpen(false) : openScaleBuilder())}
+              >
+                {scaleBuilderOpen ? 'Close Builder' : 'Build Scale…'}
+              </button>
+              <button
+                className="build-scale-button"
+                onClick={() => (chordBuilderOpen ? setChordBuilderOpen(false) : openChordBuilder())}
+              >
+                {chordBuilderOpen ? 'Close Chord Builder' : 'Build Chord…'}
+              </button>
+              <button
+                className="build-scale-button"
+                onClick={() => (scaleFinderOpen ? setScaleFinderOpen(false) : openScaleFinder())}
+              >
+                {scaleFinderOpen ? 'Close Scale Finder' : 'Find Scale…'}
+              </button>
+            </div>
+
+            <div className="control-group">
+              <label htmlFor="instrument-select">Instrument:</label>
+              <select
+                id="instrument-select"
+                value={instrument.id}
+                onChange={(e) => selectInstrument(getInstrument(e.target.value))}
+                className="select-input"
+              >
+                {INSTRUMENTS.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <TuningSelector
+              id="tuning-select"
+              tuning={tuning}
+              presets={instrument.tunings}
+              preference={accidentalPreference}
+              onTuningChange={setTuning}
+            />
+
+            <div className="control-group">
+              <label htmlFor="capo-select">Capo:</label>
+              <select
+                id="capo-select"
+                value={capo}
+                onChange={(e) => setCapo(parseInt(e.target.value, 10))}
+                className="select-input"
+              >
+                <option value={0}>None</option>
+                {Array.from({ length: Math.max(12, capo) }, (_, index) => index + 1).map(fret => (
+                  <option key={fret} value={fret}>Fret {fret}</option>
+                ))}
               </select>
             </div>
 
@@ -583,29 +1022,101 @@ function App() {
             </div>
           </div>
 
-          <div className="control-group">
-            <label className="display-mode-label">Display Mode:</label>
-            <div className="display-mode-buttons">
-              <button
-                className={`display-mode-button ${displayMode === 'note' ? 'selected' : ''}`}
-                onClick={() => setDisplayMode('note')}
-              >
-                Note Names
-              </button>
-              {contextEnabled && (
+          <div className="main-controls-row">
+            <div className="control-group">
+              <label className="display-mode-label">Display Mode:</label>
+              <div className="display-mode-buttons">
                 <button
-                  className={`display-mode-button ${displayMode === 'chord' ? 'selected' : ''}`}
-                  onClick={() => setDisplayMode('chord')}
+                  className={`display-mode-button ${displayMode === 'note' ? 'selected' : ''}`}
+                  onClick={() => setDisplayMode('note')}
                 >
-                  Chord Functions
+                  Note Names
                 </button>
-              )}
-              <button
-                className={`display-mode-button ${displayMode === 'key' ? 'selected' : ''}`}
-                onClick={() => setDisplayMode('key')}
+                {contextEnabled && (
+                  <button
+                    className={`display-mode-button ${displayMode === 'chord' ? 'selected' : ''}`}
+                    onClick={() => setDisplayMode('chord')}
+                  >
+                    Chord Functions
+                  </button>
+                )}
+                <button
+                  className={`display-mode-button ${displayMode === 'key' ? 'selected' : ''}`}
+                  onClick={() => setDisplayMode('key')}
+                >
+                  Key Functions
+                </button>
+              </div>
+            </div>
+
+            <div className="control-group">
+              <label htmlFor="position-system-select">Positions:</label>
+              <select
+                id="position-system-select"
+                value={isPositionSystemAvailable(positionSystem, scaleNotes) ? positionSystem : 'all'}
+                onChange={(e) => {
+                  setPositionSystem(e.target.value)
+                  setShapeIndex(0)
+                }}
+                className="select-input"
               >
-                Key Functions
-              </button>
+                {POSITION_SYSTEMS.map(system => (
+                  <option
+                    key={system.id}
+                    value={system.id}
+                    disabled={!isPositionSystemAvailable(system.id, scaleNotes)}
+                  >
+                    {system.label}
+                  </option>
+                ))}
+              </select>
+              {positionShape && (
+                <div className="shape-navigation">
+                  <button className="nav-button" onClick={() => stepShape(-1)} aria-label="Previous shape">‹</button>
+                  <span className="shape-label">{positionShape.label}</span>
+                  <button className="nav-button" onClick={() => stepShape(1)} aria-label="Next shape">›</button>
+                </div>
+              )}
+              {positionShape && (
+                <label htmlFor="hide-outside-shape" className="toggle-label flatten-root-label">
+                  <input
+                    id="hide-outside-shape"
+                    type="checkbox"
+                    checked={hideOutsideShape}
+                    onChange={(e) => setHideOutsideShape(e.target.checked)}
+                    className="toggle-input"
+                  />
+                  <span className="toggle-text">Hide notes outside shape</span>
+                </label>
+              )}
+            </div>
+
+            <div className="control-group">
+              <label className="display-mode-label">Orientation:</label>
+              <div className="display-mode-buttons">
+                <button
+                  className={`display-mode-button ${!leftHanded ? 'selected' : ''}`}
+                  onClick={() => setLeftHanded(false)}
+                >
+                  Right-Handed
+                </button>
+                <button
+                  className={`display-mode-button ${leftHanded ? 'selected' : ''}`}
+                  onClick={() => setLeftHanded(true)}
+                >
+                  Left-Handed
+                </button>
+              </div>
+              <label htmlFor="player-view" className="toggle-label flatten-root-label">
+                <input
+                  id="player-view"
+                  type="checkbox"
+                  checked={playerView}
+                  onChange={(e) => setPlayerView(e.target.checked)}
+                  className="toggle-input"
+                />
+                <span className="toggle-text">Player's View (low string on top)</span>
+              </label>
             </div>
           </div>
         </div>
@@ -645,8 +1156,11 @@ function App() {
                   {seventhChords.map(chord => (
                     <div key={chord.degree} className="chord-button-wrapper">
                       <button
-                        className={`chord-button ${selectedChordDegree === chord.degree ? 'selected' : ''}`}
-                        onClick={() => setSelectedChordDegree(chord.degree)}
+                        className={`chord-button ${selectedChordDegree === chord.degree && !typedChord ? 'selected' : ''}`}
+                        onClick={() => {
+                          setSelectedChordDegree(chord.degree)
+                          clearChordSymbol()
+                        }}
                       >
                         {getChordLabel(chord, useSevenths)}
                       </button>
@@ -657,6 +1171,26 @@ function App() {
                   ))}
                 </div>
                 
+                <div className="chord-symbol-input-group">
+                  <label htmlFor="chord-symbol-input" className="chord-modifiers-subtitle">Chord Symbol</label>
+                  <div className="chord-symbol-row">
+                    <input
+                      id="chord-symbol-input"
+                      type="text"
+                      value={chordSymbolInput}
+                      onChange={(e) => setChordSymbolInput(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && applyChordSymbol()}
+                      placeholder="e.g. F#m7b5, Cmaj9#11, D/F#"
+                      className="chord-symbol-input"
+                    />
+                    <button className="nav-button chord-symbol-button" onClick={applyChordSymbol}>Show</button>
+                    {typedChord && (
+                      <button className="revert-button" onClick={clearChordSymbol}>Clear</button>
+                    )}
+                  </div>
+                  {chordSymbolError && <div className="error-message">{chordSymbolError}</div>}
+                </div>
+
               <div className="context-modifiers">
                 <div className="modifiers-section">
                   <div className="chord-modifiers-subtitle">Chord Modifiers</div>
@@ -670,6 +1204,7 @@ function App() {
                             onClick={() => {
                               setSelectedFlavor(selectedFlavor === flavor ? '' : flavor)
                               setFlavorManuallySet(true)
+                              clearChordSymbol()
                             }}
                           >
                           {flavor}
@@ -679,13 +1214,31 @@ function App() {
                       );
                     })}
                   </div>
+                  <div className="flavor-buttons extended-flavor-buttons">
+                    {EXTENDED_FLAVORS.map(flavor => (
+                      <button
+                        key={flavor}
+                        className={`flavor-button ${selectedFlavor === flavor ? 'selected' : ''}`}
+                        onClick={() => {
+                          setSelectedFlavor(selectedFlavor === flavor ? '' : flavor)
+                          setFlavorManuallySet(true)
+                          clearChordSymbol()
+                        }}
+                      >
+                        {flavor}
+                      </button>
+                    ))}
+                  </div>
                   
                   <label htmlFor="flatten-root" className="toggle-label flatten-root-label">
                     <input
                       id="flatten-root"
                       type="checkbox"
                       checked={flattenRoot}
-                      onChange={(e) => setFlattenRoot(e.target.checked)}
+                      onChange={(e) => {
+                        setFlattenRoot(e.target.checked)
+                        clearChordSymbol()
+                      }}
                       className="toggle-input"
                     />
                     <span className="toggle-text">Flatten Root</span>
@@ -702,6 +1255,16 @@ function App() {
                     <div className="chord-badge-function">
                       {getSelectedChordRomanNumeral()}
                     </div>
+                    <label htmlFor="show-voicings" className="toggle-label flatten-root-label">
+                      <input
+                        id="show-voicings"
+                        type="checkbox"
+                        checked={showVoicings}
+                        onChange={(e) => setShowVoicings(e.target.checked)}
+                        className="toggle-input"
+                      />
+                      <span className="toggle-text">Show Voicings</span>
+                    </label>
                   </div>
                 )}
               </div>
@@ -710,18 +1273,78 @@ function App() {
         </div>
       </div>
 
+      {showVoicings && resultingChord && (
+        <VoicingPanel
+          chordName={resultingChord.name}
+          chordNotes={resultingChord.notes}
+          voicings={voicings}
+          index={voicingIndex}
+          onIndexChange={setVoicingIndex}
+          options={{ ...voicingOptions, inversion: getVoicingInversion(resultingChord) }}
+          onOptionsChange={setVoicingOptions}
+          onStrum={strumVoicing}
+        />
+      )}
+
+      {scaleBuilderOpen && (
+        <ScaleBuilder
+          rootNote={selectedKey}
+          preference={accidentalPreference}
+          degrees={builderDegrees}
+          onDegreesChange={setBuilderDegrees}
+          userScales={userScales}
+          onSaveScale={handleSaveScale}
+          onDeleteScale={handleDeleteScale}
+          onImportScales={(scales) => updateUserScales(mergeUserScales(userScales, scales))}
+          onClose={() => setScaleBuilderOpen(false)}
+        />
+      )}
+
+      {chordBuilderOpen && (
+        <ChordIdentifier
+          notes={builtChordNotes}
+          interpretations={chordInterpretations}
+          keyName={scaleRoot}
+          onStrum={() => strumNotes(builtChordNotes, activeTuning, instrument.samples)}
+          onClear={() => setBuiltChord([])}
+          onClose={() => setChordBuilderOpen(false)}
+        />
+      )}
+
+      {scaleFinderOpen && (
+        <ScaleFinder
+          notes={finderNotes}
+          onNotesChange={setFinderNotes}
+          matches={scaleMatches}
+          onApply={applyScaleMatch}
+          onFromTab={tabText ? findScalesFromTab : null}
+          onClose={() => setScaleFinderOpen(false)}
+        />
+      )}
+
       <Fretboard 
         scalePositions={scalePositions} 
-        rootNote={selectedKey} 
+        rootNote={scaleRoot}
         numFrets={numFrets}
         contextChordPositions={contextChordPositions}
         contextEnabled={contextEnabled}
         displayMode={displayMode}
         resultingChord={resultingChord}
-        selectedKey={selectedKey}
+        selectedKey={scaleRoot}
         projectTabToFretboard={projectTabToFretboard}
         currentTabPosition={currentTabPosition}
         pentatonicPlusPositions={pentatonicPlusPositions}
+        instrument={instrument}
+        tuning={activeTuning}
+        capo={capo}
+        leftHanded={leftHanded}
+        playerView={playerView}
+        accidentalPreference={accidentalPreference}
+        onNoteClick={handleFretboardNoteClick}
+        shapePositions={positionShape ? positionShape.positions : null}
+        hideOutsideShape={hideOutsideShape}
+        voicing={currentVoicing}
+        markedPositions={chordBuilderOpen ? builtChordNotes : []}
       />
 
       <div className="tab-loader-section">
@@ -731,6 +1354,7 @@ function App() {
               <div className="control-group paste-input-group">
                 <label htmlFor="tab-paste-input">Paste Tab Text:</label>
                 <textarea
+                  ref={pasteInputRef}
                   id="tab-paste-input"
                   value={pastedTabText}
                   onChange={(e) => setPastedTabText(e.target.value)}
@@ -747,6 +1371,12 @@ function App() {
                 Parse Tab
               </button>
             </div>
+            <TabFileImport accept={[...GUITAR_PRO_EXTENSIONS, ...MUSICXML_EXTENSIONS]} onImport={handleImportFile} />
+            <TabDiagnostics
+              text={pastedTabText}
+              diagnostics={pastedTabDiagnostics}
+              onSelectLine={selectPastedLine}
+            />
             {error && (
               <div className="error-message">
                 {error}
@@ -778,7 +1408,63 @@ function App() {
                   >
                     →
                   </button>
+                  <MeasureControls
+                    measures={tabMeasures}
+                    location={currentTabLocation}
+                    hasPrevious={Boolean(previousTabMeasure)}
+                    hasNext={Boolean(nextTabMeasure)}
+                    onPrevious={() => jumpToMeasure(previousTabMeasure.number)}
+                    onNext={() => jumpToMeasure(nextTabMeasure.number)}
+                    onJump={jumpToMeasure}
+                  />
+                  {tabSections.length > 0 && (
+                    <div className="control-group">
+                      <label htmlFor="tab-section-select">Section:</label>
+                      <select
+                        id="tab-section-select"
+                        value={tabSections.indexOf(currentTabSection)}
+                        onChange={(e) => jumpToSection(tabSections[parseInt(e.target.value, 10)])}
+                        className="select-input"
+                      >
+                        {!currentTabSection && <option value={-1}>—</option>}
+                        {tabSections.map((section, index) => (
+                          <option key={`${section.label}-${section.startColumn}`} value={index}>{section.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                 </div>
+                {importedSong && importedSong.tracks.filter(track => !track.isPercussion).length > 1 && (
+                  <div className="control-group">
+                    <label htmlFor="tab-track-select">Track:</label>
+                    <select
+                      id="tab-track-select"
+                      value={importedTrackIndex}
+                      onChange={(e) => loadImportedTrack(importedSong, parseInt(e.target.value, 10))}
+                      className="select-input"
+                    >
+                      {importedSong.tracks.map((track, index) => !track.isPercussion && (
+                        <option key={index} value={index}>{track.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <TuningSelector
+                  id="tab-tuning-select"
+                  label="Tab Tuning:"
+                  tuning={tabTuning}
+                  presets={instrument.tunings}
+                  preference={accidentalPreference}
+                  onTuningChange={setTabTuning}
+                  followLabel="Same as fretboard"
+                />
+                {tabDocument.tuning.source !== 'default' && (
+                  <span className="detected-tuning" title={tabDocument.tuning.detail}>
+                    Detected: {formatTuning(tabDocument.tuning.strings)}
+                    {tabDocument.tuning.source === 'override' ? ' (from the file)'
+                      : tabDocument.tuning.source === 'declaration' ? ' (from the tuning header)' : ' (from the string names)'}
+                  </span>
+                )}
                 <label className="ios-switch-label" onClick={() => setProjectTabToFretboard(!projectTabToFretboard)}>
                   <span className="switch-label-text">Project onto Fretboard</span>
                   <button
@@ -790,12 +1476,17 @@ function App() {
                     <span className="ios-switch-thumb"></span>
                   </button>
                 </label>
+                <button onClick={handleExportMusicXml} className="nav-button">
+                  Export MusicXML
+                </button>
                 <button
                   onClick={() => {
-                    setTabText('')
+                    setTabDocument(null)
+                    setImportedSong(null)
                     setPastedTabText('')
                     setError('')
                     setProjectTabToFretboard(false)
+                    setTabTuning(null)
                     setCurrentTabPosition(null)
                     setCurrentTabPositionIndex(0)
                   }}
@@ -805,12 +1496,42 @@ function App() {
                 </button>
               </div>
             </div>
+            {!keySuggestionDismissed && (
+              <KeySuggestion
+                candidates={tabKeyCandidates}
+                selectedKey={selectedKey}
+                selectedStyle={selectedStyle}
+                onApply={applyScaleMatch}
+                onDismiss={() => setKeySuggestionDismissed(true)}
+              />
+            )}
+            <TabTransport
+              playState={transportState}
+              bpm={bpm}
+              onBpmChange={(value) => setBpm(Math.min(MAX_BPM, Math.max(MIN_BPM, value)))}
+              countIn={countIn}
+              onCountInChange={setCountIn}
+              loop={tabLoop}
+              onClearLoop={() => setTabLoop(null)}
+              onPlay={handleTransportPlay}
+              onPause={handleTransportPause}
+              onStop={handleTransportStop}
+              onPlayFromHere={handlePlayFromHere}
+            />
             <TabRibbon 
               tabText={tabText}
               currentPositionIndex={currentTabPositionIndex}
               onPositionIndexChange={setCurrentTabPositionIndex}
               uniquePositions={tabUniquePositions}
+              events={tabEvents}
               onPositionChange={handlePositionChange}
+              tuning={activeTuning}
+              capo={capo}
+              loop={tabLoop}
+              onLoopChange={setTabLoop}
+              measures={tabMeasures}
+              chords={tabChords}
+              sections={tabSections}
             />
           </>
         )}
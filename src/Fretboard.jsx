@@ -1,12 +1,21 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect } from 'react'
 import './Fretboard.css'
 import { getChordFunction, getKeyFunction } from './utils/chords'
-import { getNoteWithOctaveAtFret, STRING_TUNINGS } from './utils/fretCalculator'
+import { getChordSymbolFunction } from './utils/chordSymbols'
+import { getStringLabel } from './utils/tunings'
+import { DEFAULT_INSTRUMENT } from './utils/instruments'
+import { playNoteSound } from './utils/audioPlayback'
+import { TECHNIQUES } from './utils/tabTechniques'
 
-function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextChordPositions = [], contextEnabled = false, displayMode = 'note', resultingChord = null, selectedKey = '', projectTabToFretboard = false, currentTabPosition = null, pentatonicPlusPositions = [] }) {
-  const strings = 6; // 6 strings
+function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextChordPositions = [], contextEnabled = false, displayMode = 'note', resultingChord = null, selectedKey = '', projectTabToFretboard = false, currentTabPosition = null, pentatonicPlusPositions = [], instrument = DEFAULT_INSTRUMENT, tuning = instrument.tuning, capo = 0, leftHanded = false, playerView = false, accidentalPreference = 'auto', onNoteClick = null, shapePositions = null, hideOutsideShape = false, voicing = null, markedPositions = [] }) {
+  const strings = tuning.length; // One row per string of the instrument
   const frets = numFrets; // Number of frets shown
-  const stringNames = ['e', 'b', 'G', 'D', 'A', 'E']; // String names (high E to low E, top to bottom)
+  const stringNames = tuning.map((_, stringIndex) => getStringLabel(tuning, stringIndex, instrument.trebleStrings, accidentalPreference)); // High to low, top to bottom
+  // Row order of the strings: highest string on top, or lowest on top in player's view
+  const stringOrder = Array.from({ length: strings }, (_, stringIndex) => stringIndex);
+  if (playerView) {
+    stringOrder.reverse();
+  }
 
   // Track window width for responsive scaling
   const [windowWidth, setWindowWidth] = useState(
@@ -56,6 +65,25 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
     });
   }
 
+  // Positions in the selected shape (null when no position system is active)
+  const shapePositionKeys = shapePositions
+    ? new Set(shapePositions.map(pos => `${pos.stringIndex}-${pos.fret}`))
+    : null;
+
+  // Map the selected chord voicing's notes (with finger numbers) by position
+  const voicingPositionMap = new Map();
+  if (voicing) {
+    voicing.notes.forEach(note => {
+      voicingPositionMap.set(`${note.stringIndex}-${note.fret}`, note);
+    });
+  }
+
+  // Map the notes clicked in build-chord mode by position
+  const markedPositionMap = new Map();
+  markedPositions.forEach(pos => {
+    markedPositionMap.set(`${pos.stringIndex}-${pos.fret}`, pos);
+  });
+
   // Create a map for pentatonic plus positions (4th and 7th degrees)
   const pentatonicPlusPositionMap = new Map();
   pentatonicPlusPositions.forEach(pos => {
@@ -70,6 +98,10 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
     if (displayMode === 'note') {
       return position.note;
     } else if (displayMode === 'chord') {
+      // Typed chord symbols carry their own intervals
+      if (resultingChord.intervals) {
+        return getChordSymbolFunction(position.note, resultingChord);
+      }
       const voicing = resultingChord.voicing || 'Major';
       const chordRoot = resultingChord.root || position.note;
       return getChordFunction(position.note, chordRoot, voicing);
@@ -89,133 +121,8 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
     return null;
   }
 
-  // Helper function to get sound file path for a note and octave
-  const getSoundFilePath = (note, octave) => {
-    // Sound files are named like: A2.wav, B3.wav, C#3.wav, etc.
-    // Note name already contains # for sharps (e.g., "C#")
-    const fileName = `${note}${octave}.wav`;
-    // Use import.meta.env.BASE_URL to get the base path (e.g., '/FretFocus/' in production)
-    return `${import.meta.env.BASE_URL}acoustic_guitar_sound_pack/${fileName}`;
-  }
-
-  // Web Audio API context for pitch-shifting
-  const audioContextRef = useRef(null);
-  
-  // Cache of audio buffers - one per string
-  const audioBufferCache = useRef(new Map());
-  
-  // Representative sample for each string (one sample per string, pitch-shifted for all frets)
-  // Each sample is the open string note if available, otherwise closest match
-  const stringSamples = [
-    { stringIndex: 0, file: 'E4.wav', note: 'E', octave: 4 },   // High E string - open = E4
-    { stringIndex: 1, file: 'B4.wav', note: 'B', octave: 4 },   // B string - open = B3, use B4
-    { stringIndex: 2, file: 'E4.wav', note: 'E', octave: 4 },   // G string - open = G3, use E4
-    { stringIndex: 3, file: 'D3.wav', note: 'D', octave: 3 },   // D string - open = D3
-    { stringIndex: 4, file: 'A3.wav', note: 'A', octave: 3 },   // A string - open = A2, use A3
-    { stringIndex: 5, file: 'E2.wav', note: 'E', octave: 2 },   // Low E string - open = E2
-  ];
-
-  // Helper to load audio buffer for a string
-  const loadStringBuffer = async (stringIndex) => {
-    const stringSample = stringSamples.find(s => s.stringIndex === stringIndex);
-    if (!stringSample) return null;
-    
-    const filePath = `${import.meta.env.BASE_URL}acoustic_guitar_sound_pack/${stringSample.file}`;
-    
-    if (audioBufferCache.current.has(filePath)) {
-      return audioBufferCache.current.get(filePath);
-    }
-    
-    if (!audioContextRef.current) {
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    
-    try {
-      const response = await fetch(filePath);
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
-      audioBufferCache.current.set(filePath, audioBuffer);
-      return audioBuffer;
-    } catch (error) {
-      return null;
-    }
-  }
-
-  // Function to play note sound with pitch-shifting
-  const playNoteSound = async (stringIndex, fret) => {
-    try {
-      // Get the target note and the open string note
-      const { note: targetNote, octave: targetOctave } = getNoteWithOctaveAtFret(stringIndex, fret);
-      const stringTuning = STRING_TUNINGS[stringIndex];
-      const openNoteName = stringTuning.name;
-      const openMidi = stringTuning.midi;
-      
-      // Get the sample for this string
-      const stringSample = stringSamples.find(s => s.stringIndex === stringIndex);
-      if (!stringSample) return;
-      
-      // Calculate MIDI notes
-      const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-      const targetNoteIndex = NOTE_NAMES.indexOf(targetNote);
-      const targetMidi = (targetOctave + 1) * 12 + targetNoteIndex;
-      
-      const sampleNoteIndex = NOTE_NAMES.indexOf(stringSample.note);
-      const sampleMidi = (stringSample.octave + 1) * 12 + sampleNoteIndex;
-      
-      // Calculate how many semitones to shift from sample to target
-      const semitonesToShift = targetMidi - sampleMidi;
-      const detune = semitonesToShift * 100; // Convert semitones to cents
-      
-      // Load the representative sample for this string
-      const audioBuffer = await loadStringBuffer(stringIndex);
-      
-      if (!audioBuffer) {
-        return; // No audio available
-      }
-      
-      // Play using Web Audio API
-      if (!audioContextRef.current) {
-        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-      }
-      
-      // Resume audio context if suspended (required by some browsers)
-      if (audioContextRef.current.state === 'suspended') {
-        await audioContextRef.current.resume();
-      }
-      
-      // Create gain node for fade-out envelope
-      const gainNode = audioContextRef.current.createGain();
-      const source = audioContextRef.current.createBufferSource();
-      source.buffer = audioBuffer;
-      source.detune.value = detune;
-      
-      // Connect: source -> gain -> destination
-      source.connect(gainNode);
-      gainNode.connect(audioContextRef.current.destination);
-      
-      // Apply triangular fade-out envelope (ramp down to silence quickly)
-      const fadeDuration = 0.3; // 0.3 seconds fade (shorter for quicker cutoff)
-      const currentTime = audioContextRef.current.currentTime;
-      const duration = audioBuffer.duration;
-      
-      // Start at full volume
-      gainNode.gain.setValueAtTime(1.0, currentTime);
-      
-      // Ramp down to silence using linear (triangular) envelope
-      // Start fade earlier to cut off tails more aggressively
-      // Fade starts at 0.2 seconds into the sample, or immediately if duration is short
-      const fadeStartTime = currentTime + Math.min(0.2, duration * 0.3);
-      const fadeEndTime = fadeStartTime + fadeDuration;
-      gainNode.gain.linearRampToValueAtTime(0, fadeEndTime);
-      
-      source.start(0);
-    } catch (error) {
-      // Silently handle errors
-    }
-  }
-
-  // String thickness progression (thinner at top, thicker at bottom)
-  const stringThicknesses = [2, 2.5, 3, 3.5, 4, 4.5]; // in pixels
+  // String thickness progression from the instrument profile (in pixels)
+  const stringThicknesses = instrument.stringThicknesses;
 
   // Geometric fret spacing calculation
   // Total scale length is CONSTANT - does not change with number of frets
@@ -272,7 +179,8 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
 
   return (
     <div className="fretboard-container">
-      <div className="fretboard-wrapper" style={{ position: 'relative' }}>
+      {/* Left-handed mode mirrors the geometry with CSS (row-reverse), so click targets move with the frets */}
+      <div className={`fretboard-wrapper ${leftHanded ? 'left-handed' : ''}`} style={{ position: 'relative' }}>
         {/* Fret numbers row */}
         <div className="fret-numbers-row">
           <div className="string-label-space"></div>
@@ -280,6 +188,7 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
             // Calculate position to center over the actual rendered fret boxes
             // The frets are flex children after the 50px string-label
             // So they start at 50px from the start of the string-container
+            // (measured from the right edge when the fretboard is mirrored)
             const stringLabelWidth = 50;
             let leftOffset = stringLabelWidth;
             
@@ -296,21 +205,24 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
                 className="fret-number" 
                 style={{ 
                   // Display numbers from 0 to frets-1 (e.g., 0-15 for 16 frets)
-                  left: `${leftOffset}px`
+                  [leftHanded ? 'right' : 'left']: `${leftOffset}px`
                 }}
               >
-                {fretIndex}
+                {/* The capo acts as the nut, so numbering restarts at the capo fret */}
+                {fretIndex >= capo ? fretIndex - capo : ''}
               </div>
             );
           })}
         </div>
         
         <div className="fretboard">
-          {/* Strings (horizontal lines) - high E at top, low E at bottom */}
-          {Array.from({ length: strings }).map((_, stringIndex) => (
+          {/* Strings (horizontal lines) - high E at top, low E at bottom (reversed in player's view) */}
+          {stringOrder.map(stringIndex => (
             <div key={stringIndex} className="string-container">
-              {/* String label */}
-              <div className="string-label">{stringNames[stringIndex]}</div>
+              {/* String label (marked when the selected voicing mutes the string) */}
+              <div className={`string-label ${voicing && voicing.strings[stringIndex].fret === null ? 'muted-string' : ''}`}>
+                {stringNames[stringIndex]}
+              </div>
               
               {/* Steel string - progressively thicker */}
               <div 
@@ -323,12 +235,16 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
               {/* Frets (vertical rectangles) */}
               {Array.from({ length: frets + 1 }).map((_, fretIndex) => {
                 const positionKey = `${stringIndex}-${fretIndex}`;
-                const isScaleNote = scalePositionMap.has(positionKey);
+                // Notes outside the selected shape are dimmed, or hidden entirely
+                const isOutsideShape = shapePositionKeys !== null && !shapePositionKeys.has(positionKey);
+                const isScaleNote = scalePositionMap.has(positionKey) && !(isOutsideShape && hideOutsideShape);
+                // Frets behind the capo can't be played
+                const isBelowCapo = fretIndex < capo;
                 
                 return (
                   <div
                     key={fretIndex}
-                    className={`fret ${fretIndex === 0 ? 'nut' : ''} ${fretIndex === frets ? 'last-fret' : ''}`}
+                    className={`fret ${fretIndex === 0 ? 'nut' : ''} ${fretIndex === frets ? 'last-fret' : ''} ${isBelowCapo ? 'below-capo' : ''} ${isOutsideShape ? 'outside-shape' : ''}`}
                     style={{
                       // Use geometric spacing for fret widths
                       width: fretWidths[fretIndex] > 0 ? `${fretWidths[fretIndex]}px` : '0',
@@ -339,10 +255,19 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
                         (fretIndex % 2 === 1 ? '#f0e6d2' : '#e8dcc0')),
                       // Add some depth with box shadow on frets
                       boxShadow: fretIndex > 0 ? 'inset 0 1px 2px rgba(0,0,0,0.1)' : 'none',
-                      cursor: 'pointer', // Show pointer cursor to indicate clickability
+                      cursor: isBelowCapo ? 'not-allowed' : 'pointer', // Show pointer cursor to indicate clickability
+                    }}
+                    onClick={() => {
+                      if (isBelowCapo) return;
+                      playNoteSound(stringIndex, fretIndex, tuning, instrument.samples);
+                      if (onNoteClick) onNoteClick(stringIndex, fretIndex);
                     }}
-                    onClick={() => playNoteSound(stringIndex, fretIndex)}
                   >
+                    {/* Capo bar across the capo fret (it replaces the nut) */}
+                    {capo > 0 && fretIndex === capo && (
+                      <div className="capo-bar" />
+                    )}
+
                     {/* Fret wire (small dark line) */}
                     {fretIndex > 0 && (
                       <div className="fret-wire" />
@@ -413,10 +338,24 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
                     })()}
                     
                     {/* Tiny key bubbles for Pentatonic + mode (4th and 7th degrees) */}
-                    {pentatonicPlusPositionMap.has(positionKey) && (
+                    {pentatonicPlusPositionMap.has(positionKey) && !(isOutsideShape && hideOutsideShape) && (
                       <div className={contextEnabled ? "tiny-key-bubble-context" : "tiny-key-bubble"} />
                     )}
 
+                    {/* Selected voicing: finger number (blank for open strings) */}
+                    {voicingPositionMap.has(positionKey) && (
+                      <div className="voicing-finger">
+                        {voicingPositionMap.get(positionKey).finger || ''}
+                      </div>
+                    )}
+
+                    {/* Build-chord mode: clicked notes */}
+                    {markedPositionMap.has(positionKey) && (
+                      <div className="marked-note">
+                        {markedPositionMap.get(positionKey).note}
+                      </div>
+                    )}
+
                     {/* Tab position markers - current position (circle with dashes) */}
                     {projectTabToFretboard && currentTabPositionMap.has(positionKey) && (
                       <div className="tab-position-marker" data-position-key={positionKey}>
@@ -432,6 +371,12 @@ function Fretboard({ scalePositions = [], rootNote = '', numFrets = 16, contextC
                           {/* Right dash */}
                           <line x1="26" y1="18" x2="32" y2="18" stroke="#ff4757" strokeWidth="2" opacity="0.8"/>
                         </svg>
+                        {/* Technique badge (e.g., 'h' for a hammer-on, 'b' for a bend) */}
+                        {currentTabPositionMap.get(positionKey).techniques?.length > 0 && (
+                          <span className="tab-technique-marker">
+                            {currentTabPositionMap.get(positionKey).techniques.map(technique => TECHNIQUES[technique.type].symbol).join(' ')}
+                          </span>
+                        )}
                       </div>
                     )}
                   </div>
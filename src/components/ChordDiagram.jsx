@@ -0,0 +1,105 @@
+import './ChordDiagram.css'
+
+// Diagram geometry (in SVG units)
+const STRING_SPACING = 18
+const FRET_SPACING = 22
+const LEFT_MARGIN = 26
+const TOP_MARGIN = 26
+const SHOWN_FRETS = 5
+
+// Chord box for a voicing: lowest string on the left, nut (or capo) at the top
+function ChordDiagram({ voicing, title = '', onClick = null }) {
+  const stringCount = voicing.strings.length
+  const { capo } = voicing
+
+  // Start at the nut when the shape fits there, otherwise at the lowest fretted note
+  const baseFret = voicing.maxFret - capo < SHOWN_FRETS ? capo + 1 : voicing.minFret
+  const atNut = baseFret === capo + 1
+
+  const width = LEFT_MARGIN + (stringCount - 1) * STRING_SPACING + 12
+  const height = TOP_MARGIN + SHOWN_FRETS * FRET_SPACING + 8
+
+  // Column of a string: the lowest string (highest index) is on the left
+  const stringX = (stringIndex) => LEFT_MARGIN + (stringCount - 1 - stringIndex) * STRING_SPACING
+  const fretY = (fret) => TOP_MARGIN + (fret - baseFret + 0.5) * FRET_SPACING
+
+  return (
+    <svg
+      className={`chord-diagram ${onClick ? 'clickable' : ''}`}
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      onClick={onClick}
+      role="img"
+      aria-label={title}
+    >
+      {title && <title>{title}</title>}
+
+      {/* Nut (or a thin top line with the starting fret number) */}
+      <line
+        x1={stringX(stringCount - 1)} y1={TOP_MARGIN}
+        x2={stringX(0)} y2={TOP_MARGIN}
+        className={atNut ? 'chord-diagram-nut' : 'chord-diagram-fret'}
+      />
+      {!atNut && (
+        <text x={LEFT_MARGIN - 8} y={fretY(baseFret) + 4} className="chord-diagram-base-fret" textAnchor="end">
+          {baseFret - capo}
+        </text>
+      )}
+
+      {/* Frets and strings */}
+      {Array.from({ length: SHOWN_FRETS }, (_, index) => (
+        <line
+          key={`fret-${index}`}
+          x1={stringX(stringCount - 1)} y1={TOP_MARGIN + (index + 1) * FRET_SPACING}
+          x2={stringX(0)} y2={TOP_MARGIN + (index + 1) * FRET_SPACING}
+          className="chord-diagram-fret"
+        />
+      ))}
+      {voicing.strings.map(string => (
+        <line
+          key={`string-${string.stringIndex}`}
+          x1={stringX(string.stringIndex)} y1={TOP_MARGIN}
+          x2={stringX(string.stringIndex)} y2={TOP_MARGIN + SHOWN_FRETS * FRET_SPACING}
+          className="chord-diagram-string"
+        />
+      ))}
+
+      {/* Muted (x) and open (o) markers above the nut */}
+      {voicing.strings.map(string => (string.fret === null || string.fret === capo) && (
+        <text
+          key={`marker-${string.stringIndex}`}
+          x={stringX(string.stringIndex)} y={TOP_MARGIN - 8}
+          className="chord-diagram-marker"
+          textAnchor="middle"
+        >
+          {string.fret === null ? '×' : '○'}
+        </text>
+      ))}
+
+      {/* Barre */}
+      {voicing.barre && (
+        <rect
+          x={stringX(voicing.barre.fromString) - 7}
+          y={fretY(voicing.barre.fret) - 7}
+          width={stringX(voicing.barre.toString) - stringX(voicing.barre.fromString) + 14}
+          height={14}
+          rx={7}
+          className="chord-diagram-dot"
+        />
+      )}
+
+      {/* Fretted notes with finger numbers */}
+      {voicing.strings.filter(string => string.fret !== null && string.fret > capo).map(string => (
+        <g key={`dot-${string.stringIndex}`}>
+          <circle cx={stringX(string.stringIndex)} cy={fretY(string.fret)} r={7} className="chord-diagram-dot" />
+          <text x={stringX(string.stringIndex)} y={fretY(string.fret) + 3.5} className="chord-diagram-finger" textAnchor="middle">
+            {string.finger || ''}
+          </text>
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+export default ChordDiagram
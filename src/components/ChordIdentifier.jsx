@@ -0,0 +1,51 @@
+import { formatInterpretations } from '../utils/chordIdentify'
+import './ChordIdentifier.css'
+
+// Panel for build-chord mode: the clicked notes and every chord name they fit
+function ChordIdentifier({ notes, interpretations, keyName, onStrum, onClear, onClose }) {
+  // List the notes from the lowest string up, so the bass comes first
+  const orderedNotes = [...notes].sort((a, b) => b.stringIndex - a.stringIndex)
+
+  return (
+    <div className="chord-identifier">
+      <div className="chord-identifier-header">
+        <h3 className="chord-identifier-title">Build Chord</h3>
+        <span className="chord-identifier-hint">Click frets to add or remove notes (one per string)</span>
+        <button className="chord-identifier-close" onClick={onClose} aria-label="Close chord builder">×</button>
+      </div>
+
+      <div className="chord-identifier-notes">
+        Notes: {orderedNotes.length > 0 ? orderedNotes.map(note => note.note).join(' ') : <span className="chord-identifier-empty">none</span>}
+      </div>
+
+      {interpretations.length > 0 ? (
+        <>
+          <div className="chord-identifier-summary">{formatInterpretations(interpretations)}</div>
+          <ul className="chord-identifier-results">
+            {interpretations.map(interpretation => (
+              <li key={interpretation.symbol} className="chord-identifier-result">
+                <span className="chord-identifier-symbol">{interpretation.symbol}</span>
+                <span className="chord-identifier-detail">
+                  {interpretation.inversion} (bass {interpretation.bass})
+                  {interpretation.numeral && ` · ${interpretation.numeral} in ${keyName}`}
+                  {interpretation.omitted.length > 0 && ` · no ${interpretation.omitted.join(', ')}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <div className="chord-identifier-empty">
+          {notes.length < 2 ? 'Add at least two different notes' : 'No chord matches these notes'}
+        </div>
+      )}
+
+      <div className="chord-identifier-actions">
+        <button className="load-button" onClick={onStrum} disabled={notes.length === 0}>Strum</button>
+        <button className="nav-button" onClick={onClear} disabled={notes.length === 0}>Clear</button>
+      </div>
+    </div>
+  )
+}
+
+export default ChordIdentifier
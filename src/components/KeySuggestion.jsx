@@ -0,0 +1,49 @@
+import './KeySuggestion.css'
+
+// Number of alternatives listed after the best guess
+const ALTERNATIVE_COUNT = 4
+
+// Formats a confidence (0-1) as a percentage
+const formatConfidence = (confidence) => `${Math.round(confidence * 100)}%`
+
+// Suggested key and scale for the loaded tab, with its confidence and the runners-up
+function KeySuggestion({ candidates, selectedKey, selectedStyle, onApply, onDismiss }) {
+  if (candidates.length === 0) return null
+
+  const [best, ...rest] = candidates
+  const alternatives = rest.slice(0, ALTERNATIVE_COUNT)
+  const isApplied = (candidate) => candidate.key === selectedKey && candidate.style === selectedStyle
+
+  return (
+    <div className="key-suggestion">
+      <span className="key-suggestion-title">Detected key:</span>
+      <span className="key-suggestion-best">{best.label}</span>
+      <span className="key-suggestion-confidence">{formatConfidence(best.confidence)} confidence</span>
+      {isApplied(best) ? (
+        <span className="key-suggestion-applied">✓ Applied</span>
+      ) : (
+        <button className="nav-button key-suggestion-apply" onClick={() => onApply(best)}>Apply</button>
+      )}
+
+      {alternatives.length > 0 && (
+        <span className="key-suggestion-alternatives">
+          Alternatives:
+          {alternatives.map(candidate => (
+            <button
+              key={`${candidate.key}-${candidate.style}`}
+              className={`key-suggestion-alternative ${isApplied(candidate) ? 'applied' : ''}`}
+              onClick={() => onApply(candidate)}
+              title={candidate.notes.join(' ')}
+            >
+              {candidate.label} ({formatConfidence(candidate.confidence)})
+            </button>
+          ))}
+        </span>
+      )}
+
+      <button className="key-suggestion-dismiss" onClick={onDismiss} aria-label="Dismiss key suggestion">×</button>
+    </div>
+  )
+}
+
+export default KeySuggestion
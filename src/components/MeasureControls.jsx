@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import { formatMeasureBeat } from '../utils/measures'
+import './MeasureControls.css'
+
+// Where the current position is (measure and beat), with previous/next measure and jump-to-measure controls
+function MeasureControls({ measures, location, hasPrevious, hasNext, onPrevious, onNext, onJump }) {
+  const [measureInput, setMeasureInput] = useState('')
+
+  if (measures.length === 0) return null
+
+  const handleJump = (e) => {
+    e.preventDefault()
+    const number = parseInt(measureInput, 10)
+    if (number >= 1 && number <= measures.length) {
+      onJump(number)
+      setMeasureInput('')
+    }
+  }
+
+  return (
+    <div className="measure-controls">
+      <button
+        className="nav-button measure-button"
+        onClick={onPrevious}
+        disabled={!hasPrevious}
+        aria-label="Previous measure"
+        title="Previous measure (Shift+←)"
+      >
+        ⇤
+      </button>
+      <span className="measure-location">{formatMeasureBeat(location)}</span>
+      <button
+        className="nav-button measure-button"
+        onClick={onNext}
+        disabled={!hasNext}
+        aria-label="Next measure"
+        title="Next measure (Shift+→)"
+      >
+        ⇥
+      </button>
+      <form className="measure-jump" onSubmit={handleJump}>
+        <input
+          type="number"
+          min={1}
+          max={measures.length}
+          value={measureInput}
+          onChange={(e) => setMeasureInput(e.target.value)}
+          placeholder="Bar"
+          className="measure-jump-input"
+          aria-label="Measure number"
+        />
+        <button type="submit" className="nav-button measure-button" disabled={!measureInput}>Go</button>
+      </form>
+    </div>
+  )
+}
+
+export default MeasureControls
@@ -0,0 +1,138 @@
+import { useState, useRef } from 'react'
+import { getScaleNotes } from '../utils/scales'
+import { noteToPitchClass, spellPitchClass } from '../utils/spelling'
+import { createUserScale, exportUserScales, parseUserScales, formatPattern } from '../utils/userScales'
+import './ScaleBuilder.css'
+
+// Degree names for the 12 chromatic steps above the root
+const DEGREE_NAMES = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7']
+
+function ScaleBuilder({ rootNote, preference = 'auto', degrees, onDegreesChange, userScales, onSaveScale, onDeleteScale, onImportScales, onClose }) {
+  const [name, setName] = useState('')
+  const [error, setError] = useState('')
+  const fileInputRef = useRef(null)
+
+  // Spell the chosen notes as a scale; other degrees follow the preference
+  const scaleNotes = getScaleNotes(rootNote, degrees, preference)
+  const rootPitchClass = noteToPitchClass(rootNote)
+
+  const toggleDegree = (semitone) => {
+    if (semitone === 0) return // The root is always part of the scale
+    onDegreesChange(degrees.includes(semitone)
+      ? degrees.filter(degree => degree !== semitone)
+      : [...degrees, semitone].sort((a, b) => a - b))
+  }
+
+  const handleSave = () => {
+    try {
+      onSaveScale(createUserScale(name, degrees))
+      setName('')
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Load a saved scale back into the editor
+  const handleEdit = (scale) => {
+    onDegreesChange(scale.pattern)
+    setName(scale.name)
+    setError('')
+  }
+
+  const handleExport = () => {
+    const blob = new Blob([exportUserScales(userScales)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'fretfocus-scales.json'
+    link.click()
+    // Revoked once the click has been handled, so the download isn't cancelled
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = '' // Allow importing the same file again
+    if (!file) return
+
+    try {
+      onImportScales(parseUserScales(await file.text()))
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="scale-builder">
+      <div className="scale-builder-header">
+        <h3 className="scale-builder-title">Scale Builder</h3>
+        <span className="scale-builder-hint">Toggle degrees or click notes on the fretboard</span>
+        <button className="scale-builder-close" onClick={onClose} aria-label="Close scale builder">×</button>
+      </div>
+
+      <div className="scale-builder-degrees">
+        {DEGREE_NAMES.map((degreeName, semitone) => {
+          const isSelected = degrees.includes(semitone)
+          return (
+            <button
+              key={semitone}
+              className={`scale-degree-button ${isSelected ? 'selected' : ''} ${semitone === 0 ? 'root' : ''}`}
+              onClick={() => toggleDegree(semitone)}
+              disabled={semitone === 0}
+            >
+              <span className="scale-degree-name">{degreeName}</span>
+              <span className="scale-degree-note">
+                {spellPitchClass((rootPitchClass + semitone) % 12, preference, scaleNotes)}
+              </span>
+            </button>
+          )
+        })}
+      </div>
+
+      <div className="scale-builder-formula">
+        {formatPattern(degrees)} <span className="scale-builder-notes">({scaleNotes.join(' ')})</span>
+      </div>
+
+      <div className="scale-builder-save">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Scale name"
+          className="scale-builder-name"
+        />
+        <button className="load-button" onClick={handleSave}>Save Scale</button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="scale-builder-saved">
+        {userScales.map(scale => (
+          <span key={scale.id} className="saved-scale">
+            <button className="saved-scale-name" onClick={() => handleEdit(scale)} title={formatPattern(scale.pattern)}>
+              {scale.name}
+            </button>
+            <button className="saved-scale-delete" onClick={() => onDeleteScale(scale.id)} aria-label={`Delete ${scale.name}`}>×</button>
+          </span>
+        ))}
+      </div>
+
+      <div className="scale-builder-files">
+        <button className="nav-button" onClick={handleExport} disabled={userScales.length === 0}>Export JSON</button>
+        <button className="nav-button" onClick={() => fileInputRef.current.click()}>Import JSON</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+    </div>
+  )
+}
+
+export default ScaleBuilder
@@ -0,0 +1,91 @@
+import { useState } from 'react'
+import { parseNoteList } from '../utils/scaleFinder'
+import './ScaleFinder.css'
+
+// Number of matches listed before "Show all"
+const INITIAL_MATCH_COUNT = 12
+
+// Panel for finding the keys and scales that contain a set of notes
+function ScaleFinder({ notes, onNotesChange, matches, onApply, onFromTab = null, onClose }) {
+  const [text, setText] = useState('')
+  const [error, setError] = useState('')
+  const [showAll, setShowAll] = useState(false)
+
+  const handleFind = () => {
+    try {
+      onNotesChange(parseNoteList(text))
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const shownMatches = showAll ? matches : matches.slice(0, INITIAL_MATCH_COUNT)
+
+  return (
+    <div className="scale-finder">
+      <div className="scale-finder-header">
+        <h3 className="scale-finder-title">Scale Finder</h3>
+        <span className="scale-finder-hint">Type notes or click them on the fretboard; the first note is taken as the likely tonic</span>
+        <button className="scale-finder-close" onClick={onClose} aria-label="Close scale finder">×</button>
+      </div>
+
+      <div className="scale-finder-input">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleFind()}
+          placeholder="e.g. A C D E G"
+          className="scale-finder-text"
+        />
+        <button className="load-button" onClick={handleFind}>Find</button>
+        {onFromTab && (
+          <button className="nav-button" onClick={onFromTab}>From Tab</button>
+        )}
+        <button className="nav-button" onClick={() => onNotesChange([])} disabled={notes.length === 0}>Clear</button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="scale-finder-notes">
+        {notes.length > 0 ? notes.map(note => (
+          <button
+            key={note}
+            className="scale-finder-note"
+            onClick={() => onNotesChange(notes.filter(existing => existing !== note))}
+            title="Remove this note"
+          >
+            {note} ×
+          </button>
+        )) : <span className="scale-finder-empty">No notes yet</span>}
+      </div>
+
+      {notes.length > 0 && (matches.length > 0 ? (
+        <>
+          <ul className="scale-finder-results">
+            {shownMatches.map(match => (
+              <li key={`${match.key}-${match.style}`} className="scale-finder-result">
+                <span className="scale-finder-label">{match.label}</span>
+                <span className="scale-finder-fit">{Math.round(match.fit * 100)}%</span>
+                <span className="scale-finder-extra">
+                  {match.extraNotes.length > 0 ? `+ ${match.extraNotes.join(' ')}` : 'exact'}
+                </span>
+                <button className="nav-button scale-finder-apply" onClick={() => onApply(match)}>Apply</button>
+              </li>
+            ))}
+          </ul>
+          {matches.length > INITIAL_MATCH_COUNT && (
+            <button className="build-scale-button" onClick={() => setShowAll(!showAll)}>
+              {showAll ? 'Show fewer' : `Show all ${matches.length}`}
+            </button>
+          )}
+        </>
+      ) : (
+        <div className="scale-finder-empty">No scale contains all of these notes</div>
+      ))}
+    </div>
+  )
+}
+
+export default ScaleFinder
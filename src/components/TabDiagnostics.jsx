@@ -0,0 +1,60 @@
+import { useRef } from 'react'
+import './TabDiagnostics.css'
+
+// Problems found in pasted tab text, next to a line-numbered copy of the text with the offending lines highlighted
+function TabDiagnostics({ text, diagnostics, onSelectLine }) {
+  const sourceRef = useRef(null)
+
+  if (diagnostics.length === 0) return null
+
+  const lines = text.split('\n')
+  const severityByLine = new Map()
+  diagnostics.forEach(diagnostic => {
+    if (diagnostic.line !== null && severityByLine.get(diagnostic.line) !== 'error') {
+      severityByLine.set(diagnostic.line, diagnostic.severity)
+    }
+  })
+
+  // Scroll the source to a line and select it in the paste box
+  const selectLine = (line) => {
+    if (line === null) return
+    const row = sourceRef.current && sourceRef.current.querySelector(`[data-line="${line}"]`)
+    if (row) row.scrollIntoView({ block: 'nearest' })
+    onSelectLine(line)
+  }
+
+  return (
+    <div className="tab-diagnostics">
+      <ul className="tab-diagnostics-list">
+        {diagnostics.map((diagnostic, index) => (
+          <li
+            key={index}
+            className={`tab-diagnostic ${diagnostic.severity}`}
+            onClick={() => selectLine(diagnostic.line)}
+          >
+            <span className="tab-diagnostic-location">
+              {diagnostic.line !== null ? `Line ${diagnostic.line}:${diagnostic.column}` : 'Tab'}
+            </span>
+            <span className="tab-diagnostic-severity">{diagnostic.severity}</span>
+            <span className="tab-diagnostic-message">{diagnostic.message}</span>
+          </li>
+        ))}
+      </ul>
+
+      <pre ref={sourceRef} className="tab-diagnostics-source">
+        {lines.map((line, index) => {
+          const severity = severityByLine.get(index + 1)
+          return (
+            <span key={index} data-line={index + 1} className={`tab-diagnostics-line ${severity || ''}`}>
+              <span className="tab-diagnostics-line-number">{index + 1}</span>
+              {line}
+              {'\n'}
+            </span>
+          )
+        })}
+      </pre>
+    </div>
+  )
+}
+
+export default TabDiagnostics
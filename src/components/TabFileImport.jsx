@@ -0,0 +1,48 @@
+import { useState, useRef } from 'react'
+import './TabFileImport.css'
+
+// Drop zone and file picker for loading a tab from a file (Guitar Pro or MusicXML)
+function TabFileImport({ accept, onImport }) {
+  const [dragging, setDragging] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const handleFiles = (files) => {
+    const file = files[0]
+    if (file) onImport(file)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    handleFiles(e.dataTransfer.files)
+  }
+
+  return (
+    <div
+      className={`tab-file-import ${dragging ? 'dragging' : ''}`}
+      onDragOver={(e) => {
+        e.preventDefault()
+        setDragging(true)
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+    >
+      <span className="tab-file-import-hint">
+        Drop a Guitar Pro or MusicXML file here ({accept.join(', ')}) or
+      </span>
+      <button className="nav-button" onClick={() => fileInputRef.current.click()}>Choose File</button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={accept.join(',')}
+        onChange={(e) => {
+          handleFiles(e.target.files)
+          e.target.value = '' // Allow importing the same file again
+        }}
+        hidden
+      />
+    </div>
+  )
+}
+
+export default TabFileImport
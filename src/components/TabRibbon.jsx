@@ -1,13 +1,21 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
-import { findUniqueCharacterPositions, parseNotesAtColumn } from '../utils/parseTabText'
-import { getNoteAtFret } from '../utils/fretCalculator'
+import { findUniqueCharacterPositions } from '../utils/parseTabText'
+import { TECHNIQUES, getEventsAtPosition, getTabPositionNotes, describeTechnique } from '../utils/tabTechniques'
+import { formatDuration } from '../utils/rhythm'
+import { findAnnotationAt } from '../utils/annotations'
 import './TabRibbon.css'
 
-function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPositionIndexChange, uniquePositions }) {
+// Pixels the mouse must move before a press on the tab becomes a loop selection
+const LOOP_DRAG_THRESHOLD = 8
+
+function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPositionIndexChange, uniquePositions, tuning, capo = 0, events = [], loop = null, onLoopChange, measures = [], chords = [], sections = [] }) {
   const [isDragging, setIsDragging] = useState(false)
+  const [loopDrag, setLoopDrag] = useState(null) // {startX, startIndex} while dragging out a loop region
   const contentRef = useRef(null)
   const highlightRef = useRef(null)
+  const loopRegionRef = useRef(null)
   const dragStartXRef = useRef(0)
+  const suppressClickRef = useRef(false) // The click that ends a loop drag doesn't move the position
 
   if (!tabText) {
     return null;
@@ -24,6 +32,34 @@ function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPosition
   const currentColumn = typeof currentPos === 'object' ? currentPos.column : (currentPos ?? 0)
   const currentWidth = typeof currentPos === 'object' ? currentPos.width : 1
 
+  // A line of labels aligned with the tab's columns (e.g., measure numbers or chord names)
+  const buildAlignedLine = (labels) => {
+    const pipeIndex = lines.length > 0 ? lines[0].indexOf('|') : -1
+    if (pipeIndex === -1 || labels.length === 0) return null
+    const chars = Array.from({ length: lines[0].length }, () => ' ')
+    labels.forEach(({ column, text }) => {
+      text.split('').forEach((char, offset) => {
+        chars[pipeIndex + 1 + column + offset] = char
+      })
+    })
+    return chars.join('').trimEnd()
+  }
+
+  // Section headers and measure numbers above the tab, chord names and durations (q, e, s, ...) below it
+  const sectionLine = buildAlignedLine(sections.map(section => ({ column: section.startColumn, text: `[${section.label}]` })))
+  const measureLine = buildAlignedLine(measures.map(measure => ({ column: measure.startColumn, text: `${measure.number}` })))
+  const chordLine = buildAlignedLine(chords.map(chord => ({ column: chord.startColumn, text: chord.text })))
+  const durationLine = buildAlignedLine(calculatedUniquePositions
+    .filter(pos => typeof pos === 'object' && pos.duration)
+    .map(pos => ({ column: pos.column, text: formatDuration(pos.duration) })))
+
+  // Section and chord the current position has passed
+  const currentSection = findAnnotationAt(sections, currentColumn)
+  const currentChord = findAnnotationAt(chords, currentColumn)
+
+  // Note events (with techniques) at the current position
+  const currentEvents = getEventsAtPosition(events, { column: currentColumn, width: currentWidth })
+
   // Parse notes for current position
   useEffect(() => {
     if (!tabText || calculatedUniquePositions.length === 0) {
@@ -33,18 +69,12 @@ function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPosition
       return
     }
 
-    // Parse current position notes
-    const currentNotes = parseNotesAtColumn(tabText, currentColumn).map(note => ({
-      ...note,
-      note: getNoteAtFret(note.stringIndex, note.fret)
-    }))
-
+    // Notes at the current position, with their techniques and duration
     if (onPositionChange) {
-      onPositionChange(
-        currentNotes.length > 0 ? { column: currentColumn, notes: currentNotes } : null
-      )
+      const position = typeof currentPos === 'object' ? currentPos : { column: currentColumn, width: currentWidth }
+      onPositionChange(getTabPositionNotes(tabText, position, events, tuning, capo))
     }
-  }, [currentColumn, tabText, calculatedUniquePositions.length, onPositionChange])
+  }, [currentPos, currentColumn, currentWidth, tabText, calculatedUniquePositions.length, onPositionChange, tuning, capo, events])
 
   // Calculate highlight position using actual DOM position
   useEffect(() => {
@@ -120,6 +150,35 @@ function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPosition
   }, [currentColumn, lines, calculatedUniquePositions.length])
 
 
+  // Position a loop region over the columns from its first to its last position
+  useEffect(() => {
+    const region = loopRegionRef.current
+    if (!region || !loop || !contentRef.current) return
+
+    const firstSpan = contentRef.current.querySelector('.tab-line')
+    const firstLine = lines.find(line => line.trim().length > 0)
+    if (!firstSpan || !firstSpan.firstChild || !firstLine) return
+
+    const textNode = firstSpan.firstChild
+    const pipeIndex = firstLine.indexOf('|')
+    const startPos = calculatedUniquePositions[Math.min(loop.start, loop.end)]
+    const endPos = calculatedUniquePositions[Math.max(loop.start, loop.end)]
+    if (pipeIndex === -1 || !startPos || !endPos) return
+
+    const range = document.createRange()
+    try {
+      range.setStart(textNode, pipeIndex + 1 + startPos.column)
+      range.setEnd(textNode, Math.min(pipeIndex + 1 + endPos.column + endPos.width, textNode.textContent.length))
+    } catch (e) {
+      return
+    }
+
+    const rect = range.getBoundingClientRect()
+    const wrapperRect = contentRef.current.parentElement.getBoundingClientRect()
+    region.style.left = `${rect.left - wrapperRect.left - 3}px`
+    region.style.width = `${rect.width + 6}px`
+  }, [loop, lines, calculatedUniquePositions])
+
   const handleMouseDown = (e) => {
     e.preventDefault()
     setIsDragging(true)
@@ -180,8 +239,21 @@ function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPosition
     return closestIndex
   }, [calculatedUniquePositions, lines, currentPositionIndex])
 
+  // Start dragging out a loop region (a plain click still snaps the highlight)
+  const handleTabAreaMouseDown = (e) => {
+    if (!onLoopChange || e.button !== 0) return
+    if (e.target === highlightRef.current || highlightRef.current?.contains(e.target)) return
+    e.preventDefault() // Don't select the tab's text while dragging
+    setLoopDrag({ startX: e.clientX, startIndex: findClosestPositionIndex(e.clientX) })
+  }
+
   // Handle click anywhere on tab area to snap rectangle
   const handleTabAreaClick = (e) => {
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false
+      return
+    }
+
     // Don't snap if clicking on the highlight itself (that's for dragging)
     if (e.target === highlightRef.current || highlightRef.current?.contains(e.target)) {
       return
@@ -220,21 +292,52 @@ function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPosition
     }
   }, [isDragging, findClosestPositionIndex, currentPositionIndex, onPositionIndexChange])
 
+  // Drag across the tab to select a loop region
+  useEffect(() => {
+    if (!loopDrag) return
+
+    let moved = false
+    const handleGlobalMouseMove = (e) => {
+      if (!moved && Math.abs(e.clientX - loopDrag.startX) < LOOP_DRAG_THRESHOLD) return
+      moved = true
+      onLoopChange({ start: loopDrag.startIndex, end: findClosestPositionIndex(e.clientX) })
+    }
+
+    const handleGlobalMouseUp = () => {
+      suppressClickRef.current = moved
+      setLoopDrag(null)
+    }
+
+    document.addEventListener('mousemove', handleGlobalMouseMove)
+    document.addEventListener('mouseup', handleGlobalMouseUp)
+
+    return () => {
+      document.removeEventListener('mousemove', handleGlobalMouseMove)
+      document.removeEventListener('mouseup', handleGlobalMouseUp)
+    }
+  }, [loopDrag, findClosestPositionIndex, onLoopChange])
+
   return (
     <div className="tab-ribbon-container">
       <div className="tab-ribbon-scroll">
         <div 
           className="tab-ribbon-content-wrapper"
           onClick={handleTabAreaClick}
+          onMouseDown={handleTabAreaMouseDown}
           style={{ cursor: 'pointer' }}
         >
+          {loop && <div ref={loopRegionRef} className="tab-loop-region" />}
           <pre ref={contentRef} className="tab-ribbon-content">
+            {sectionLine && <span className="tab-annotation-line tab-section-line">{sectionLine}{'\n'}</span>}
+            {measureLine && <span className="tab-annotation-line tab-measure-line">{measureLine}{'\n'}</span>}
             {lines.map((line, index) => (
               <span key={index} className="tab-line">
                 {line}
                 {'\n'}
               </span>
             ))}
+            {chordLine && <span className="tab-annotation-line tab-chord-line">{chordLine}{'\n'}</span>}
+            {durationLine && <span className="tab-line tab-duration-line">{durationLine}</span>}
           </pre>
           <div 
             ref={highlightRef} 
@@ -245,6 +348,27 @@ function TabRibbon({ tabText, onPositionChange, currentPositionIndex, onPosition
           />
         </div>
       </div>
+      {(currentSection || currentChord) && (
+        <div className="tab-current-annotations">
+          {currentSection && <span className="tab-current-section">{currentSection.label}</span>}
+          {currentChord && (
+            <span className="tab-current-chord">
+              <span className="tab-current-chord-symbol">{currentChord.text}</span>
+              {currentChord.chord && currentChord.chord.notes.join(' ')}
+            </span>
+          )}
+        </div>
+      )}
+      {currentEvents.some(event => event.techniques.length > 0) && (
+        <div className="tab-technique-badges">
+          {currentEvents.flatMap(event => event.techniques.map((technique, index) => (
+            <span key={`${event.stringIndex}-${index}`} className={`tab-technique-badge technique-${technique.type}`}>
+              <span className="tab-technique-symbol">{TECHNIQUES[technique.type].symbol}</span>
+              {describeTechnique(technique, tuning[event.stringIndex] ? tuning[event.stringIndex].name : `string ${event.stringIndex + 1}`)}
+            </span>
+          )))}
+        </div>
+      )}
     </div>
   );
 }
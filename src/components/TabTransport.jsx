@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react'
+import { MIN_BPM, MAX_BPM } from '../utils/transport'
+import './TabTransport.css'
+
+// Count-in lengths offered, in beats
+const COUNT_IN_OPTIONS = [0, 2, 4, 8]
+
+// Play, pause and stop the tab at a tempo, with an optional count-in and A–B loop
+function TabTransport({ playState, bpm, onBpmChange, countIn, onCountInChange, loop, onClearLoop, onPlay, onPause, onStop, onPlayFromHere }) {
+  const isPlaying = playState === 'playing'
+
+  // The BPM field can be cleared or hold a partly typed tempo; only tempos in range are applied,
+  // and leaving the field puts it back to the applied tempo
+  const [bpmText, setBpmText] = useState(String(bpm))
+  useEffect(() => setBpmText(String(bpm)), [bpm])
+
+  const handleBpmTextChange = (text) => {
+    setBpmText(text)
+    const value = parseInt(text, 10)
+    if (value >= MIN_BPM && value <= MAX_BPM) {
+      onBpmChange(value)
+    }
+  }
+
+  const handleBpmBlur = () => {
+    const value = parseInt(bpmText, 10)
+    if (Number.isNaN(value)) {
+      setBpmText(String(bpm))
+    } else {
+      const clamped = Math.min(MAX_BPM, Math.max(MIN_BPM, value))
+      setBpmText(String(clamped))
+      onBpmChange(clamped)
+    }
+  }
+
+  // Loop positions are shown 1-based, like the position indicator
+  const loopLabel = loop
+    ? `Loop ${Math.min(loop.start, loop.end) + 1}–${Math.max(loop.start, loop.end) + 1}`
+    : 'Drag across the tab to loop a section'
+
+  return (
+    <div className="tab-transport">
+      <div className="tab-transport-buttons">
+        {isPlaying ? (
+          <button className="nav-button" onClick={onPause} aria-label="Pause">❚❚</button>
+        ) : (
+          <button className="nav-button" onClick={onPlay} aria-label={playState === 'paused' ? 'Resume' : 'Play'}>▶</button>
+        )}
+        <button className="nav-button" onClick={onStop} disabled={playState === 'stopped'} aria-label="Stop">■</button>
+        <button className="nav-button tab-transport-from-here" onClick={onPlayFromHere}>Play from here</button>
+      </div>
+
+      <div className="control-group tab-transport-bpm">
+        <label htmlFor="tab-bpm-input">BPM:</label>
+        <input
+          id="tab-bpm-input"
+          type="number"
+          min={MIN_BPM}
+          max={MAX_BPM}
+          value={bpmText}
+          onChange={(e) => handleBpmTextChange(e.target.value)}
+          onBlur={handleBpmBlur}
+          className="tab-transport-bpm-input"
+        />
+        <input
+          type="range"
+          min={MIN_BPM}
+          max={MAX_BPM}
+          value={bpm}
+          onChange={(e) => onBpmChange(parseInt(e.target.value, 10))}
+          aria-label="Tempo"
+        />
+      </div>
+
+      <div className="control-group">
+        <label htmlFor="tab-count-in-select">Count-in:</label>
+        <select
+          id="tab-count-in-select"
+          value={countIn}
+          onChange={(e) => onCountInChange(parseInt(e.target.value, 10))}
+          className="select-input"
+        >
+          {COUNT_IN_OPTIONS.map(beats => (
+            <option key={beats} value={beats}>{beats === 0 ? 'Off' : `${beats} beats`}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="tab-transport-loop">
+        <span className={loop ? 'tab-transport-loop-label' : 'tab-transport-hint'}>{loopLabel}</span>
+        {loop && (
+          <button className="tab-transport-clear-loop" onClick={onClearLoop} aria-label="Clear loop">×</button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TabTransport
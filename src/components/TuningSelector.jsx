@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { NOTE_NAMES } from '../utils/scales'
+import { noteToPitchClass, respellNote } from '../utils/spelling'
+import { TUNING_PRESETS, getTuningPreset, findMatchingPreset, retuneString } from '../utils/tunings'
+import './TuningSelector.css'
+
+function TuningSelector({ id, label = 'Tuning:', tuning, presets = TUNING_PRESETS, preference = 'auto', onTuningChange, followLabel = null }) {
+  // Keep the per-string editor open while editing, even if the tuning matches a preset
+  const [isEditing, setIsEditing] = useState(false)
+
+  // A null tuning means "follow" (only offered when followLabel is provided)
+  const isFollowing = tuning === null
+  const presetId = isFollowing ? '' : (isEditing ? 'custom' : (findMatchingPreset(tuning, presets) || 'custom'))
+
+  const handlePresetChange = (value) => {
+    setIsEditing(value === 'custom')
+    if (value === '') {
+      onTuningChange(null)
+    } else if (value === 'custom') {
+      // Start the custom editor from the current (or first preset's) tuning
+      onTuningChange((tuning || presets[0].strings).map(string => ({ ...string })))
+    } else {
+      onTuningChange(getTuningPreset(value, presets).strings)
+    }
+  }
+
+  // Retune one string, keeping it within a tritone of its current pitch
+  const handleStringChange = (stringIndex, noteName) => {
+    const nextTuning = tuning.map((string, index) =>
+      index === stringIndex ? retuneString(noteName, string.midi) : string
+    )
+    onTuningChange(nextTuning)
+  }
+
+  return (
+    <div className="control-group tuning-selector">
+      <label htmlFor={id}>{label}</label>
+      <select
+        id={id}
+        value={presetId}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        className="select-input"
+      >
+        {followLabel && <option value="">{followLabel}</option>}
+        {presets.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.label}</option>
+        ))}
+        <option value="custom">Custom…</option>
+      </select>
+
+      {presetId === 'custom' && (
+        <div className="tuning-string-editor">
+          {/* Lowest string first, the way tunings are usually written */}
+          {tuning.map((string, stringIndex) => stringIndex).reverse().map(stringIndex => (
+            <select
+              key={stringIndex}
+              value={NOTE_NAMES[noteToPitchClass(tuning[stringIndex].name)]}
+              onChange={(e) => handleStringChange(stringIndex, respellNote(e.target.value, preference))}
+              className="tuning-string-select"
+              aria-label={`String ${stringIndex + 1} (${tuning[stringIndex].name})`}
+            >
+              {NOTE_NAMES.map(note => (
+                <option key={note} value={note}>{respellNote(note, preference)}</option>
+              ))}
+            </select>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TuningSelector
@@ -0,0 +1,91 @@
+import ChordDiagram from './ChordDiagram'
+import { DROP_TYPES, formatVoicing } from '../utils/voicings'
+import './VoicingPanel.css'
+
+// Names of the chord tone in the bass for each inversion
+const INVERSION_LABELS = ['Root', '1st inversion', '2nd inversion', '3rd inversion']
+
+function VoicingPanel({ chordName, chordNotes, voicings, index, onIndexChange, options, onOptionsChange, onStrum }) {
+  const voicing = voicings[index] || null
+  const canDrop = chordNotes.length === 4
+
+  const step = (delta) => {
+    onIndexChange((index + delta + voicings.length) % voicings.length)
+  }
+
+  return (
+    <div className="voicing-panel">
+      <div className="voicing-panel-options">
+        <div className="control-group">
+          <label htmlFor="voicing-bass-select">Bass:</label>
+          <select
+            id="voicing-bass-select"
+            value={options.inversion}
+            onChange={(e) => onOptionsChange({ ...options, inversion: parseInt(e.target.value, 10) })}
+            className="select-input"
+          >
+            {chordNotes.map((note, toneIndex) => (
+              <option key={toneIndex} value={toneIndex}>
+                {INVERSION_LABELS[toneIndex] || `Inversion ${toneIndex}`} ({note})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="control-group">
+          <label htmlFor="voicing-drop-select">Type:</label>
+          <select
+            id="voicing-drop-select"
+            value={canDrop ? options.drop : 'none'}
+            onChange={(e) => onOptionsChange({ ...options, drop: e.target.value })}
+            className="select-input"
+          >
+            {DROP_TYPES.map(type => (
+              <option key={type.id} value={type.id} disabled={type.id !== 'none' && !canDrop}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="control-group">
+          <label htmlFor="voicing-span-select">Max Stretch:</label>
+          <select
+            id="voicing-span-select"
+            value={options.maxSpan}
+            onChange={(e) => onOptionsChange({ ...options, maxSpan: parseInt(e.target.value, 10) })}
+            className="select-input"
+          >
+            {[3, 4, 5, 6].map(span => (
+              <option key={span} value={span}>{span} frets</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {voicing ? (
+        <div className="voicing-panel-current">
+          <ChordDiagram
+            voicing={voicing}
+            title={`${chordName} (${formatVoicing(voicing)}) - click to strum`}
+            onClick={() => onStrum(voicing)}
+          />
+          <div className="voicing-panel-details">
+            <div className="voicing-panel-name">{chordName}</div>
+            <div className="voicing-panel-shape">{formatVoicing(voicing)}</div>
+            <div className="voicing-panel-navigation">
+              <button className="nav-button" onClick={() => step(-1)} aria-label="Previous voicing">‹</button>
+              <span className="voicing-panel-count">{index + 1} / {voicings.length}</span>
+              <button className="nav-button" onClick={() => step(1)} aria-label="Next voicing">›</button>
+            </div>
+            <button className="load-button voicing-strum-button" onClick={() => onStrum(voicing)}>Strum</button>
+          </div>
+        </div>
+      ) : (
+        <div className="voicing-panel-empty">No playable voicings with these options</div>
+      )}
+    </div>
+  )
+}
+
+export default VoicingPanel
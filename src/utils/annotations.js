@@ -0,0 +1,116 @@
+/**
+ * Tab annotations: chord names written above or below each system and section headers ([Intro], Verse 2, ...),
+ * kept as tracks attached to the ribbon's column ranges
+ */
+
+import { extractAnnotationTrack, findSystems } from './parseTabText.js';
+import { parseChordSymbol } from './chordSymbols.js';
+
+/**
+ * Matches a section header: a bracketed label ([Intro], [Solo 2]) or a common section name (Verse 2, Chorus:)
+ */
+const SECTION_LINE_PATTERN = /^\s*(?:\[([^\]]+)\]|((?:intro|verse|pre-?chorus|chorus|bridge|solo|outro|interlude|riff|break|coda|refrain|ending)\b[^:|]{0,20}):?)\s*$/i;
+
+/**
+ * Written "no chord" symbols in chord lines
+ */
+const NO_CHORD_PATTERN = /^N\.?C\.?$/i;
+
+/**
+ * Parse a chord name from a chord line
+ * @param {string} text - Chord name (e.g., 'Dmin', 'C9')
+ * @returns {Object|null} - Chord from parseChordSymbol, or null if it isn't a chord
+ */
+function parseChordName(text) {
+  // Chord lines start chords with a capital letter (lowercase letters are usually lyrics or counts)
+  if (!/^[A-G]/.test(text)) {
+    return null;
+  }
+  try {
+    return parseChordSymbol(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a line is a chord line: only chord names (bar lines and N.C. allowed)
+ * @param {string} line - Line of pasted text
+ * @returns {boolean} - True for a chord line
+ */
+export function isChordLine(line) {
+  const tokens = line.trim().split(/\s+/).filter(token => token && token !== '|');
+  const chordCount = tokens.filter(token => parseChordName(token)).length;
+  return chordCount > 0 && tokens.every(token => NO_CHORD_PATTERN.test(token) || parseChordName(token));
+}
+
+/**
+ * Get the label of a section header line
+ * @param {string} line - Line of pasted text
+ * @returns {string|null} - Section label (e.g., 'Intro', 'Verse 2'), or null if the line isn't a header
+ */
+export function getSectionLabel(line) {
+  const match = line.match(SECTION_LINE_PATTERN);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Extract the chord names of a tab, each attached to the ribbon columns until the next chord
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {number} stringCount - Number of strings on the instrument (default: 6)
+ * @returns {Array<Object>} - Chord annotations in order: {text, chord, startColumn, endColumn}
+ *   text: the written name; chord: from parseChordSymbol (null for N.C.); endColumn is exclusive
+ */
+export function extractChordAnnotations(tabText, stringCount = 6) {
+  const track = extractAnnotationTrack(tabText, stringCount, isChordLine);
+  const annotations = [...track.matchAll(/\S+/g)]
+    .filter(match => match[0] !== '|')
+    .map(match => ({ text: match[0], chord: parseChordName(match[0]), startColumn: match.index }));
+
+  return annotations.map((annotation, index) => ({
+    ...annotation,
+    endColumn: index + 1 < annotations.length ? annotations[index + 1].startColumn : track.length,
+  }));
+}
+
+/**
+ * Extract the section headers of a tab
+ * A header between two systems starts a section at the next system, which runs until the next header
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {number} stringCount - Number of strings on the instrument (default: 6)
+ * @returns {Array<Object>} - Sections in order: {label, startColumn, endColumn} (endColumn is exclusive)
+ */
+export function extractSections(tabText, stringCount = 6) {
+  const systems = findSystems(tabText, stringCount);
+  if (systems.length === 0) {
+    return [];
+  }
+
+  const lines = tabText.split('\n');
+  const sections = [];
+  systems.forEach((system, index) => {
+    // The last header in the lines between the previous system and this one
+    const firstLine = index > 0 ? systems[index - 1].lastLineIndex + 1 : 0;
+    const label = lines.slice(firstLine, system.firstLineIndex).map(getSectionLabel).filter(Boolean).pop();
+    if (label) {
+      sections.push({ label, startColumn: system.column });
+    }
+  });
+
+  const lastSystem = systems[systems.length - 1];
+  const length = lastSystem.column + lastSystem.length;
+  return sections.map((section, index) => ({
+    ...section,
+    endColumn: index + 1 < sections.length ? sections[index + 1].startColumn : length,
+  }));
+}
+
+/**
+ * Find the annotation a column falls in (the chord or section the position has passed)
+ * @param {Array<Object>} annotations - Annotations with startColumn and endColumn
+ * @param {number} column - Ribbon column
+ * @returns {Object|null} - Annotation covering the column, or null
+ */
+export function findAnnotationAt(annotations, column) {
+  return annotations.find(annotation => column >= annotation.startColumn && column < annotation.endColumn) || null;
+}
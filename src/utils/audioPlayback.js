@@ -0,0 +1,421 @@
+/**
+ * Web Audio playback of fretboard notes using pitch-shifted string samples
+ */
+
+import { getMidiAtFret, STRING_TUNINGS } from './fretCalculator.js';
+import { noteToPitchClass } from './spelling.js';
+
+/**
+ * Representative sample for each guitar string (one sample per string, pitch-shifted for all frets)
+ * Each sample is the open string note if available, otherwise closest match
+ * Other instruments define their own mapping in instruments.js
+ */
+export const STRING_SAMPLES = [
+  { stringIndex: 0, file: 'E4.wav', note: 'E', octave: 4 },   // High E string - open = E4
+  { stringIndex: 1, file: 'B4.wav', note: 'B', octave: 4 },   // B string - open = B3, use B4
+  { stringIndex: 2, file: 'E4.wav', note: 'E', octave: 4 },   // G string - open = G3, use E4
+  { stringIndex: 3, file: 'D3.wav', note: 'D', octave: 3 },   // D string - open = D3
+  { stringIndex: 4, file: 'A3.wav', note: 'A', octave: 3 },   // A string - open = A2, use A3
+  { stringIndex: 5, file: 'E2.wav', note: 'E', octave: 2 },   // Low E string - open = E2
+];
+
+// Shared Web Audio API context for pitch-shifting
+let audioContext = null;
+
+// Cache of decoded audio buffers, keyed by file path
+const audioBufferCache = new Map();
+
+// Seconds the default envelope takes to fade from its level to silence
+const FADE_DURATION = 0.3;
+
+/**
+ * Expressive tab playback: pitch changes (in cents), their durations (in seconds) and levels
+ */
+const BEND_CENTS = 200; // Bends without a written target go up a whole step
+const BEND_TIME = 0.15;
+const SLIDE_TIME = 0.1;
+const SLIDE_IN_CENTS = 200; // Slides into a note start two frets away
+const SLIDE_OUT_CENTS = 500;
+const VIBRATO_RATE = 5.5; // Hz
+const VIBRATO_DEPTH = 30;
+const TAB_NOTE_SUSTAIN = 0.6; // Tab notes ring long enough for a following hammer-on, bend or slide
+const LEGATO_GAIN = 0.6; // Hammer-ons and pull-offs aren't picked, so they sound softer
+const GHOST_GAIN = 0.4;
+const PALM_MUTE_GAIN = 0.7;
+const MUTED_LOWPASS = 900; // Hz, for palm mutes and dead notes
+
+/**
+ * Semitones above the open string of the natural harmonic at each fret
+ */
+const NATURAL_HARMONICS = { 3: 31, 4: 28, 5: 24, 7: 19, 9: 28, 12: 12, 16: 28, 19: 19, 24: 24 };
+
+// Voice still sounding on each string ({source, gainNode, detune, endTime, vibrato}), so legato
+// techniques can change its pitch instead of picking a new note; a string sounds one note at a time
+const stringVoices = new Map();
+
+/**
+ * Get the shared audio context, creating it on first use
+ * @returns {AudioContext} - The audio context
+ */
+export function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return audioContext;
+}
+
+/**
+ * Load (and cache) the representative sample for a string
+ * @param {number} stringIndex - Index of the string
+ * @param {Array<Object>} samples - Sample mapping for the instrument (default: guitar)
+ * @returns {Promise<AudioBuffer|null>} - Decoded audio buffer, or null if unavailable
+ */
+async function loadStringBuffer(stringIndex, samples = STRING_SAMPLES) {
+  const stringSample = samples.find(s => s.stringIndex === stringIndex);
+  if (!stringSample) return null;
+
+  // Use import.meta.env.BASE_URL to get the base path (e.g., '/FretFocus/' in production)
+  const filePath = `${import.meta.env.BASE_URL}acoustic_guitar_sound_pack/${stringSample.file}`;
+
+  if (audioBufferCache.has(filePath)) {
+    return audioBufferCache.get(filePath);
+  }
+
+  try {
+    const response = await fetch(filePath);
+    const arrayBuffer = await response.arrayBuffer();
+    const audioBuffer = await getAudioContext().decodeAudioData(arrayBuffer);
+    audioBufferCache.set(filePath, audioBuffer);
+    return audioBuffer;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the detune (in cents) needed to shift a string's sample to a target pitch
+ * @param {number} stringIndex - Index of the string
+ * @param {number} targetMidi - MIDI note number to play
+ * @param {Array<Object>} samples - Sample mapping for the instrument (default: guitar)
+ * @returns {number|null} - Detune in cents, or null if the string has no sample
+ */
+export function getSampleDetune(stringIndex, targetMidi, samples = STRING_SAMPLES) {
+  const stringSample = samples.find(s => s.stringIndex === stringIndex);
+  if (!stringSample) return null;
+
+  const sampleMidi = (stringSample.octave + 1) * 12 + noteToPitchClass(stringSample.note);
+
+  // Convert semitones to cents
+  return (targetMidi - sampleMidi) * 100;
+}
+
+/**
+ * Apply the triangular fade-out envelope from a given level, replacing any scheduled fade
+ * @param {GainNode} gainNode - Gain node of the sound
+ * @param {number} level - Gain at the start time
+ * @param {number} startTime - AudioContext time the envelope starts at
+ * @param {number} fadeEndTime - AudioContext time the sound reaches silence
+ */
+function applyEnvelope(gainNode, level, startTime, fadeEndTime) {
+  gainNode.gain.cancelScheduledValues(startTime);
+  gainNode.gain.setValueAtTime(level, startTime);
+  gainNode.gain.linearRampToValueAtTime(0, fadeEndTime);
+}
+
+/**
+ * Start a pitch-shifted sample at a given time, with a triangular fade-out envelope
+ * @param {AudioBuffer} audioBuffer - Decoded string sample
+ * @param {number} detune - Detune in cents
+ * @param {number} startTime - AudioContext time to start at
+ * @param {number} sustain - Seconds added to the fade before it reaches silence (default: 0.2)
+ * @param {Object} options - {gain: starting level (default: 1), fade: fade length in seconds (default: 0.3),
+ *   lowpass: cutoff in Hz for a muted tone (default: none)}
+ * @returns {Object} - {source, gainNode, endTime}: the playing nodes and the time the sound reaches silence
+ */
+function scheduleSample(audioBuffer, detune, startTime, sustain = 0.2, { gain = 1, fade = FADE_DURATION, lowpass = null } = {}) {
+  const context = getAudioContext();
+
+  // Create gain node for fade-out envelope
+  const gainNode = context.createGain();
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  source.detune.value = detune;
+
+  // Connect: source -> (lowpass filter) -> gain -> destination
+  if (lowpass) {
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = lowpass;
+    source.connect(filter);
+    filter.connect(gainNode);
+  } else {
+    source.connect(gainNode);
+  }
+  gainNode.connect(context.destination);
+
+  // Ramp down to silence using linear (triangular) envelope
+  // Fade ends after the sustain time plus the fade (sustain shortened if the sample is short)
+  const fadeStartTime = startTime + Math.min(sustain, audioBuffer.duration * 0.3);
+  const fadeEndTime = fadeStartTime + fade;
+  applyEnvelope(gainNode, gain, startTime, fadeEndTime);
+
+  source.start(startTime);
+  return { source, gainNode, endTime: fadeEndTime };
+}
+
+/**
+ * Play a fretted note with pitch-shifting
+ * @param {number} stringIndex - Index of the string
+ * @param {number} fret - Fret number
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
+ * @param {Array<Object>} samples - Sample mapping for the instrument (default: guitar)
+ */
+export async function playNoteSound(stringIndex, fret, tuning = STRING_TUNINGS, samples = STRING_SAMPLES) {
+  try {
+    const detune = getSampleDetune(stringIndex, getMidiAtFret(stringIndex, fret, tuning), samples);
+    if (detune === null) return;
+
+    // Load the representative sample for this string
+    const audioBuffer = await loadStringBuffer(stringIndex, samples);
+    if (!audioBuffer) {
+      return; // No audio available
+    }
+
+    const context = getAudioContext();
+
+    // Resume audio context if suspended (required by some browsers)
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+
+    scheduleSample(audioBuffer, detune, context.currentTime);
+  } catch (error) {
+    // Silently handle errors
+  }
+}
+
+/**
+ * Strum several fretted notes, one string after another
+ * @param {Array<Object>} notes - Notes to strum, {stringIndex, fret}
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
+ * @param {Array<Object>} samples - Sample mapping for the instrument (default: guitar)
+ * @param {Object} options - {direction: 'down' (low to high string) or 'up', spacing: seconds between strings}
+ */
+export async function strumNotes(notes, tuning = STRING_TUNINGS, samples = STRING_SAMPLES, { direction = 'down', spacing = 0.035 } = {}) {
+  try {
+    // A downstrum starts on the lowest string (highest string index)
+    const ordered = [...notes].sort((a, b) =>
+      direction === 'down' ? b.stringIndex - a.stringIndex : a.stringIndex - b.stringIndex
+    );
+
+    // Load every sample first so the strum timing isn't affected by fetching
+    const buffers = await Promise.all(ordered.map(note => loadStringBuffer(note.stringIndex, samples)));
+
+    const context = getAudioContext();
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+
+    const startTime = context.currentTime + 0.02;
+    ordered.forEach((note, index) => {
+      const detune = getSampleDetune(note.stringIndex, getMidiAtFret(note.stringIndex, note.fret, tuning), samples);
+      if (!buffers[index] || detune === null) return;
+      // Let the chord ring a little longer than single notes
+      scheduleSample(buffers[index], detune, startTime + index * spacing, 0.8);
+    });
+  } catch (error) {
+    // Silently handle errors
+  }
+}
+
+/**
+ * Silence the voice sounding on a string (a new pick or a dead note stops it)
+ * @param {number} stringIndex - Index of the string
+ * @param {number} time - AudioContext time to stop at
+ */
+function stopStringVoice(stringIndex, time) {
+  const voice = stringVoices.get(stringIndex);
+  stringVoices.delete(stringIndex);
+  if (!voice || voice.endTime <= time) return;
+
+  voice.gainNode.gain.cancelScheduledValues(time);
+  voice.gainNode.gain.setTargetAtTime(0, time, 0.01);
+  voice.source.stop(time + 0.1);
+  if (voice.vibrato) voice.vibrato.stop(time + 0.1);
+}
+
+/**
+ * Add vibrato to a voice: a low-frequency oscillator modulating its detune
+ * @param {Object} voice - Sounding voice ({source, endTime})
+ * @param {number} time - AudioContext time the vibrato starts at
+ */
+function addVibrato(voice, time) {
+  if (voice.vibrato) return;
+  const context = getAudioContext();
+  const oscillator = context.createOscillator();
+  const depth = context.createGain();
+  oscillator.frequency.value = VIBRATO_RATE;
+  depth.gain.value = VIBRATO_DEPTH;
+  oscillator.connect(depth);
+  depth.connect(voice.source.detune);
+  oscillator.start(time);
+  oscillator.stop(voice.endTime);
+  voice.vibrato = oscillator;
+}
+
+/**
+ * Get the MIDI pitch a tab note sounds at (natural harmonics sound above the fretted pitch)
+ * @param {Object} note - Tab note ({stringIndex, fret, tabFret, techniques})
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @returns {number} - MIDI note number
+ */
+function getTabNoteMidi(note, tuning) {
+  const tabFret = note.tabFret ?? note.fret;
+  const isHarmonic = (note.techniques || []).some(technique => technique.type === 'harmonic');
+  if (isHarmonic && NATURAL_HARMONICS[tabFret]) {
+    // Harmonics are measured from the nut (or capo)
+    return getMidiAtFret(note.stringIndex, note.fret - tabFret, tuning) + NATURAL_HARMONICS[tabFret];
+  }
+  return getMidiAtFret(note.stringIndex, note.fret, tuning);
+}
+
+/**
+ * Schedule one tab note with its techniques
+ * Linked notes (hammer-ons, pull-offs, bends, releases, slides) change the pitch of the voice still
+ * sounding on the string instead of picking again; without one they start from the linked fret
+ * @param {Object} note - Tab note ({stringIndex, fret, tabFret, techniques, legato})
+ * @param {AudioBuffer} audioBuffer - Sample for the note's string
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @param {Array<Object>} samples - Sample mapping for the instrument
+ * @param {number} time - AudioContext time to play at
+ */
+function scheduleTabNote(note, audioBuffer, tuning, samples, time) {
+  const techniques = note.techniques || [];
+  const has = (type) => techniques.some(technique => technique.type === type);
+
+  // Dead notes: stop the string and play a short muted thud
+  if (note.fret === null || has('dead')) {
+    stopStringVoice(note.stringIndex, time);
+    const detune = getSampleDetune(note.stringIndex, tuning[note.stringIndex].midi, samples);
+    if (detune !== null) {
+      scheduleSample(audioBuffer, detune, time, 0, { gain: 0.5, fade: 0.06, lowpass: MUTED_LOWPASS });
+    }
+    return;
+  }
+
+  const detune = getSampleDetune(note.stringIndex, getTabNoteMidi(note, tuning), samples);
+  if (detune === null) return;
+
+  const link = techniques.find(technique => technique.fromFret !== null && technique.toFret !== null);
+  const isPicked = !note.legato || !link;
+  const isFretted = link && (link.type === 'hammer' || link.type === 'pull');
+  const voice = stringVoices.get(note.stringIndex);
+  const sustainEnd = time + TAB_NOTE_SUSTAIN + FADE_DURATION;
+
+  // Legato: move the sounding voice to the new pitch (instantly for hammer-ons and pull-offs, gliding otherwise)
+  if (!isPicked && voice && voice.endTime > time) {
+    if (isFretted) {
+      voice.source.detune.setValueAtTime(detune, time);
+      applyEnvelope(voice.gainNode, LEGATO_GAIN, time, sustainEnd);
+    } else {
+      voice.source.detune.setValueAtTime(voice.detune, time);
+      voice.source.detune.linearRampToValueAtTime(detune, time + (link.type === 'bend' || link.type === 'release' ? BEND_TIME : SLIDE_TIME));
+      applyEnvelope(voice.gainNode, 0.8, time, sustainEnd);
+    }
+    voice.detune = detune;
+    voice.endTime = sustainEnd;
+    if (has('vibrato')) addVibrato(voice, time + BEND_TIME);
+    return;
+  }
+
+  stopStringVoice(note.stringIndex, time);
+
+  // A linked note heard on its own starts from the linked fret (a bend starts at the unbent pitch)
+  let startDetune = detune;
+  if (!isPicked && !isFretted) {
+    startDetune = detune + (link.fromFret - link.toFret) * 100;
+  }
+  const slideIn = techniques.find(technique => technique.type.startsWith('slide') && technique.fromFret === null && technique.toFret !== null);
+  if (slideIn) {
+    startDetune = detune + (slideIn.type === 'slide-down' ? SLIDE_IN_CENTS : -SLIDE_IN_CENTS);
+  }
+
+  const isPalmMuted = has('palm-mute');
+  const gain = has('ghost') ? GHOST_GAIN : isFretted ? LEGATO_GAIN : isPalmMuted ? PALM_MUTE_GAIN : 1;
+  const played = scheduleSample(audioBuffer, startDetune, time, isPalmMuted ? 0.05 : TAB_NOTE_SUSTAIN, {
+    gain,
+    lowpass: isPalmMuted ? MUTED_LOWPASS : null,
+  });
+  const { source } = played;
+
+  if (startDetune !== detune) {
+    source.detune.setValueAtTime(startDetune, time);
+    source.detune.linearRampToValueAtTime(detune, time + (slideIn ? SLIDE_TIME : BEND_TIME));
+  }
+
+  // Bend without a written target: push up a whole step
+  let finalDetune = detune;
+  if (techniques.some(technique => technique.type === 'bend' && technique.toFret === null)) {
+    finalDetune = detune + BEND_CENTS;
+    source.detune.setValueAtTime(detune, time + 0.05);
+    source.detune.linearRampToValueAtTime(finalDetune, time + 0.05 + BEND_TIME);
+  }
+
+  // Slide out of the note: glide away while it fades
+  const slideOut = techniques.find(technique => technique.type.startsWith('slide') && technique.fromFret !== null && technique.toFret === null);
+  if (slideOut) {
+    finalDetune = detune + (slideOut.type === 'slide-up' ? SLIDE_OUT_CENTS : -SLIDE_OUT_CENTS);
+    source.detune.setValueAtTime(detune, time + 0.15);
+    source.detune.linearRampToValueAtTime(finalDetune, time + 0.4);
+  }
+
+  const newVoice = { ...played, detune: finalDetune, vibrato: null };
+  stringVoices.set(note.stringIndex, newVoice);
+  if (has('vibrato')) addVibrato(newVoice, time + 0.1);
+}
+
+/**
+ * Play the notes of a tab position with their techniques (bends, slides, hammer-ons, vibrato, ...)
+ * @param {Array<Object>} notes - Tab notes ({stringIndex, fret, tabFret, techniques, legato}); a null fret is a dead note
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
+ * @param {Array<Object>} samples - Sample mapping for the instrument (default: guitar)
+ * @param {Object} options - {startTime: AudioContext time to play at (default: now)}
+ */
+export async function playTabNotes(notes, tuning = STRING_TUNINGS, samples = STRING_SAMPLES, { startTime = null } = {}) {
+  try {
+    const buffers = await Promise.all(notes.map(note => loadStringBuffer(note.stringIndex, samples)));
+
+    const context = getAudioContext();
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+
+    const time = startTime ?? context.currentTime;
+    notes.forEach((note, index) => {
+      if (buffers[index]) {
+        scheduleTabNote(note, buffers[index], tuning, samples, time);
+      }
+    });
+  } catch (error) {
+    // Silently handle errors
+  }
+}
+
+/**
+ * Schedule a metronome click (used for count-ins)
+ * @param {number} time - AudioContext time of the click
+ * @param {boolean} accent - Whether the click starts a bar (higher pitched)
+ */
+export function playClick(time, accent = false) {
+  const context = getAudioContext();
+  const oscillator = context.createOscillator();
+  const gainNode = context.createGain();
+  oscillator.frequency.value = accent ? 1500 : 1000;
+  oscillator.connect(gainNode);
+  gainNode.connect(context.destination);
+
+  gainNode.gain.setValueAtTime(0.5, time);
+  gainNode.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+  oscillator.start(time);
+  oscillator.stop(time + 0.06);
+}
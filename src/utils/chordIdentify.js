@@ -0,0 +1,130 @@
+/**
+ * Chord identification: names the chord(s) formed by a set of played notes (e.g., A C E G → Am7 / C6/A)
+ */
+
+import { spellPitchClass } from './spelling.js';
+import { getScaleNotes } from './scales.js';
+import { parseChordSymbol, getChordSymbolNumeral } from './chordSymbols.js';
+
+/**
+ * Chord symbol suffixes tried as interpretations, simplest first
+ */
+const CHORD_SUFFIXES = [
+  '', 'm', '5', 'dim', 'aug', 'sus2', 'sus4',
+  '6', 'm6', '7', 'maj7', 'm7', 'm7b5', 'dim7', 'mMaj7', '7sus4', '7#5', 'maj7#5',
+  'add9', 'madd9', '6/9', 'm6/9', '9', 'maj9', 'm9', '7b9', '7#9', '7b5', '7#11', 'maj7#11', '7b13',
+  '11', 'm11', '13', 'maj13', 'm13',
+];
+
+/**
+ * Interval templates for each suffix, built once from the chord symbol parser
+ * semitones: pitch classes above the root; optional: tones a voicing may leave out
+ */
+const CHORD_TEMPLATES = CHORD_SUFFIXES.map((suffix, rank) => {
+  const { intervals } = parseChordSymbol(`C${suffix}`);
+  const highestDegree = Math.max(...intervals.map(interval => interval.degree));
+  // The perfect 5th is the usual tone to drop from four-note chords; 11ths and 13ths also drop the 9th (and 11th)
+  const optional = intervals
+    .filter(({ degree, semitones }) => (
+      (degree === 5 && semitones === 7 && intervals.length >= 4) ||
+      ((degree === 9 || degree === 11) && degree < highestDegree && highestDegree >= 11)
+    ))
+    .map(interval => interval.semitones % 12);
+  return {
+    suffix,
+    rank,
+    intervals,
+    semitones: new Set(intervals.map(interval => interval.semitones % 12)),
+    optional: new Set(optional),
+  };
+});
+
+/**
+ * Names for the chord tone in the bass
+ */
+const INVERSION_NAMES = { 1: 'Root position', 3: '1st inversion', 5: '2nd inversion', 7: '3rd inversion' };
+
+/**
+ * Identify the chords formed by a set of notes
+ * @param {Array<number>} midiNotes - MIDI note numbers of the played notes (the lowest is the bass)
+ * @param {string} key - Key root for the chord function (e.g., 'C')
+ * @param {string} preference - Accidental preference: 'auto', 'sharps' or 'flats' (default: 'auto')
+ * @returns {Array<Object>} - Interpretations, most plausible first:
+ *   {symbol, root, bass, chord, inversion, numeral, omitted}
+ *   chord: the parsed chord symbol; bass: the spelled bass note; numeral: function in the key (e.g., 'vim7');
+ *   omitted: labels of chord tones the notes leave out (e.g., ['5'])
+ */
+export function identifyChord(midiNotes, key, preference = 'auto') {
+  const pitchClasses = [...new Set(midiNotes.map(midi => midi % 12))];
+  if (pitchClasses.length < 2) {
+    return [];
+  }
+
+  const bassPitchClass = Math.min(...midiNotes) % 12;
+  const keyNotes = getScaleNotes(key, 'major', preference);
+  const interpretations = [];
+
+  pitchClasses.forEach(rootPitchClass => {
+    const played = new Set(pitchClasses.map(pitchClass => (pitchClass - rootPitchClass + 12) % 12));
+    const rootName = spellPitchClass(rootPitchClass, preference, keyNotes);
+
+    CHORD_TEMPLATES.forEach(template => {
+      // Every played note must be a chord tone, and only optional tones may be missing
+      if ([...played].some(semitone => !template.semitones.has(semitone))) return;
+      const missing = [...template.semitones].filter(semitone => !played.has(semitone));
+      if (missing.some(semitone => !template.optional.has(semitone))) return;
+
+      const chord = parseChordSymbol(`${rootName}${template.suffix}`);
+      const bassIndex = chord.intervals.findIndex(({ semitones }) => (rootPitchClass + semitones) % 12 === bassPitchClass);
+      const bassInterval = chord.intervals[bassIndex];
+      const bass = chord.notes[bassIndex];
+      const isRootPosition = bassPitchClass === rootPitchClass;
+      const numeral = getChordSymbolNumeral(chord, key);
+
+      interpretations.push({
+        symbol: isRootPosition ? chord.symbol : `${chord.symbol}/${bass}`,
+        root: chord.root,
+        bass,
+        chord,
+        inversion: INVERSION_NAMES[bassInterval.degree] || `${bassInterval.label} in the bass`,
+        numeral: numeral ? `${numeral}${template.suffix}` : '',
+        omitted: chord.intervals
+          .filter(({ semitones }) => missing.includes(semitones % 12))
+          .map(interval => interval.label),
+        score: scoreInterpretation(template, missing.length, isRootPosition),
+      });
+    });
+  });
+
+  // Most plausible first; a pitch-class set reached twice under the same name keeps its best reading
+  const seen = new Set();
+  return interpretations
+    .sort((a, b) => b.score - a.score)
+    .filter(interpretation => {
+      if (seen.has(interpretation.symbol)) return false;
+      seen.add(interpretation.symbol);
+      return true;
+    })
+    .map(({ score, ...interpretation }) => interpretation);
+}
+
+/**
+ * Rank an interpretation: complete chords, root in the bass and simpler names score higher
+ * @param {Object} template - Chord template
+ * @param {number} missingCount - Number of omitted chord tones
+ * @param {boolean} isRootPosition - Whether the root is in the bass
+ * @returns {number} - Score (higher is more plausible)
+ */
+function scoreInterpretation(template, missingCount, isRootPosition) {
+  return 100 - missingCount * 12 + (isRootPosition ? 20 : 0) - template.semitones.size * 2 - template.rank * 0.1;
+}
+
+/**
+ * Join interpretation names for display (e.g., 'Am7 / C6/A')
+ * @param {Array<Object>} interpretations - Result of identifyChord
+ * @returns {string} - Names separated by ' / '
+ */
+export function formatInterpretations(interpretations) {
+  return interpretations.map(interpretation => interpretation.symbol).join(' / ');
+}
+
@@ -0,0 +1,239 @@
+/**
+ * Chord symbol parser: turns symbols like 'F#m7b5', 'Cmaj9#11' or 'D/F#' into spelled chords
+ */
+
+import { parseNote, noteToPitchClass, spellInterval, getDegreeLabel } from './spelling.js';
+import { formatChordDegree } from './chords.js';
+
+/**
+ * Natural semitones of each chord degree (1-13), as in a major scale
+ */
+const DEGREE_SEMITONES = { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 9: 14, 11: 17, 13: 21 };
+
+/**
+ * Quality prefixes, longest first so 'maj' isn't read as 'm' + 'aj'
+ */
+const QUALITY_TOKENS = [
+  { pattern: /^(mMaj|mmaj|minMaj|mM|-Maj|-M)/, quality: 'minor-major' },
+  { pattern: /^(maj|Maj|MAJ|ma(?!dd)|Ma|M|Δ|△)/, quality: 'major-seventh' }, // 'madd9' is minor
+  { pattern: /^(min|mi|m|-)/, quality: 'minor' },
+  { pattern: /^(dim|°|o)/, quality: 'diminished' },
+  { pattern: /^(ø)/, quality: 'half-diminished' },
+  { pattern: /^(aug|\+)/, quality: 'augmented' },
+];
+
+/**
+ * Extension numbers that can follow the quality (6/9 before 6)
+ */
+const EXTENSION_PATTERN = /^(6\/9|69|13|11|9|7|6|5)/;
+
+/**
+ * Modifiers after the extension (suspensions, alterations, additions, omissions)
+ */
+const MODIFIER_PATTERN = /^(sus2|sus4|sus|alt|add(?:b|#)?(?:2|4|6|9|11|13)|(?:b|#|\+|-)(?:5|9|11|13)|(?:omit|no)(?:3|5))/;
+
+/**
+ * Parse a chord symbol
+ * @param {string} symbol - Chord symbol (e.g., 'F#m7b5', 'Cmaj9#11', 'D/F#', 'Bb13(b9)')
+ * @returns {Object} - {symbol, root, bass, intervals, notes}
+ *   intervals: [{degree, semitones, label}] ordered by degree; notes: spelled chord tones with a
+ *   non-chord-tone bass appended; bass: spelled bass note, or null when the root is in the bass
+ */
+export function parseChordSymbol(symbol) {
+  const text = typeof symbol === 'string' ? symbol.trim() : '';
+  if (!text) {
+    throw new Error('Enter a chord symbol (e.g., Am7, F#m7b5, D/F#)');
+  }
+
+  // Root: a letter and an optional accidental
+  const rootMatch = text.match(/^([A-Ga-g])(#|b|♯|♭)?/);
+  if (!rootMatch) {
+    throw new Error(`"${text}" must start with a root note (A-G)`);
+  }
+  const root = rootMatch[1].toUpperCase() + (rootMatch[2] || '').replace('♯', '#').replace('♭', 'b');
+
+  // Slash bass at the end (a note name, so '6/9' isn't read as a bass)
+  let rest = text.slice(rootMatch[0].length);
+  let bass = null;
+  const bassMatch = rest.match(/\/\s*([A-Ga-g])(#|b|♯|♭)?$/);
+  if (bassMatch) {
+    bass = bassMatch[1].toUpperCase() + (bassMatch[2] || '').replace('♯', '#').replace('♭', 'b');
+    rest = rest.slice(0, bassMatch.index);
+  } else if (rest.replace('6/9', '').includes('/')) {
+    throw new Error(`"${text}" has an invalid bass note after "/"`);
+  }
+
+  // Parentheses, commas and spaces only group alterations: C7(b9, #11) = C7b9#11
+  let remaining = rest.replace(/[()\s,]/g, '').replace(/♯/g, '#').replace(/♭/g, 'b');
+
+  let quality = 'major';
+  let qualityText = '';
+  const qualityToken = QUALITY_TOKENS.find(token => token.pattern.test(remaining));
+  if (qualityToken) {
+    quality = qualityToken.quality;
+    qualityText = remaining.match(qualityToken.pattern)[0];
+    remaining = remaining.slice(qualityText.length);
+  }
+
+  let extension = null;
+  const extensionMatch = remaining.match(EXTENSION_PATTERN);
+  if (extensionMatch) {
+    extension = extensionMatch[1].replace('69', '6/9');
+    remaining = remaining.slice(extensionMatch[0].length);
+  } else if (qualityText === 'Δ' || qualityText === '△') {
+    extension = '7'; // CΔ is Cmaj7
+  }
+
+  const modifiers = [];
+  while (remaining) {
+    const modifierMatch = remaining.match(MODIFIER_PATTERN);
+    if (!modifierMatch) {
+      throw new Error(`Unrecognized "${remaining}" in chord symbol "${text}"`);
+    }
+    modifiers.push(modifierMatch[1]);
+    remaining = remaining.slice(modifierMatch[0].length);
+  }
+
+  // 'M' and 'maj' mean a major seventh only when an extension follows (CM = C major)
+  if (quality === 'major-seventh' && (extension === null || extension === '6' || extension === '6/9')) {
+    quality = 'major';
+  }
+  if (quality === 'minor-major' && extension === null) {
+    extension = '7';
+  }
+  if (quality === 'half-diminished' && extension === null) {
+    extension = '7';
+  }
+
+  // Build the chord degree by degree (degree → semitones)
+  const degrees = new Map([[1, 0]]);
+  const isMinor = ['minor', 'minor-major', 'diminished', 'half-diminished'].includes(quality);
+  degrees.set(3, isMinor ? 3 : 4);
+  degrees.set(5, ['diminished', 'half-diminished'].includes(quality) ? 6 : quality === 'augmented' ? 8 : 7);
+
+  if (extension === '5') {
+    if (quality !== 'major') {
+      throw new Error(`A power chord can't have a quality ("${text}")`);
+    }
+    degrees.delete(3);
+  } else if (extension === '6' || extension === '6/9') {
+    degrees.set(6, 9);
+    if (extension === '6/9') degrees.set(9, 14);
+  } else if (extension !== null) {
+    // 7th type: major 7th for maj/mMaj, diminished 7th (bb7) for dim, minor 7th otherwise
+    const seventh = ['major-seventh', 'minor-major'].includes(quality) ? 11 : quality === 'diminished' ? 9 : 10;
+    degrees.set(7, seventh);
+    const number = parseInt(extension, 10);
+    if (number >= 9) degrees.set(9, 14);
+    // The 11th clashes with a major 3rd, so dominant and major 13ths leave it out
+    if (number >= 11 && (number === 11 || isMinor)) degrees.set(11, 17);
+    if (number >= 13) degrees.set(13, 21);
+  }
+
+  // A second 9th (the #9 in '7b9#9' or '7alt') is kept under its own key
+  const setNinth = (semitones) => {
+    degrees.set(degrees.has(9) && degrees.get(9) !== 14 ? 'extra-9' : 9, semitones);
+  };
+
+  modifiers.forEach(modifier => {
+    if (modifier.startsWith('sus')) {
+      if (isMinor) {
+        throw new Error(`A chord can't be both minor and suspended ("${text}")`);
+      }
+      degrees.delete(3);
+      if (modifier === 'sus2') {
+        degrees.set(2, 2);
+      } else {
+        degrees.set(4, 5);
+      }
+    } else if (modifier === 'alt') {
+      // Altered dominant: b7 with b9, #9, #11 (b5) and b13 (#5), no natural 5th
+      if (!degrees.has(7)) degrees.set(7, 10);
+      degrees.delete(5);
+      degrees.set(9, 13);
+      setNinth(15);
+      degrees.set(11, 18);
+      degrees.set(13, 20);
+    } else if (modifier.startsWith('add')) {
+      const [, accidental, number] = modifier.match(/^add(b|#)?(\d+)$/);
+      const degree = parseInt(number, 10);
+      degrees.set(degree, DEGREE_SEMITONES[degree] + (accidental === 'b' ? -1 : accidental === '#' ? 1 : 0));
+    } else if (modifier.startsWith('omit') || modifier.startsWith('no')) {
+      degrees.delete(parseInt(modifier.replace(/^(omit|no)/, ''), 10));
+    } else {
+      // Alteration (b5, #5, b9, #9, #11, b13; '+' and '-' also accepted): replaces the natural
+      // degree, implying a 7th when the chord has none (C#9 is C7#9)
+      const alteration = modifier[0] === 'b' || modifier[0] === '-' ? -1 : 1;
+      const degree = parseInt(modifier.slice(1), 10);
+      if (degree !== 5 && !degrees.has(7) && !degrees.has(6)) {
+        degrees.set(7, quality === 'major-seventh' ? 11 : 10);
+      }
+      if (degree === 9) {
+        setNinth(DEGREE_SEMITONES[9] + alteration);
+      } else {
+        degrees.set(degree, DEGREE_SEMITONES[degree] + alteration);
+      }
+    }
+  });
+
+  // Order by pitch above the root
+  const intervals = [...degrees.entries()]
+    .map(([degree, semitones]) => ({ degree: degree === 'extra-9' ? 9 : degree, semitones }))
+    .sort((a, b) => a.semitones - b.semitones || a.degree - b.degree)
+    .map(({ degree, semitones }) => ({
+      degree,
+      semitones,
+      label: formatChordDegree(degree, semitones),
+    }));
+
+  const notes = intervals.map(({ degree, semitones }) => spellInterval(root, semitones % 12, ((degree - 1) % 7) + 1));
+
+  // A slash bass that isn't a chord tone is added to the notes
+  let spelledBass = null;
+  if (bass && noteToPitchClass(bass) !== noteToPitchClass(root)) {
+    const chordTone = notes.find(note => noteToPitchClass(note) === noteToPitchClass(bass));
+    spelledBass = chordTone || bass;
+    if (!chordTone) {
+      notes.push(bass);
+    }
+  }
+
+  return { symbol: text, root, bass: spelledBass, intervals, notes };
+}
+
+/**
+ * Get the function of a note within a parsed chord symbol (e.g., '3', 'b7', '#11')
+ * @param {string} note - The note to check
+ * @param {Object} chord - Parsed chord from parseChordSymbol
+ * @returns {string|null} - Function label, the interval from the root for a non-chord-tone bass, or null
+ */
+export function getChordSymbolFunction(note, chord) {
+  const pitchClass = noteToPitchClass(note);
+  const rootPitchClass = noteToPitchClass(chord.root);
+  const match = chord.intervals.find(({ semitones }) => (rootPitchClass + semitones) % 12 === pitchClass);
+  if (match) {
+    return match.label;
+  }
+  if (chord.bass && noteToPitchClass(chord.bass) === pitchClass) {
+    return getDegreeLabel(chord.bass, chord.root);
+  }
+  return null;
+}
+
+/**
+ * Get the Roman numeral of a chord's root within a key (e.g., Bb in C → 'bVII', Dm7 in C → 'ii')
+ * @param {Object} chord - Parsed chord from parseChordSymbol
+ * @param {string} key - Key root (e.g., 'C')
+ * @returns {string} - Roman numeral, lowercase for chords with a minor third
+ */
+export function getChordSymbolNumeral(chord, key) {
+  const numerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+  const degree = getDegreeLabel(chord.root, key);
+  if (!degree || !parseNote(key)) {
+    return '';
+  }
+  const accidental = degree.replace(/\d+$/, '');
+  const numeral = numerals[parseInt(degree.slice(accidental.length), 10) - 1];
+  const hasMinorThird = chord.intervals.some(({ degree: chordDegree, semitones }) => chordDegree === 3 && semitones === 3);
+  return accidental + (hasMinorThird ? numeral.toLowerCase() : numeral);
+}
@@ -2,9 +2,9 @@
  * Chord utility functions for calculating chord tones
  */
 
-import { NOTE_NAMES } from './scales';
-import { getScaleNotes } from './scales';
-import { getScalePositions } from './fretCalculator';
+import { getScaleNotes } from './scales.js';
+import { getScalePositions } from './fretCalculator.js';
+import { noteToPitchClass, spellInterval, getDegreeLabel } from './spelling.js';
 
 /**
  * Chord interval patterns (in semitones from root)
@@ -20,19 +20,69 @@ export const CHORD_PATTERNS = {
   'diminished7': [0, 3, 6, 9],  // 1, b3, b5, bb7
   'sus2': [0, 2, 7],            // 1, 2, 5
   'sus4': [0, 5, 7],            // 1, 4, 5
+  'aug': [0, 4, 8],             // 1, 3, #5
+  '6': [0, 4, 7, 9],            // 1, 3, 5, 6
+  'add9': [0, 4, 7, 14],        // 1, 3, 5, 9
+  '9': [0, 4, 7, 10, 14],       // 1, 3, 5, b7, 9
+  '11': [0, 4, 7, 10, 14, 17],  // 1, 3, 5, b7, 9, 11
+  '13': [0, 4, 7, 10, 14, 21],  // 1, 3, 5, b7, 9, 13
+  '7b9': [0, 4, 7, 10, 13],     // 1, 3, 5, b7, b9
+  '7#9': [0, 4, 7, 10, 15],     // 1, 3, 5, b7, #9
+  '7alt': [0, 4, 10, 13, 15, 18, 20], // 1, 3, b7, b9, #9, #11, b13
 };
 
 /**
- * Get the notes in a chord
- * @param {string} root - Root note (e.g., 'C', 'D#')
+ * Scale degree of each chord tone (used for spelling, e.g., the bb7 of a dim7 is spelled with the 7th letter)
+ */
+export const CHORD_DEGREES = {
+  'Major': [1, 3, 5],
+  'maj7': [1, 3, 5, 7],
+  '7': [1, 3, 5, 7],
+  'minor': [1, 3, 5],
+  'm7': [1, 3, 5, 7],
+  'diminished': [1, 3, 5],
+  'half-diminished': [1, 3, 5, 7],
+  'diminished7': [1, 3, 5, 7],
+  'sus2': [1, 2, 5],
+  'sus4': [1, 4, 5],
+  'aug': [1, 3, 5],
+  '6': [1, 3, 5, 6],
+  'add9': [1, 3, 5, 9],
+  '9': [1, 3, 5, 7, 9],
+  '11': [1, 3, 5, 7, 9, 11],
+  '13': [1, 3, 5, 7, 9, 13],
+  '7b9': [1, 3, 5, 7, 9],
+  '7#9': [1, 3, 5, 7, 9],
+  '7alt': [1, 3, 7, 9, 9, 11, 13],
+};
+
+/**
+ * Natural semitones of each chord degree (1-13), as in a major scale
+ */
+const DEGREE_SEMITONES = { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 9: 14, 11: 17, 13: 21 };
+
+/**
+ * Label a chord tone by degree and alteration, keeping compound degrees (e.g., 9 with 13 semitones → 'b9')
+ * @param {number} degree - Chord degree (1-13)
+ * @param {number} semitones - Semitones above the root (14 for a 9th, not 2)
+ * @returns {string} - Label (e.g., '3', 'b3', '#11', 'bb7')
+ */
+export function formatChordDegree(degree, semitones) {
+  const alteration = semitones - DEGREE_SEMITONES[degree];
+  if (alteration === 0) return String(degree);
+  return (alteration < 0 ? 'b'.repeat(-alteration) : '#'.repeat(alteration)) + degree;
+}
+
+/**
+ * Get the notes in a chord, spelled from the root (e.g., Db7 → Db F Ab Cb)
+ * @param {string} root - Root note (e.g., 'C', 'Eb', 'F#')
  * @param {string} voicing - Chord voicing (e.g., 'Major', 'm7', '7')
  * @param {boolean} flattenFifth - Whether to flatten the 5th by 1 semitone
- * @param {string} key - Optional key context for diatonic sus4 (e.g., 'C', 'D#')
- * @returns {Array<string>} - Array of note names in the chord
+ * @param {string} key - Optional key context for diatonic sus4 (e.g., 'C', 'Eb')
+ * @returns {Array<string>} - Array of spelled note names in the chord
  */
 export function getChordNotes(root, voicing, flattenFifth = false, key = null) {
-  const rootIndex = NOTE_NAMES.indexOf(root);
-  if (rootIndex === -1) {
+  if (noteToPitchClass(root) === -1) {
     throw new Error(`Invalid root note: ${root}`);
   }
 
@@ -44,7 +94,8 @@ export function getChordNotes(root, voicing, flattenFifth = false, key = null) {
   // For sus4, use diatonic 4th from the key if provided
   if (voicing === 'sus4' && key) {
     const scaleNotes = getScaleNotes(key, 'major');
-    const rootScaleIndex = scaleNotes.indexOf(root);
+    const rootPitchClass = noteToPitchClass(root);
+    const rootScaleIndex = scaleNotes.findIndex(note => noteToPitchClass(note) === rootPitchClass);
     
     if (rootScaleIndex !== -1) {
       // Get the 4th scale degree from the root in this key's scale
@@ -52,33 +103,21 @@ export function getChordNotes(root, voicing, flattenFifth = false, key = null) {
       const fourthScaleIndex = (rootScaleIndex + 3) % scaleNotes.length;
       const diatonicFourth = scaleNotes[fourthScaleIndex];
       
-      // Build the sus4 chord with the diatonic 4th
-      const notes = [root];
-      const fifthIndex = NOTE_NAMES.indexOf(root);
-      const fifthNote = NOTE_NAMES[(fifthIndex + 7) % 12];
-      notes.push(diatonicFourth);
-      notes.push(fifthNote);
-      
-      // If flattening fifth, adjust the 5th
-      if (flattenFifth) {
-        const flattenedFifthIndex = NOTE_NAMES.indexOf(fifthNote);
-        const flattenedFifthNote = NOTE_NAMES[(flattenedFifthIndex - 1 + 12) % 12];
-        notes[2] = flattenedFifthNote;
-      }
-      
-      return notes;
+      // Build the sus4 chord with the diatonic 4th (flattening the 5th if requested)
+      const fifthNote = spellInterval(root, flattenFifth ? 6 : 7, 5);
+      return [root, diatonicFourth, fifthNote];
     }
   }
 
-  // Generate notes by applying intervals to the root
-  const notes = pattern.map(interval => {
+  // Generate notes by applying intervals to the root, spelling each with its degree's letter
+  const degrees = CHORD_DEGREES[voicing];
+  const notes = pattern.map((interval, index) => {
     // If flattening fifth, adjust the 5th interval (7 semitones) to 6 semitones
     let adjustedInterval = interval;
     if (flattenFifth && interval === 7) {
       adjustedInterval = 6;
     }
-    const noteIndex = (rootIndex + adjustedInterval) % 12;
-    return NOTE_NAMES[noteIndex];
+    return spellInterval(root, adjustedInterval % 12, ((degrees[index] - 1) % 7) + 1);
   });
 
   return notes;
@@ -86,11 +125,12 @@ export function getChordNotes(root, voicing, flattenFifth = false, key = null) {
 
 /**
  * Get the 7 chords from a major key as seventh chords (jazz style)
- * @param {string} key - The key (e.g., 'C', 'D#')
+ * @param {string} key - The key (e.g., 'C', 'Eb')
+ * @param {string} preference - Accidental preference: 'auto', 'sharps' or 'flats' (default: 'auto')
  * @returns {Array<Object>} - Array of {degree, note, voicing, label} objects
  */
-export function getSeventhChordsFromKey(key) {
-  const scaleNotes = getScaleNotes(key, 'major');
+export function getSeventhChordsFromKey(key, preference = 'auto') {
+  const scaleNotes = getScaleNotes(key, 'major', preference);
   
   // Seventh chords in a major key: I7, ii7, iii7, IV7, V7, vi7, viiø7
   const voicings = ['maj7', 'm7', 'm7', 'maj7', '7', 'm7', 'half-diminished'];
@@ -118,22 +158,23 @@ export function getChordPositions(root, voicing, flattenFifth = false, maxFrets
 }
 
 /**
- * Get the function of a note within a chord (e.g., 1, 3, 5, 7, b3, b5, b7)
+ * Get the function of a note within a chord (e.g., 1, b3, 5, b7, 9, #11, b13)
+ * Extensions keep their compound degree, so a 9th is '9' rather than '2' and a #9 is '#9' rather than 'b3'
  * @param {string} note - The note to check
  * @param {string} chordRoot - Root note of the chord
  * @param {string} voicing - Chord voicing
- * @returns {string} - Function label (e.g., '1', '3', '5', '7', 'b3', 'b5', 'b7')
+ * @returns {string|null} - Function label, or null when the note isn't a chord tone
  */
 export function getChordFunction(note, chordRoot, voicing) {
-  const rootIndex = NOTE_NAMES.indexOf(chordRoot);
-  const noteIndex = NOTE_NAMES.indexOf(note);
+  const rootIndex = noteToPitchClass(chordRoot);
+  const noteIndex = noteToPitchClass(note);
   
   if (rootIndex === -1 || noteIndex === -1) {
     return null;
   }
   
   // Calculate semitone distance from root
-  let semitones = (noteIndex - rootIndex + 12) % 12;
+  const semitones = (noteIndex - rootIndex + 12) % 12;
   
   // Get the pattern for this voicing
   const pattern = CHORD_PATTERNS[voicing];
@@ -141,77 +182,23 @@ export function getChordFunction(note, chordRoot, voicing) {
     return null;
   }
   
-  // Find which interval in the pattern matches this semitone distance
-  const intervalIndex = pattern.indexOf(semitones);
+  // Find the chord tone with this pitch class (extensions lie above the octave)
+  const intervalIndex = pattern.findIndex(interval => interval % 12 === semitones);
   if (intervalIndex === -1) {
     return null;
   }
   
-  // Map interval indices to function names
-  const functionNames = {
-    0: '1',      // Root
-    1: '3',      // Third
-    2: '5',      // Fifth
-    3: '7',      // Seventh
-  };
-  
-  // Map semitones to function names with accidentals
-  const semitoneToFunction = {
-    0: '1',
-    1: 'b2',
-    2: '2',
-    3: 'b3',
-    4: '3',
-    5: '4',
-    6: 'b5',
-    7: '5',
-    8: '#5',
-    9: '6',
-    10: 'b7',
-    11: '7',
-  };
-  
-  // Special handling for sus2 and sus4 chords
-  if (voicing === 'sus2') {
-    if (semitones === 0) return '1';
-    if (semitones === 2) return '2';
-    if (semitones === 7) return '5';
-  }
-  if (voicing === 'sus4') {
-    if (semitones === 0) return '1';
-    if (semitones === 5) return '4';
-    if (semitones === 7) return '5';
-  }
-  
-  // Check if this is a standard chord tone
-  if (intervalIndex < functionNames.length) {
-    // For standard chord tones, check if we need accidentals
-    const expectedSemitones = pattern[intervalIndex];
-    if (semitones === expectedSemitones) {
-      return semitoneToFunction[semitones];
-    }
-  }
-  
-  // Fallback: use semitone to function mapping
-  return semitoneToFunction[semitones] || null;
+  return formatChordDegree(CHORD_DEGREES[voicing][intervalIndex], pattern[intervalIndex]);
 }
 
 /**
  * Get the function of a note within a key (e.g., 1, 2, 3, 4, 5, 6, 7)
+ * Notes outside the major scale are shown as altered degrees (e.g., b3, #4, b7)
  * @param {string} note - The note to check
- * @param {string} key - The key
- * @returns {string} - Function label (e.g., '1', '2', '3', '4', '5', '6', '7')
+ * @param {string} key - The key (spelled like the scale, e.g. 'C#' for C# minor)
+ * @returns {string} - Function label (e.g., '1', '2', 'b3', '#4')
  */
 export function getKeyFunction(note, key) {
-  const scaleNotes = getScaleNotes(key, 'major');
-  const scaleIndex = scaleNotes.indexOf(note);
-  
-  if (scaleIndex === -1) {
-    return null;
-  }
-  
-  // Map scale index to function (1-indexed)
-  const functionNames = ['1', '2', '3', '4', '5', '6', '7'];
-  return functionNames[scaleIndex] || null;
+  return getDegreeLabel(note, key);
 }
 
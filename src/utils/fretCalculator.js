@@ -2,6 +2,9 @@
  * Utility functions for calculating note positions on the fretboard
  */
 
+import { NOTE_NAMES } from './scales.js';
+import { noteToPitchClass } from './spelling.js';
+
 /**
  * String tunings (open string notes)
  * Note: This is a 6-string configuration (standard guitar tuning)
@@ -16,21 +19,17 @@ export const STRING_TUNINGS = [
   { name: 'E', midi: 40 }    // E2 (low E)
 ];
 
-/**
- * Note names array
- */
-const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-
 /**
  * Get the note name at a given fret on a given string
  * @param {number} stringIndex - Index of the string (0-5)
  * @param {number} fret - Fret number (0-16)
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
  * @returns {string} - Note name (e.g., 'C', 'C#', 'D')
  */
-export function getNoteAtFret(stringIndex, fret) {
-  const stringTuning = STRING_TUNINGS[stringIndex];
+export function getNoteAtFret(stringIndex, fret, tuning = STRING_TUNINGS) {
+  const stringTuning = tuning[stringIndex];
   const openNoteName = stringTuning.name;
-  const openNoteIndex = NOTE_NAMES.indexOf(openNoteName);
+  const openNoteIndex = noteToPitchClass(openNoteName);
   
   if (openNoteIndex === -1) {
     throw new Error(`Invalid string tuning: ${stringTuning.name}`);
@@ -44,12 +43,13 @@ export function getNoteAtFret(stringIndex, fret) {
  * Get the note name and octave at a given fret on a given string
  * @param {number} stringIndex - Index of the string (0-5)
  * @param {number} fret - Fret number (0-16)
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
  * @returns {Object} - Object with note name and octave (e.g., { note: 'C', octave: 3 })
  */
-export function getNoteWithOctaveAtFret(stringIndex, fret) {
-  const stringTuning = STRING_TUNINGS[stringIndex];
+export function getNoteWithOctaveAtFret(stringIndex, fret, tuning = STRING_TUNINGS) {
+  const stringTuning = tuning[stringIndex];
   const openNoteName = stringTuning.name;
-  const openNoteIndex = NOTE_NAMES.indexOf(openNoteName);
+  const openNoteIndex = noteToPitchClass(openNoteName);
   const openMidi = stringTuning.midi;
   
   if (openNoteIndex === -1) {
@@ -72,22 +72,37 @@ export function getNoteWithOctaveAtFret(stringIndex, fret) {
   return { note, octave };
 }
 
+/**
+ * Get the MIDI note number at a given fret on a given string
+ * @param {number} stringIndex - Index of the string (0-5)
+ * @param {number} fret - Fret number (0-16)
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
+ * @returns {number} - MIDI note number (e.g., 40 for the open low E string)
+ */
+export function getMidiAtFret(stringIndex, fret, tuning = STRING_TUNINGS) {
+  return tuning[stringIndex].midi + fret;
+}
+
 /**
  * Get all fret positions that match notes in the given scale
+ * Matching is by pitch class, and each position uses the scale's spelling (e.g., Bb rather than A#)
  * @param {Array<string>} scaleNotes - Array of note names in the scale
  * @param {number} maxFrets - Maximum number of frets to check (default: 16)
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
+ * @param {number} capo - Capo fret; frets below it are not playable (default: 0, no capo)
  * @returns {Array<Object>} - Array of {stringIndex, fret, note} objects
  */
-export function getScalePositions(scaleNotes, maxFrets = 16) {
+export function getScalePositions(scaleNotes, maxFrets = 16, tuning = STRING_TUNINGS, capo = 0) {
   const positions = [];
-  const scaleNoteSet = new Set(scaleNotes);
+  // Map each pitch class in the scale to its spelled note name
+  const scaleNoteMap = new Map(scaleNotes.map(note => [noteToPitchClass(note), note]));
 
   // Check each string
-  for (let stringIndex = 0; stringIndex < STRING_TUNINGS.length; stringIndex++) {
-    // Check each fret
-    for (let fret = 0; fret <= maxFrets; fret++) {
-      const note = getNoteAtFret(stringIndex, fret);
-      if (scaleNoteSet.has(note)) {
+  for (let stringIndex = 0; stringIndex < tuning.length; stringIndex++) {
+    // Check each fret from the capo (the new nut) up
+    for (let fret = capo; fret <= maxFrets; fret++) {
+      const note = scaleNoteMap.get(getMidiAtFret(stringIndex, fret, tuning) % 12);
+      if (note) {
         positions.push({
           stringIndex,
           fret,
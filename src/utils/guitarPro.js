@@ -0,0 +1,670 @@
+/**
+ * Guitar Pro import: decodes .gp3, .gp4, .gp5 and .gpx files into songs (tracks with their tuning,
+ * measures, beats and note techniques) that renderSongTrack writes out as tab
+ */
+
+import { parseXml, getChild, getChildren, getChildText, findElements } from './xml.js';
+import { createNote, getOpenString } from './songTab.js';
+
+/**
+ * File extensions of the Guitar Pro formats that can be imported
+ */
+export const GUITAR_PRO_EXTENSIONS = ['.gp3', '.gp4', '.gp5', '.gpx'];
+
+/**
+ * Bend amount that makes a semitone, in both the binary formats and score.gpif (100 is a whole step)
+ */
+const BEND_SEMITONE = 50;
+
+/**
+ * Beats of the note values named in score.gpif
+ */
+const GPIF_NOTE_VALUES = {
+  Whole: 4, Half: 2, Quarter: 1, Eighth: 0.5, '16th': 0.25, '32nd': 0.125, '64th': 0.0625, '128th': 0.03125,
+};
+
+/**
+ * Create a reader of little-endian Guitar Pro binary data
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} - Reader with byte, signedByte, bool, short, int, skip and the Guitar Pro string readers
+ */
+function createReader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const take = (length) => {
+    if (length < 0 || offset + length > bytes.length) {
+      throw new Error('The Guitar Pro file ends unexpectedly (it may be damaged)');
+    }
+    const start = offset;
+    offset += length;
+    return start;
+  };
+  const string = (length) => String.fromCharCode(...bytes.subarray(take(length), offset));
+
+  const reader = {
+    byte: () => view.getUint8(take(1)),
+    signedByte: () => view.getInt8(take(1)),
+    bool: () => view.getUint8(take(1)) !== 0,
+    short: () => view.getInt16(take(2), true),
+    int: () => view.getInt32(take(4), true),
+    skip: (length) => { take(length); },
+    // A length byte, then a field of size bytes (or length bytes when the field has no fixed size)
+    byteSizeString: (size) => {
+      const length = reader.byte();
+      const text = string(Math.min(length, size));
+      reader.skip(Math.max(0, size - length));
+      return text;
+    },
+    // The field size as an int, then a byte size string filling it
+    intByteSizeString: () => {
+      const size = reader.int() - 1;
+      const length = reader.byte();
+      const text = string(Math.min(length, Math.max(size, 0)));
+      reader.skip(Math.max(0, size - length));
+      return text;
+    },
+    // The length as an int, then the characters
+    intSizeString: () => string(reader.int()),
+  };
+  return reader;
+}
+
+/**
+ * Get the ratio a tuplet plays its notes at (e.g., 3 -> 2/3: three eighths in the time of two)
+ * @param {number} tuplet - Notes in the tuplet
+ * @returns {number} - Ratio of the written duration that's played
+ */
+function getTupletRatio(tuplet) {
+  if (tuplet < 2) return 1;
+  return 2 ** Math.floor(Math.log2(tuplet - 1)) / tuplet;
+}
+
+/**
+ * Read a bend (or tremolo bar) and size it in semitones
+ * @param {Object} reader - Reader from createReader
+ * @returns {Object} - {semitones: highest point, release: whether it ends lower than its peak}
+ */
+function readBend(reader) {
+  reader.skip(5); // Type and overall value
+  const points = [];
+  const pointCount = reader.int();
+  for (let point = 0; point < pointCount; point++) {
+    reader.int(); // Position
+    points.push(reader.int());
+    reader.bool(); // Vibrato
+  }
+  const peak = Math.max(0, ...points);
+  return { semitones: peak / BEND_SEMITONE, release: points.length > 0 && points[points.length - 1] < peak };
+}
+
+/**
+ * Read a chord diagram attached to a beat
+ * @param {Object} reader - Reader from createReader
+ * @param {number} version - Format version (e.g., 406 for 4.06)
+ * @returns {string} - Chord name
+ */
+function readChord(reader, version) {
+  if (version >= 500) {
+    reader.skip(17);
+    const name = reader.byteSizeString(21);
+    reader.skip(4 + 4 + 7 * 4 + 32);
+    return name;
+  }
+
+  if (!reader.bool()) {
+    // Old diagram format: a name and, when fretted, six frets
+    const name = reader.intByteSizeString();
+    if (reader.int() !== 0) {
+      reader.skip(6 * 4);
+    }
+    return name;
+  }
+
+  if (version >= 400) {
+    reader.skip(16);
+    const name = reader.byteSizeString(22);
+    reader.skip(3 + 4 + 7 * 4 + 32);
+    return name;
+  }
+  reader.skip(25);
+  const name = reader.byteSizeString(22);
+  reader.skip(12 + 4 + 6 * 4 + 4 + 6 * 4 + 7 + 1);
+  return name;
+}
+
+/**
+ * Read the effects of a beat
+ * @param {Object} reader - Reader from createReader
+ * @param {number} version - Format version
+ * @returns {Object} - {vibrato, harmonic}: effects the notes of the beat take on (Guitar Pro 3 keeps them per beat)
+ */
+function readBeatEffects(reader, version) {
+  if (version < 400) {
+    const flags = reader.byte();
+    if (flags & 0x20) {
+      reader.byte(); // Tapping, slapping or popping (0 for a tremolo bar)
+      reader.int();
+    }
+    if (flags & 0x40) reader.skip(2); // Stroke
+    return { vibrato: (flags & 0x03) !== 0, harmonic: (flags & 0x04) !== 0 };
+  }
+
+  const flags1 = reader.byte();
+  const flags2 = reader.byte();
+  if (flags1 & 0x20) reader.byte(); // Tapping, slapping or popping
+  if (flags2 & 0x04) readBend(reader); // Tremolo bar
+  if (flags1 & 0x40) reader.skip(2); // Stroke
+  if (flags2 & 0x02) reader.byte(); // Pick stroke
+  return { vibrato: (flags1 & 0x03) !== 0, harmonic: false };
+}
+
+/**
+ * Read a mix table change (instrument, volume, tempo, ... changes), keeping only the tempo
+ * @param {Object} reader - Reader from createReader
+ * @param {number} version - Format version
+ * @returns {number} - New tempo, or -1 when it doesn't change
+ */
+function readMixTableChange(reader, version) {
+  reader.signedByte(); // Instrument
+  if (version >= 500) reader.skip(16); // RSE instrument
+  const values = [0, 1, 2, 3, 4, 5].map(() => reader.signedByte()); // Volume, balance, chorus, reverb, phaser, tremolo
+  if (version >= 500) reader.intByteSizeString(); // Tempo name
+  const tempo = reader.int();
+
+  // Transition lengths of the values that change
+  values.forEach(value => {
+    if (value >= 0) reader.byte();
+  });
+  if (tempo >= 0) {
+    reader.byte();
+    if (version > 500) reader.bool(); // Hide tempo
+  }
+  if (version >= 400) reader.byte(); // Apply to all tracks
+  if (version >= 500) reader.byte(); // Wah
+  if (version > 500) {
+    // RSE effect and effect category (5.10 and later)
+    reader.intByteSizeString();
+    reader.intByteSizeString();
+  }
+  return tempo;
+}
+
+/**
+ * Read the effects of a note into it
+ * @param {Object} reader - Reader from createReader
+ * @param {number} version - Format version
+ * @param {Object} note - Note being read
+ */
+function readNoteEffects(reader, version, note) {
+  if (version < 400) {
+    const flags = reader.byte();
+    if (flags & 0x01) note.bend = readBend(reader);
+    if (flags & 0x10) reader.skip(4); // Grace note
+    note.hammer = (flags & 0x02) !== 0;
+    if (flags & 0x04) note.slide = 'shift';
+    return;
+  }
+
+  const flags1 = reader.byte();
+  const flags2 = reader.byte();
+  note.hammer = (flags1 & 0x02) !== 0;
+  note.palmMute = (flags2 & 0x02) !== 0;
+  note.vibrato = note.vibrato || (flags2 & 0x40) !== 0;
+  if (flags1 & 0x01) note.bend = readBend(reader);
+  if (flags1 & 0x10) reader.skip(version >= 500 ? 5 : 4); // Grace note
+  if (flags2 & 0x04) reader.byte(); // Tremolo picking
+
+  if (flags2 & 0x08) {
+    if (version >= 500) {
+      const slides = reader.byte();
+      if (slides & 0x03) note.slide = slides & 0x01 ? 'shift' : 'legato';
+      if (slides & 0x0c) note.slideOut = slides & 0x04 ? 'down' : 'up';
+      if (slides & 0x30) note.slideIn = slides & 0x10 ? 'below' : 'above';
+    } else {
+      const slide = reader.signedByte();
+      if (slide === 1 || slide === 2) note.slide = slide === 1 ? 'shift' : 'legato';
+      if (slide === 3 || slide === 4) note.slideOut = slide === 3 ? 'down' : 'up';
+      if (slide === -1 || slide === -2) note.slideIn = slide === -1 ? 'below' : 'above';
+    }
+  }
+
+  if (flags2 & 0x10) {
+    const harmonic = reader.signedByte();
+    note.harmonic = harmonic === 1;
+    if (version >= 500 && harmonic === 2) reader.skip(3); // Artificial harmonic pitch
+    if (version >= 500 && harmonic === 3) reader.byte(); // Tapped harmonic fret
+  }
+  if (flags2 & 0x20) reader.skip(2); // Trill
+}
+
+/**
+ * Read a note
+ * @param {Object} reader - Reader from createReader
+ * @param {number} version - Format version
+ * @param {number} stringIndex - Index of the string (0 = highest)
+ * @returns {Object} - Note from createNote
+ */
+function readNote(reader, version, stringIndex) {
+  const flags = reader.byte();
+  const note = createNote(stringIndex, 0);
+  note.ghost = (flags & 0x04) !== 0;
+
+  let type = 1;
+  if (flags & 0x20) type = reader.byte();
+  if (version < 500 && (flags & 0x01)) reader.skip(2); // Independent duration
+  if (flags & 0x10) reader.byte(); // Dynamic
+  if (flags & 0x20) note.fret = reader.signedByte();
+  if (flags & 0x80) reader.skip(2); // Fingering
+  if (version >= 500) {
+    if (flags & 0x01) reader.skip(8); // Duration percent
+    reader.byte();
+  }
+
+  note.tie = type === 2;
+  note.dead = type === 3;
+  if (flags & 0x08) readNoteEffects(reader, version, note);
+  return note;
+}
+
+/**
+ * Read a beat
+ * @param {Object} reader - Reader from createReader
+ * @param {number} version - Format version
+ * @param {number} stringCount - Strings on the track
+ * @returns {Object} - Beat: {duration (in beats), chord (name or null), notes}
+ */
+function readBeat(reader, version, stringCount) {
+  const flags = reader.byte();
+  if (flags & 0x40) reader.byte(); // Empty beat or rest
+
+  let duration = 4 / 2 ** (reader.signedByte() + 2);
+  if (flags & 0x01) duration *= 1.5;
+  if (flags & 0x20) duration *= getTupletRatio(reader.int());
+
+  const chord = flags & 0x02 ? readChord(reader, version) : null;
+  if (flags & 0x04) reader.intByteSizeString(); // Text
+  const effects = flags & 0x08 ? readBeatEffects(reader, version) : { vibrato: false, harmonic: false };
+  if (flags & 0x10) readMixTableChange(reader, version);
+
+  // One bit per string, the highest string at bit 6
+  const stringFlags = reader.byte();
+  const notes = [];
+  for (let bit = 6; bit >= 0; bit--) {
+    if (stringFlags & (1 << bit)) {
+      const note = readNote(reader, version, 6 - bit);
+      note.vibrato = note.vibrato || effects.vibrato;
+      note.harmonic = note.harmonic || effects.harmonic;
+      if (note.stringIndex < stringCount) notes.push(note);
+    }
+  }
+
+  if (version >= 500) {
+    if (reader.short() & 0x0800) reader.byte(); // Beam break
+  }
+  return { duration, chord: chord ? chord.trim() || null : null, notes };
+}
+
+/**
+ * Read the beats of one voice of a measure
+ * @param {Object} reader - Reader from createReader
+ * @param {number} version - Format version
+ * @param {number} stringCount - Strings on the track
+ * @returns {Array<Object>} - Beats from readBeat
+ */
+function readVoice(reader, version, stringCount) {
+  const beats = [];
+  const beatCount = reader.int();
+  for (let beat = 0; beat < beatCount; beat++) {
+    beats.push(readBeat(reader, version, stringCount));
+  }
+  return beats;
+}
+
+/**
+ * Decode a .gp3, .gp4 or .gp5 file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} - Song (see songTab.js)
+ */
+function readBinarySong(bytes) {
+  const reader = createReader(bytes);
+  const versionText = reader.byteSizeString(30);
+  const versionMatch = versionText.match(/GUITAR PRO v(\d)\.(\d+)/);
+  if (!versionMatch) {
+    throw new Error('This is not a Guitar Pro file');
+  }
+  const version = parseInt(versionMatch[1], 10) * 100 + parseInt(versionMatch[2], 10);
+  if (version < 300 || version >= 600) {
+    throw new Error(`Guitar Pro ${versionMatch[1]} files can't be imported here (only .gp3, .gp4, .gp5 and .gpx)`);
+  }
+
+  // Score information
+  const fields = ['title', 'subtitle', 'artist', 'album', 'words', ...(version >= 500 ? ['music'] : []), 'copyright', 'tab', 'instructions'];
+  const info = {};
+  fields.forEach(field => {
+    info[field] = reader.intByteSizeString();
+  });
+  const noticeLines = reader.int();
+  for (let line = 0; line < noticeLines; line++) reader.intByteSizeString();
+
+  if (version < 500) reader.bool(); // Triplet feel
+  if (version >= 400) {
+    reader.int(); // Lyrics track
+    for (let line = 0; line < 5; line++) {
+      reader.int();
+      reader.intSizeString();
+    }
+  }
+  if (version > 500) reader.skip(19); // RSE master effect
+  if (version >= 500) {
+    reader.skip(30); // Page size, margins and header/footer flags
+    for (let field = 0; field < 10; field++) reader.intByteSizeString();
+    reader.intByteSizeString(); // Tempo name
+  }
+  const tempo = reader.int();
+  if (version > 500) reader.bool(); // Hide tempo
+  reader.int(); // Key signature
+  if (version >= 400) reader.byte(); // Octave
+  reader.skip(64 * 12); // MIDI channels
+  if (version >= 500) reader.skip(19 * 2 + 4); // Directions (coda, segno, ...) and master reverb
+
+  const measureCount = reader.int();
+  const trackCount = reader.int();
+
+  const measures = [];
+  for (let number = 0; number < measureCount; number++) {
+    if (version >= 500 && number > 0) reader.skip(1);
+    const previous = measures[number - 1] || { numerator: 4, denominator: 4 };
+    const measure = { numerator: previous.numerator, denominator: previous.denominator, marker: null };
+    const flags = reader.byte();
+    if (flags & 0x01) measure.numerator = reader.signedByte();
+    if (flags & 0x02) measure.denominator = reader.signedByte();
+    if (flags & 0x08) reader.byte(); // Repeat count
+    if (version < 500 && (flags & 0x10)) reader.byte(); // Alternate ending
+    if (flags & 0x20) {
+      measure.marker = reader.intByteSizeString().trim() || null;
+      reader.skip(4); // Colour
+    }
+    if (flags & 0x40) reader.skip(2); // Key signature
+    if (version >= 500) {
+      if (flags & 0x10) reader.byte(); // Alternate ending
+      if (flags & 0x03) reader.skip(4); // Beam groups
+      if (!(flags & 0x10)) reader.skip(1);
+      reader.byte(); // Triplet feel
+    }
+    measures.push(measure);
+  }
+
+  const tracks = [];
+  for (let number = 0; number < trackCount; number++) {
+    if (version >= 500 && (number === 0 || version === 500)) reader.skip(1);
+    const flags = reader.byte();
+    const name = reader.byteSizeString(40).trim();
+    const stringCount = reader.int();
+    const tuning = [];
+    for (let string = 0; string < 7; string++) {
+      const midi = reader.int();
+      if (string < stringCount) tuning.push(getOpenString(midi));
+    }
+    reader.int(); // MIDI port
+    const channel = reader.int();
+    reader.int(); // Effects channel
+    reader.int(); // Fret count
+    const capo = reader.int();
+    reader.skip(4); // Colour
+    if (version >= 500) {
+      reader.skip(2 + 1 + 1); // Display flags, auto accentuation, MIDI bank
+      reader.skip(1 + 12 + 12); // RSE humanize and settings
+      reader.skip(12 + (version === 500 ? 3 : 4)); // RSE instrument
+      if (version > 500) {
+        reader.skip(4); // Equalizer
+        reader.intByteSizeString();
+        reader.intByteSizeString();
+      }
+    }
+    tracks.push({ name: name || `Track ${number + 1}`, tuning, capo, isPercussion: (flags & 0x01) !== 0 || channel === 10, measures: [] });
+  }
+  if (version >= 500) reader.skip(version === 500 ? 2 : 1);
+
+  // Measures of every track, one after the other (only the first voice of Guitar Pro 5 is kept)
+  for (let number = 0; number < measureCount; number++) {
+    tracks.forEach(track => {
+      const beats = readVoice(reader, version, track.tuning.length);
+      if (version >= 500) {
+        readVoice(reader, version, track.tuning.length);
+        reader.byte(); // Line break
+      }
+      track.measures.push({ beats });
+    });
+  }
+
+  return {
+    title: info.title.trim() || null,
+    artist: info.artist.trim() || null,
+    tempo,
+    measures,
+    tracks,
+  };
+}
+
+/**
+ * Decompress the BCFZ container of a .gpx file (an LZ77 variant read bit by bit)
+ * @param {Uint8Array} bytes - Compressed data after the 'BCFZ' header
+ * @returns {Uint8Array} - Decompressed data (starting with the 'BCFS' header)
+ */
+function decompressGpx(bytes) {
+  const expectedLength = new DataView(bytes.buffer, bytes.byteOffset, 4).getInt32(0, true);
+  const output = new Uint8Array(expectedLength);
+  let length = 0;
+  let bitOffset = 32;
+
+  const readBit = () => {
+    const byte = bytes[bitOffset >> 3];
+    if (byte === undefined) {
+      throw new RangeError('End of data');
+    }
+    const bit = (byte >> (7 - (bitOffset & 7))) & 1;
+    bitOffset++;
+    return bit;
+  };
+  const readBits = (count) => {
+    let value = 0;
+    for (let bit = count - 1; bit >= 0; bit--) value |= readBit() << bit;
+    return value;
+  };
+  const readBitsReversed = (count) => {
+    let value = 0;
+    for (let bit = 0; bit < count; bit++) value |= readBit() << bit;
+    return value;
+  };
+
+  try {
+    while (length < expectedLength) {
+      if (readBits(1) === 1) {
+        // Copy of earlier output: offset back from the end and size
+        const wordSize = readBits(4);
+        const offset = readBitsReversed(wordSize);
+        const size = Math.min(offset, readBitsReversed(wordSize));
+        const source = length - offset;
+        for (let index = 0; index < size && length < expectedLength; index++) {
+          output[length++] = output[source + index];
+        }
+      } else {
+        const size = readBitsReversed(2);
+        for (let index = 0; index < size && length < expectedLength; index++) {
+          output[length++] = readBits(8);
+        }
+      }
+    }
+  } catch (error) {
+    // Running out of data ends the stream
+    if (!(error instanceof RangeError)) throw error;
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * Read the files of a .gpx file's BCFS file system (4096-byte sectors)
+ * @param {Uint8Array} bytes - File system data after the 'BCFS' header
+ * @returns {Map<string, Uint8Array>} - File contents by name
+ */
+function readGpxFiles(bytes) {
+  const sectorSize = 0x1000;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const readInt = (offset) => (offset + 4 <= bytes.length ? view.getInt32(offset, true) : 0);
+  const files = new Map();
+
+  for (let offset = sectorSize; offset + 3 < bytes.length; offset += sectorSize) {
+    if (readInt(offset) !== 2) continue;
+
+    // A file entry: its name, size and the sectors holding its data
+    const nameBytes = bytes.subarray(offset + 4, offset + 4 + 127);
+    const nameEnd = nameBytes.indexOf(0);
+    const name = String.fromCharCode(...nameBytes.subarray(0, nameEnd === -1 ? nameBytes.length : nameEnd));
+    const size = readInt(offset + 0x8c);
+    const data = new Uint8Array(size);
+    let written = 0;
+    for (let pointer = offset + 0x94, sector = readInt(pointer); sector !== 0 && written < size; pointer += 4, sector = readInt(pointer)) {
+      const chunk = bytes.subarray(sector * sectorSize, sector * sectorSize + Math.min(sectorSize, size - written));
+      data.set(chunk, written);
+      written += chunk.length;
+    }
+    files.set(name, data);
+  }
+  return files;
+}
+
+/**
+ * Get the Property element of a name among an element's descendants (score.gpif keeps most values in them)
+ * @param {Object|null} element - Element from parseXml
+ * @param {string} name - Property name (e.g., 'Tuning')
+ * @returns {Object|null} - Property element, or null
+ */
+function findProperty(element, name) {
+  return findElements(element, 'Property').find(property => property.attributes.name === name) || null;
+}
+
+/**
+ * Read a note of score.gpif
+ * @param {Object} element - Note element
+ * @param {number} stringCount - Strings on the track
+ * @returns {Object} - Note from createNote
+ */
+function readGpifNote(element, stringCount) {
+  const properties = new Map(getChildren(getChild(element, 'Properties'), 'Property').map(property => [property.attributes.name, property]));
+  const value = (name, child) => getChildText(properties.get(name) || null, child);
+
+  // Strings count up from the lowest
+  const note = createNote(stringCount - 1 - parseInt(value('String', 'String') || '0', 10), parseInt(value('Fret', 'Fret') || '0', 10));
+  const tie = getChild(element, 'Tie');
+  note.tie = Boolean(tie && tie.attributes.destination === 'true');
+  note.dead = properties.has('Muted');
+  note.palmMute = properties.has('PalmMuted');
+  note.ghost = getChild(element, 'AntiAccent') !== null;
+  note.vibrato = getChild(element, 'Vibrato') !== null;
+  note.hammer = properties.has('HopoOrigin');
+  note.harmonic = value('HarmonicType', 'HType') === 'Natural';
+
+  const slides = parseInt(value('Slide', 'Flags') || '0', 10);
+  if (slides & 0x03) note.slide = slides & 0x01 ? 'shift' : 'legato';
+  if (slides & 0x0c) note.slideOut = slides & 0x04 ? 'down' : 'up';
+  if (slides & 0x30) note.slideIn = slides & 0x10 ? 'below' : 'above';
+
+  if (properties.has('Bended')) {
+    const points = ['BendOriginValue', 'BendMiddleValue', 'BendDestinationValue'].map(name => parseFloat(value(name, 'Float') || '0'));
+    const peak = Math.max(...points);
+    note.bend = { semitones: peak / BEND_SEMITONE, release: points[2] < peak };
+  }
+  return note;
+}
+
+/**
+ * Decode the score.gpif document of a .gpx file
+ * @param {Object} root - GPIF root element from parseXml
+ * @returns {Object} - Song (see songTab.js)
+ */
+function readGpifSong(root) {
+  const collect = (collection, name) => new Map(getChildren(getChild(root, collection), name).map(element => [element.attributes.id, element]));
+  const bars = collect('Bars', 'Bar');
+  const voices = collect('Voices', 'Voice');
+  const beats = collect('Beats', 'Beat');
+  const notes = collect('Notes', 'Note');
+  const rhythms = collect('Rhythms', 'Rhythm');
+  const ids = (text) => (text || '').split(/\s+/).filter(id => id && id !== '-1');
+
+  const masterBars = getChildren(getChild(root, 'MasterBars'), 'MasterBar');
+  const measures = masterBars.map(masterBar => {
+    const [numerator, denominator] = (getChildText(masterBar, 'Time') || '4/4').split('/').map(Number);
+    const section = getChild(masterBar, 'Section');
+    return { numerator, denominator, marker: section ? getChildText(section, 'Text') || getChildText(section, 'Letter') || null : null };
+  });
+
+  const tempoAutomation = findElements(getChild(root, 'MasterTrack'), 'Automation')
+    .find(automation => getChildText(automation, 'Type') === 'Tempo');
+
+  const readBeatElement = (element, stringCount, chordNames) => {
+    const rhythm = rhythms.get((getChild(element, 'Rhythm') || { attributes: {} }).attributes.ref);
+    let duration = GPIF_NOTE_VALUES[getChildText(rhythm || null, 'NoteValue')] || 1;
+    const dot = getChild(rhythm || null, 'AugmentationDot');
+    if (dot) duration *= dot.attributes.count === '2' ? 1.75 : 1.5;
+    const tuplet = getChild(rhythm || null, 'PrimaryTuplet');
+    if (tuplet) duration *= parseInt(tuplet.attributes.den, 10) / parseInt(tuplet.attributes.num, 10);
+
+    return {
+      duration,
+      chord: chordNames.get(getChildText(element, 'Chord')) || null,
+      notes: ids(getChildText(element, 'Notes')).map(id => readGpifNote(notes.get(id), stringCount)),
+    };
+  };
+
+  const tracks = getChildren(getChild(root, 'Tracks'), 'Track').map((trackElement, trackIndex) => {
+    const pitches = getChildText(findProperty(trackElement, 'Tuning'), 'Pitches');
+    const tuning = pitches ? pitches.split(/\s+/).map(Number).reverse().map(getOpenString) : [];
+    const chordNames = new Map(findElements(findProperty(trackElement, 'DiagramCollection'), 'Item')
+      .map(item => [item.attributes.id, item.attributes.name]));
+
+    return {
+      name: getChildText(trackElement, 'Name') || `Track ${trackIndex + 1}`,
+      tuning,
+      capo: parseInt(getChildText(findProperty(trackElement, 'CapoFret'), 'Fret') || '0', 10),
+      isPercussion: tuning.length === 0,
+      measures: masterBars.map(masterBar => {
+        const bar = bars.get(ids(getChildText(masterBar, 'Bars'))[trackIndex]);
+        const voice = voices.get(ids(getChildText(bar || null, 'Voices'))[0]);
+        return { beats: ids(getChildText(voice || null, 'Beats')).map(id => readBeatElement(beats.get(id), tuning.length, chordNames)) };
+      }),
+    };
+  });
+
+  const score = getChild(root, 'Score');
+  return {
+    title: getChildText(score, 'Title') || null,
+    artist: getChildText(score, 'Artist') || null,
+    tempo: tempoAutomation ? parseFloat(getChildText(tempoAutomation, 'Value')) : 120,
+    measures,
+    tracks,
+  };
+}
+
+/**
+ * Decode a Guitar Pro file
+ * @param {ArrayBuffer|Uint8Array} data - File contents (.gp3, .gp4, .gp5 or .gpx)
+ * @returns {Object} - Song (see songTab.js)
+ */
+export function parseGuitarProFile(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const header = String.fromCharCode(...bytes.subarray(0, 4));
+
+  if (header === 'BCFZ' || header === 'BCFS') {
+    const fileSystem = header === 'BCFZ' ? decompressGpx(bytes.subarray(4)) : bytes;
+    const score = readGpxFiles(fileSystem.subarray(4)).get('score.gpif');
+    if (!score) {
+      throw new Error('This .gpx file has no score in it');
+    }
+    return readGpifSong(parseXml(new TextDecoder('utf-8').decode(score)));
+  }
+  if (header.startsWith('PK')) {
+    throw new Error('Guitar Pro 7 and later (.gp) files can\'t be imported here; export the song as .gp5 or .gpx');
+  }
+  return readBinarySong(bytes);
+}
@@ -0,0 +1,136 @@
+/**
+ * Instrument profiles: string count, open pitches, labels, samples and fret defaults
+ */
+
+import { STRING_TUNINGS } from './fretCalculator.js';
+import { TUNING_PRESETS, tuningFromNotes } from './tunings.js';
+import { STRING_SAMPLES } from './audioPlayback.js';
+
+/**
+ * Build a sample mapping (one representative sample per string, high to low)
+ * @param {Array<string>} files - Sample file names from the sound pack, high to low (e.g., ['E4.wav', ...])
+ * @returns {Array<Object>} - Array of {stringIndex, file, note, octave} objects
+ */
+function samplesFromFiles(files) {
+  return files.map((file, stringIndex) => {
+    const [, note, octave] = file.match(/^([A-G]#?)(-?\d)\.wav$/);
+    return { stringIndex, file, note, octave: parseInt(octave, 10) };
+  });
+}
+
+/**
+ * Instrument profiles
+ * - tuning: default open strings, high to low (top to bottom on the fretboard)
+ * - tunings: tuning presets offered for this instrument
+ * - trebleStrings: number of top strings labelled in lowercase
+ * - stringThicknesses: rendered string heights in pixels, high to low
+ * - samples: representative sample for each string (pitch-shifted for all frets)
+ * - defaultFrets: stored fret count (displayed as one less, like the Number of Frets input)
+ */
+export const INSTRUMENTS = [
+  {
+    id: 'guitar',
+    label: 'Guitar (6-string)',
+    tuning: STRING_TUNINGS,
+    tunings: TUNING_PRESETS,
+    trebleStrings: 2,
+    stringThicknesses: [2, 2.5, 3, 3.5, 4, 4.5],
+    samples: STRING_SAMPLES,
+    defaultFrets: 16,
+  },
+  {
+    id: 'guitar-7',
+    label: 'Guitar (7-string)',
+    tuning: tuningFromNotes(['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1']),
+    tunings: [
+      { id: 'standard', label: 'Standard (B E A D G B E)', strings: tuningFromNotes(['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1']) },
+      { id: 'drop-a', label: 'Drop A (A E A D G B E)', strings: tuningFromNotes(['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'A1']) },
+    ],
+    trebleStrings: 2,
+    stringThicknesses: [2, 2.5, 3, 3.5, 4, 4.5, 5],
+    samples: samplesFromFiles(['E4.wav', 'B4.wav', 'E4.wav', 'D3.wav', 'A3.wav', 'E2.wav', 'E2.wav']),
+    defaultFrets: 25,
+  },
+  {
+    id: 'guitar-8',
+    label: 'Guitar (8-string)',
+    tuning: tuningFromNotes(['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1', 'F#1']),
+    tunings: [
+      { id: 'standard', label: 'Standard (F# B E A D G B E)', strings: tuningFromNotes(['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1', 'F#1']) },
+      { id: 'drop-e', label: 'Drop E (E B E A D G B E)', strings: tuningFromNotes(['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1', 'E1']) },
+    ],
+    trebleStrings: 2,
+    stringThicknesses: [2, 2.5, 3, 3.5, 4, 4.5, 5, 5.5],
+    samples: samplesFromFiles(['E4.wav', 'B4.wav', 'E4.wav', 'D3.wav', 'A3.wav', 'E2.wav', 'E2.wav', 'E2.wav']),
+    defaultFrets: 25,
+  },
+  {
+    id: 'bass-4',
+    label: 'Bass (4-string)',
+    tuning: tuningFromNotes(['G2', 'D2', 'A1', 'E1']),
+    tunings: [
+      { id: 'standard', label: 'Standard (E A D G)', strings: tuningFromNotes(['G2', 'D2', 'A1', 'E1']) },
+      { id: 'drop-d', label: 'Drop D (D A D G)', strings: tuningFromNotes(['G2', 'D2', 'A1', 'D1']) },
+      { id: 'eb-standard', label: 'Eb Standard (half step down)', strings: tuningFromNotes(['Gb2', 'Db2', 'Ab1', 'Eb1']) },
+    ],
+    trebleStrings: 0,
+    stringThicknesses: [4, 5, 6, 7],
+    samples: samplesFromFiles(['F2.wav', 'E2.wav', 'E2.wav', 'E2.wav']),
+    defaultFrets: 21,
+  },
+  {
+    id: 'bass-5',
+    label: 'Bass (5-string)',
+    tuning: tuningFromNotes(['G2', 'D2', 'A1', 'E1', 'B0']),
+    tunings: [
+      { id: 'standard', label: 'Standard (B E A D G)', strings: tuningFromNotes(['G2', 'D2', 'A1', 'E1', 'B0']) },
+    ],
+    trebleStrings: 0,
+    stringThicknesses: [4, 5, 6, 7, 8],
+    samples: samplesFromFiles(['F2.wav', 'E2.wav', 'E2.wav', 'E2.wav', 'E2.wav']),
+    defaultFrets: 21,
+  },
+  {
+    id: 'ukulele',
+    label: 'Ukulele',
+    // Re-entrant tuning: the G string (bottom row) is the highest-pitched open string but sits lowest on the neck
+    tuning: tuningFromNotes(['A4', 'E4', 'C4', 'G4']),
+    tunings: [
+      { id: 'standard', label: 'Standard (G C E A)', strings: tuningFromNotes(['A4', 'E4', 'C4', 'G4']) },
+      { id: 'low-g', label: 'Low G (G C E A)', strings: tuningFromNotes(['A4', 'E4', 'C4', 'G3']) },
+      { id: 'baritone', label: 'Baritone (D G B E)', strings: tuningFromNotes(['E4', 'B3', 'G3', 'D3']) },
+    ],
+    trebleStrings: 0,
+    stringThicknesses: [2, 2.5, 3, 2.5],
+    samples: samplesFromFiles(['B4.wav', 'E4.wav', 'C#4.wav', 'E4.wav']),
+    defaultFrets: 13,
+  },
+];
+
+/**
+ * Default instrument (six-string guitar in standard tuning)
+ */
+export const DEFAULT_INSTRUMENT = INSTRUMENTS[0];
+
+/**
+ * Get an instrument profile by id
+ * @param {string} id - Instrument id (e.g., 'bass-4')
+ * @returns {Object} - Instrument profile (falls back to the default instrument)
+ */
+export function getInstrument(id) {
+  return INSTRUMENTS.find(instrument => instrument.id === id) || DEFAULT_INSTRUMENT;
+}
+
+/**
+ * Find an instrument profile for a given string count
+ * Prefers the current instrument when it already has the right number of strings
+ * @param {number} stringCount - Number of strings (e.g., 4 for a bass tab)
+ * @param {Object} currentInstrument - Currently selected instrument profile
+ * @returns {Object|null} - Matching instrument profile, or null if none has that many strings
+ */
+export function findInstrumentForStringCount(stringCount, currentInstrument = DEFAULT_INSTRUMENT) {
+  if (currentInstrument.tuning.length === stringCount) {
+    return currentInstrument;
+  }
+  return INSTRUMENTS.find(instrument => instrument.tuning.length === stringCount) || null;
+}
@@ -0,0 +1,124 @@
+/**
+ * Key detection: suggests the key and scale a tab is played in from the notes it uses
+ */
+
+import { SCALE_GROUPS, getScaleNotes, getKeyNames } from './scales.js';
+import { noteToPitchClass } from './spelling.js';
+import { findUniqueCharacterPositions, parseNotesAtColumn } from './parseTabText.js';
+import { getMidiAtFret } from './fretCalculator.js';
+
+/**
+ * Extra weight for the notes that frame a tab: bass notes, and the first and last positions
+ */
+const BASS_WEIGHT = 1;
+const FIRST_POSITION_WEIGHT = 3;
+const LAST_POSITION_WEIGHT = 3;
+
+/**
+ * Scoring constants: cost per scale note (favours the smallest scale that covers the notes),
+ * cost per scale note that is never played, and the value of a strong tonic
+ */
+const SCALE_SIZE_PENALTY = 0.05;
+const UNUSED_NOTE_PENALTY = 0.05;
+const TONIC_WEIGHT = 0.5;
+
+/**
+ * Softmax temperature turning scores into confidences (lower is more decisive)
+ */
+const CONFIDENCE_TEMPERATURE = 0.025;
+
+/**
+ * Get the MIDI pitches of every position in a tab
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @param {Array<Object>} tuning - Tuning of the tab ({name, midi} per string, high to low)
+ * @param {number} capo - Capo fret (tab frets are relative to it)
+ * @returns {Array<Array<number>>} - MIDI notes per position, in tab order
+ */
+export function getTabPitches(tabText, tuning, capo = 0) {
+  return findUniqueCharacterPositions(tabText)
+    .map(({ column }) => parseNotesAtColumn(tabText, column)
+      .filter(note => note.stringIndex < tuning.length)
+      .map(note => getMidiAtFret(note.stringIndex, note.fret + capo, tuning)))
+    .filter(pitches => pitches.length > 0);
+}
+
+/**
+ * Weight each pitch class by how often it's played, with extra weight for bass notes and
+ * for the first and last positions
+ * @param {Array<Array<number>>} positions - MIDI notes per position (see getTabPitches)
+ * @returns {Array<number>} - Weight per pitch class (0-11), summing to 1 (all zero when there are no notes)
+ */
+export function getPitchClassWeights(positions) {
+  const weights = new Array(12).fill(0);
+  positions.forEach((pitches, index) => {
+    const frame = (index === 0 ? FIRST_POSITION_WEIGHT : 0) + (index === positions.length - 1 ? LAST_POSITION_WEIGHT : 0);
+    pitches.forEach(midi => {
+      weights[midi % 12] += 1 + frame;
+    });
+    weights[Math.min(...pitches) % 12] += BASS_WEIGHT;
+  });
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return total > 0 ? weights.map(weight => weight / total) : weights;
+}
+
+/**
+ * Rank every key and scale by how well it explains weighted pitch classes
+ * @param {Array<number>} weights - Weight per pitch class (see getPitchClassWeights)
+ * @param {Object} options - {preference: 'auto'|'sharps'|'flats', groups: Style option groups (default: SCALE_GROUPS)}
+ * @returns {Array<Object>} - Candidates, most likely first: {key, style, label, notes, coverage, confidence}
+ *   key and style are Key and Style selector values; coverage: share of the played notes in the scale;
+ *   confidence: share of the likelihood across all candidates (0-1)
+ */
+export function rankKeys(weights, { preference = 'auto', groups = SCALE_GROUPS } = {}) {
+  if (!weights.some(weight => weight > 0)) {
+    return [];
+  }
+
+  const keyNames = getKeyNames(preference);
+  const candidates = [];
+  const seenScales = new Set();
+
+  groups.forEach(group => {
+    group.options.forEach(option => {
+      // Options showing the same scale (e.g., Pentatonic and Pentatonic +) are ranked once
+      if (seenScales.has(option.scale)) return;
+      seenScales.add(option.scale);
+
+      keyNames.forEach((keyName, rootPitchClass) => {
+        const notes = getScaleNotes(keyName, option.scale, preference);
+        const pitchClasses = [...new Set(notes.map(note => noteToPitchClass(note)))];
+        const coverage = pitchClasses.reduce((sum, pitchClass) => sum + weights[pitchClass], 0);
+        const unused = pitchClasses.filter(pitchClass => weights[pitchClass] === 0).length;
+        const score = coverage
+          - pitchClasses.length * SCALE_SIZE_PENALTY
+          - unused * UNUSED_NOTE_PENALTY
+          + weights[rootPitchClass] * TONIC_WEIGHT;
+        candidates.push({ key: keyName, style: option.value, label: `${notes[0]} ${option.label}`, notes, coverage, score });
+      });
+    });
+  });
+
+  // Confidence: softmax over the scores, relative to the best so the exponentials stay small
+  candidates.sort((a, b) => b.score - a.score);
+  const best = candidates[0].score;
+  const likelihoods = candidates.map(candidate => Math.exp((candidate.score - best) / CONFIDENCE_TEMPERATURE));
+  const total = likelihoods.reduce((sum, likelihood) => sum + likelihood, 0);
+
+  return candidates.map(({ score, ...candidate }, index) => ({
+    ...candidate,
+    confidence: likelihoods[index] / total,
+  }));
+}
+
+/**
+ * Suggest the key and scale of a tab
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @param {Array<Object>} tuning - Tuning of the tab ({name, midi} per string, high to low)
+ * @param {number} capo - Capo fret (tab frets are relative to it)
+ * @param {Object} options - Passed to rankKeys ({preference, groups})
+ * @returns {Array<Object>} - Candidates from rankKeys, most likely first (empty when the tab has no notes)
+ */
+export function detectKey(tabText, tuning, capo = 0, options = {}) {
+  return rankKeys(getPitchClassWeights(getTabPitches(tabText, tuning, capo)), options);
+}
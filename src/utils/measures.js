@@ -0,0 +1,90 @@
+/**
+ * Measure index: numbers the measures between a tab's bar lines and places each position in a measure and beat
+ */
+
+import { findBarColumns } from './parseTabText.js';
+import { BEATS_PER_MEASURE, MAX_MEASURE_COLUMNS } from './rhythm.js';
+
+/**
+ * Build the measure index of a tab from its bar lines (back-to-back bar lines, e.g. where two systems
+ * were joined, count as one)
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @param {Array<Object>} positions - Positions from findUniqueCharacterPositions ({column, width})
+ * @returns {Array<Object>} - Measures in order: {number, startColumn, endColumn, firstPositionIndex, positionCount}
+ *   number is 1-based; endColumn is exclusive (the closing bar line); firstPositionIndex is -1 for an empty measure
+ */
+export function buildMeasureIndex(tabText, positions) {
+  if (!tabText || !tabText.trim()) {
+    return [];
+  }
+
+  const topLine = tabText.split('\n').find(line => line.includes('|')) || '';
+  const length = topLine.length - topLine.indexOf('|') - 1;
+  const measures = [];
+  let startColumn = 0;
+
+  [...findBarColumns(tabText), length].forEach(endColumn => {
+    if (endColumn > startColumn) {
+      const firstPositionIndex = positions.findIndex(position => position.column >= startColumn && position.column < endColumn);
+      const positionCount = positions.filter(position => position.column >= startColumn && position.column < endColumn).length;
+      measures.push({ number: measures.length + 1, startColumn, endColumn, firstPositionIndex, positionCount });
+    }
+    startColumn = endColumn + 1;
+  });
+
+  return measures;
+}
+
+/**
+ * Find the measure a position is in
+ * @param {Array<Object>} measures - Measures from buildMeasureIndex
+ * @param {Object} position - Position ({column})
+ * @returns {Object|undefined} - Measure containing the position's column
+ */
+export function findMeasure(measures, position) {
+  return measures.find(measure => position.column >= measure.startColumn && position.column < measure.endColumn);
+}
+
+/**
+ * Place every position in its measure and beat
+ * The first note of a measure sits where its column falls in the measure (for overlong measures
+ * without bar lines, on beat 1); each following note starts after the durations before it
+ * @param {Array<Object>} measures - Measures from buildMeasureIndex
+ * @param {Array<Object>} positions - Positions with their durations in beats ({column, duration})
+ * @returns {Array<Object>} - Per position: {measure, beat}; measure is the 1-based measure number, beat is 1-based (e.g. 2.5)
+ */
+export function locatePositions(measures, positions) {
+  let onset = 0;
+  let currentMeasure = null;
+
+  return positions.map(position => {
+    const measure = findMeasure(measures, position);
+    if (!measure) {
+      return { measure: null, beat: null };
+    }
+
+    if (measure !== currentMeasure) {
+      const measureLength = measure.endColumn - measure.startColumn;
+      onset = measureLength <= MAX_MEASURE_COLUMNS
+        ? ((position.column - measure.startColumn) / measureLength) * BEATS_PER_MEASURE
+        : 0;
+      currentMeasure = measure;
+    }
+
+    const beat = 1 + Math.round(onset * 100) / 100;
+    onset += position.duration || 0;
+    return { measure: measure.number, beat };
+  });
+}
+
+/**
+ * Format where a position is for display (e.g., 'Measure 7, beat 3')
+ * @param {Object} location - Location from locatePositions ({measure, beat})
+ * @returns {string} - Description, or '' when the position isn't in a measure
+ */
+export function formatMeasureBeat(location) {
+  if (!location || location.measure === null) {
+    return '';
+  }
+  return `Measure ${location.measure}, beat ${location.beat}`;
+}
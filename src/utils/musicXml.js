@@ -0,0 +1,602 @@
+/**
+ * MusicXML import and export of tablature: parts are read into songs (see songTab.js) from their string and
+ * fret numbers, or from their pitches with frets assigned automatically, and a tab document is written out
+ * as a tab part with string/fret numbers, durations and the measures between its bar lines
+ */
+
+import { parseXml, getChild, getChildren, getChildText, findElements, createElement, serializeXml } from './xml.js';
+import { createNote, getOpenString } from './songTab.js';
+import { findInstrumentForStringCount } from './instruments.js';
+import { noteToPitchClass } from './spelling.js';
+import { NOTE_NAMES } from './scales.js';
+
+/**
+ * File extensions of MusicXML files that can be imported (compressed .mxl files can't)
+ */
+export const MUSICXML_EXTENSIONS = ['.musicxml', '.xml'];
+
+/**
+ * Divisions of a quarter note in exported files (divisible by 3 for triplets, down to 64th notes)
+ */
+const DIVISIONS = 480;
+
+/**
+ * Highest fret used when assigning frets to notes read from their pitch
+ */
+const MAX_ASSIGNED_FRET = 24;
+
+/**
+ * Note types by length in beats
+ */
+const NOTE_TYPES = [
+  [4, 'whole'], [2, 'half'], [1, 'quarter'], [0.5, 'eighth'], [0.25, '16th'], [0.125, '32nd'], [0.0625, '64th'],
+];
+
+/**
+ * Chord kinds of MusicXML by chord symbol suffix (others are written as 'other' with their text)
+ */
+const CHORD_KINDS = {
+  '': 'major', 'm': 'minor', 'min': 'minor', '7': 'dominant', 'maj7': 'major-seventh', 'm7': 'minor-seventh',
+  'min7': 'minor-seventh', 'dim': 'diminished', 'dim7': 'diminished-seventh', 'm7b5': 'half-diminished',
+  'aug': 'augmented', '+': 'augmented', 'sus2': 'suspended-second', 'sus4': 'suspended-fourth', 'sus': 'suspended-fourth',
+  '6': 'major-sixth', 'm6': 'minor-sixth', '9': 'dominant-ninth', 'maj9': 'major-ninth', 'm9': 'minor-ninth', '5': 'power',
+};
+
+/**
+ * Matches a palm-mute mark written as an other-technical (P.M., palm mute)
+ */
+const PALM_MUTE_PATTERN = /^(?:p\.?\s*m\.?|palm[\s-]?mute)$/i;
+
+/**
+ * Read the MIDI note of a pitch element (step, alter, octave)
+ * @param {Object} pitch - Pitch element
+ * @returns {number} - MIDI note
+ */
+function readPitch(pitch) {
+  const step = getChildText(pitch, 'step') || 'C';
+  const alter = Math.round(parseFloat(getChildText(pitch, 'alter') || '0'));
+  const octave = parseInt(getChildText(pitch, 'octave') || '4', 10);
+  return (octave + 1) * 12 + noteToPitchClass(step) + alter;
+}
+
+/**
+ * Read a chord name from a harmony element
+ * @param {Object} harmony - Harmony element
+ * @returns {string|null} - Chord name (e.g., 'Dm7', 'D/F#'), or null without a root
+ */
+function readHarmony(harmony) {
+  const root = getChild(harmony, 'root');
+  if (!root) return null;
+
+  const accidental = (alter) => (alter > 0 ? '#' : alter < 0 ? 'b' : '');
+  const kind = getChild(harmony, 'kind');
+  const kindText = kind && kind.attributes.text !== undefined
+    ? kind.attributes.text
+    : Object.keys(CHORD_KINDS).find(suffix => CHORD_KINDS[suffix] === (kind ? kind.text.trim() : 'major')) ?? '';
+  const bass = getChild(harmony, 'bass');
+  const bassName = bass
+    ? `/${getChildText(bass, 'bass-step')}${accidental(parseFloat(getChildText(bass, 'bass-alter') || '0'))}`
+    : '';
+  return `${getChildText(root, 'root-step')}${accidental(parseFloat(getChildText(root, 'root-alter') || '0'))}${kindText}${bassName}`;
+}
+
+/**
+ * Read the techniques of a note element into a note
+ * @param {Object} element - Note element
+ * @param {Object} note - Note from createNote
+ */
+function readNoteTechniques(element, note) {
+  const notehead = getChild(element, 'notehead');
+  note.dead = Boolean(notehead && notehead.text.trim() === 'x');
+  note.ghost = Boolean(notehead && notehead.attributes.parentheses === 'yes');
+  note.tie = getChildren(element, 'tie').some(tie => tie.attributes.type === 'stop');
+
+  const notations = getChild(element, 'notations');
+  const technical = findElements(notations, 'technical');
+  const startsLink = (name) => technical.some(group => getChildren(group, name).some(link => link.attributes.type === 'start'));
+  note.hammer = startsLink('hammer-on') || startsLink('pull-off');
+  if (getChildren(notations, 'slide').some(slide => slide.attributes.type === 'start')) note.slide = 'legato';
+  if (getChildren(notations, 'glissando').some(slide => slide.attributes.type === 'start')) note.slide = 'shift';
+  note.harmonic = technical.some(group => getChild(group, 'harmonic') !== null);
+  note.palmMute = technical.some(group => getChildren(group, 'other-technical').some(mark => PALM_MUTE_PATTERN.test(mark.text.trim())));
+  note.vibrato = findElements(notations, 'wavy-line').length > 0;
+
+  const bends = technical.flatMap(group => getChildren(group, 'bend'));
+  if (bends.length > 0) {
+    const peak = Math.max(...bends.map(bend => parseFloat(getChildText(bend, 'bend-alter') || '0')));
+    note.bend = { semitones: peak > 0 ? peak : null, release: bends.some(bend => getChild(bend, 'release') !== null) };
+  }
+
+  const articulations = findElements(notations, 'articulations');
+  const hasArticulation = (name) => articulations.some(group => getChild(group, name) !== null);
+  if (hasArticulation('scoop')) note.slideIn = 'below';
+  if (hasArticulation('plop')) note.slideIn = 'above';
+  if (hasArticulation('falloff')) note.slideOut = 'down';
+  if (hasArticulation('doit')) note.slideOut = 'up';
+}
+
+/**
+ * Put notes read from their pitch on strings, keeping the hand near where it was
+ * Every way of giving the notes different strings is tried; the one whose fretted notes are closest to the hand
+ * and span the fewest frets wins
+ * @param {Array<Object>} pitched - Notes to place: {note (from createNote), midi}
+ * @param {Array<Object>} tuning - Open strings, high to low
+ * @param {number} capo - Capo fret (frets are written relative to it)
+ * @param {Array<number>} usedStrings - Strings already taken in the beat
+ * @param {number} hand - Fret the hand is around
+ * @returns {Array<Object>} - The notes that could be placed, with their string and fret set
+ */
+function assignFrets(pitched, tuning, capo, usedStrings, hand) {
+  let best = null;
+
+  const search = (index, used, placed) => {
+    if (index === pitched.length) {
+      const fretted = placed.filter(({ fret }) => fret > 0).map(({ fret }) => fret);
+      const cost = fretted.reduce((sum, fret) => sum + Math.abs(fret - hand), 0)
+        + (fretted.length > 0 ? 2 * (Math.max(...fretted) - Math.min(...fretted)) : 0)
+        + 100 * (pitched.length - placed.length);
+      if (!best || cost < best.cost) best = { cost, placed };
+      return;
+    }
+
+    const { midi } = pitched[index];
+    tuning.forEach((string, stringIndex) => {
+      const fret = midi - string.midi - capo;
+      if (fret >= 0 && fret <= MAX_ASSIGNED_FRET && !used.includes(stringIndex)) {
+        search(index + 1, [...used, stringIndex], [...placed, { index, stringIndex, fret }]);
+      }
+    });
+    search(index + 1, used, placed); // Leave the note out (no string left for it)
+  };
+  search(0, usedStrings, []);
+
+  return best.placed.map(({ index, stringIndex, fret }) => Object.assign(pitched[index].note, { stringIndex, fret }));
+}
+
+/**
+ * Read the tab settings of a part: its tab staff, tuning and capo
+ * @param {Object} part - Part element
+ * @returns {Object} - {staff: number of the tab staff (null when there's none), tuning: open strings high to low, capo}
+ */
+function readPartTuning(part) {
+  const attributes = findElements(part, 'attributes');
+  const tabClef = attributes.flatMap(element => getChildren(element, 'clef')).find(clef => getChildText(clef, 'sign') === 'TAB');
+  const staff = tabClef ? tabClef.attributes.number || '1' : null;
+  const details = attributes.flatMap(element => getChildren(element, 'staff-details'))
+    .find(candidate => !staff || (candidate.attributes.number || '1') === staff);
+
+  const lines = parseInt(getChildText(details, 'staff-lines') || '0', 10);
+  const tunings = getChildren(details, 'staff-tuning');
+  let tuning;
+  if (tunings.length > 0) {
+    // Line 1 is the lowest string
+    tuning = tunings
+      .map(element => ({
+        line: parseInt(element.attributes.line, 10),
+        midi: (parseInt(getChildText(element, 'tuning-octave'), 10) + 1) * 12
+          + noteToPitchClass(getChildText(element, 'tuning-step')) + Math.round(parseFloat(getChildText(element, 'tuning-alter') || '0')),
+      }))
+      .sort((a, b) => b.line - a.line)
+      .map(({ midi }) => getOpenString(midi));
+  } else {
+    const instrument = findInstrumentForStringCount(lines || 6);
+    tuning = instrument ? instrument.tuning : findInstrumentForStringCount(6).tuning;
+  }
+
+  return { staff, tuning, capo: parseInt(getChildText(details, 'capo') || '0', 10) };
+}
+
+/**
+ * Read a part into a track
+ * @param {Object} part - Part element
+ * @param {string} name - Part name
+ * @returns {Object} - Track of a song (see songTab.js)
+ */
+function readPart(part, name) {
+  const { staff, tuning, capo } = readPartTuning(part);
+  const isPercussion = findElements(part, 'unpitched').length > 0
+    || findElements(part, 'clef').some(clef => getChildText(clef, 'sign') === 'percussion');
+  let divisions = 1;
+  let transpose = 0;
+  let voice = null; // The voice kept (the first one read)
+  let hand = 0;
+
+  const measures = getChildren(part, 'measure').map(measure => {
+    const beats = [];
+    let chord = null;
+
+    measure.children.forEach(element => {
+      if (element.name === 'attributes') {
+        divisions = parseFloat(getChildText(element, 'divisions') || divisions);
+        const transposition = getChild(element, 'transpose');
+        if (transposition) {
+          transpose = parseInt(getChildText(transposition, 'chromatic') || '0', 10)
+            + 12 * parseInt(getChildText(transposition, 'octave-change') || '0', 10);
+        }
+      } else if (element.name === 'harmony') {
+        chord = readHarmony(element);
+      } else if (element.name === 'forward' && getChildText(element, 'voice') === voice) {
+        beats.push({ duration: parseFloat(getChildText(element, 'duration')) / divisions, chord: null, notes: [] });
+      } else if (element.name === 'note') {
+        if (getChild(element, 'grace') || getChild(element, 'cue')) return;
+        if (staff && (getChildText(element, 'staff') || '1') !== staff) return;
+        const noteVoice = getChildText(element, 'voice') || '1';
+        if (voice === null) voice = noteVoice;
+        if (noteVoice !== voice) return;
+
+        const isChordNote = getChild(element, 'chord') !== null && beats.length > 0;
+        const beat = isChordNote
+          ? beats[beats.length - 1]
+          : { duration: parseFloat(getChildText(element, 'duration') || '0') / divisions, chord, notes: [], pitched: [] };
+        if (!isChordNote) {
+          beats.push(beat);
+          chord = null;
+        }
+        if (getChild(element, 'rest')) return;
+
+        const technical = findElements(getChild(element, 'notations'), 'technical');
+        const string = technical.map(group => getChildText(group, 'string')).find(text => text !== null);
+        const fret = technical.map(group => getChildText(group, 'fret')).find(text => text !== null);
+        const pitch = getChild(element, 'pitch');
+        if (string && fret && parseInt(string, 10) <= tuning.length) {
+          // String 1 is the highest
+          const note = createNote(parseInt(string, 10) - 1, parseInt(fret, 10));
+          readNoteTechniques(element, note);
+          beat.notes.push(note);
+        } else if (pitch) {
+          const note = createNote(0, 0);
+          readNoteTechniques(element, note);
+          beat.pitched.push({ note, midi: readPitch(pitch) + transpose });
+        }
+      }
+    });
+
+    // Notes without tab go on strings the beat's tab notes leave free
+    beats.forEach(beat => {
+      if (beat.pitched && beat.pitched.length > 0) {
+        const placed = assignFrets(beat.pitched, tuning, capo, beat.notes.map(note => note.stringIndex), hand);
+        beat.notes.push(...placed);
+      }
+      const fretted = beat.notes.filter(note => note.fret > 0 && !note.dead);
+      if (fretted.length > 0) {
+        hand = fretted.reduce((sum, note) => sum + note.fret, 0) / fretted.length;
+      }
+      delete beat.pitched;
+    });
+    return { beats };
+  });
+
+  return { name, tuning, capo, isPercussion, measures };
+}
+
+/**
+ * Parse a MusicXML score (partwise, uncompressed)
+ * @param {string} text - MusicXML text
+ * @returns {Object} - Song (see songTab.js), one track per part
+ */
+export function parseMusicXml(text) {
+  const root = parseXml(text);
+  if (root.name === 'score-timewise') {
+    throw new Error('Timewise MusicXML scores can\'t be imported here; export the score as partwise MusicXML');
+  }
+  if (root.name !== 'score-partwise') {
+    throw new Error('This is not a MusicXML score');
+  }
+
+  const partNames = new Map(getChildren(getChild(root, 'part-list'), 'score-part')
+    .map(scorePart => [scorePart.attributes.id, getChildText(scorePart, 'part-name')]));
+  const parts = getChildren(root, 'part');
+  if (parts.length === 0) {
+    throw new Error('This MusicXML score has no parts');
+  }
+
+  // Time signatures and rehearsal marks of the first part
+  let time = { numerator: 4, denominator: 4 };
+  const measures = getChildren(parts[0], 'measure').map(measure => {
+    const timeElement = findElements(measure, 'time')[0];
+    if (timeElement && getChildText(timeElement, 'beats')) {
+      time = { numerator: parseInt(getChildText(timeElement, 'beats'), 10), denominator: parseInt(getChildText(timeElement, 'beat-type'), 10) };
+    }
+    const rehearsal = findElements(measure, 'rehearsal')[0];
+    return { ...time, marker: rehearsal ? rehearsal.text.trim() || null : null };
+  });
+
+  const sound = findElements(root, 'sound').find(element => element.attributes.tempo);
+  const metronome = findElements(root, 'per-minute')[0];
+  const identification = getChild(root, 'identification');
+  const creators = getChildren(identification, 'creator');
+  const creator = creators.find(element => element.attributes.type === 'composer') || creators[0];
+
+  return {
+    title: getChildText(getChild(root, 'work'), 'work-title') || getChildText(root, 'movement-title') || null,
+    artist: creator ? creator.text.trim() || null : null,
+    tempo: sound ? parseFloat(sound.attributes.tempo) : (metronome ? parseFloat(metronome.text) : 120),
+    measures,
+    tracks: parts.map((part, index) => readPart(part, partNames.get(part.attributes.id) || `Part ${index + 1}`)),
+  };
+}
+
+/**
+ * Get the pitch element of a MIDI note (spelled with sharps)
+ * @param {number} midi - MIDI note
+ * @returns {Object} - Pitch element
+ */
+function createPitch(midi) {
+  const name = NOTE_NAMES[midi % 12];
+  return createElement('pitch', {}, [
+    createElement('step', {}, name[0]),
+    name.length > 1 && createElement('alter', {}, 1),
+    createElement('octave', {}, Math.floor(midi / 12) - 1),
+  ]);
+}
+
+/**
+ * Get the note type of a length, when it has one
+ * @param {number} beats - Length in beats
+ * @returns {Object|null} - {type, dots, triplet}, or null for lengths no note type (dotted or in a triplet) makes
+ */
+function getNoteType(beats) {
+  const matches = (length) => Math.abs(length - beats) < 1e-6;
+  for (const [length, type] of NOTE_TYPES) {
+    if (matches(length)) return { type, dots: 0, triplet: false };
+    if (matches(length * 1.5)) return { type, dots: 1, triplet: false };
+    if (matches((length * 2) / 3)) return { type, dots: 0, triplet: true };
+  }
+  return null;
+}
+
+/**
+ * Get the time signature of a measure from its length
+ * @param {number} beats - Length in beats (quarter notes)
+ * @returns {Object} - {numerator, denominator}
+ */
+function getTimeSignature(beats) {
+  for (const denominator of [4, 8, 16]) {
+    const numerator = (beats * denominator) / 4;
+    if (Math.abs(numerator - Math.round(numerator)) < 1e-6 && numerator >= 1) {
+      return { numerator: Math.round(numerator), denominator };
+    }
+  }
+  return { numerator: Math.max(1, Math.round((beats * 32) / 4)), denominator: 32 };
+}
+
+/**
+ * Get the harmony element of a chord name
+ * @param {string} name - Chord name (e.g., 'Dmin', 'C9', 'D/F#')
+ * @returns {Object|null} - Harmony element, or null when the name doesn't start with a note
+ */
+function createHarmony(name) {
+  const match = name.match(/^([A-G])([#b]?)(.*?)(?:\/([A-G])([#b]?))?$/);
+  if (!match) return null;
+  const [, step, accidental, suffix, bassStep, bassAccidental] = match;
+  const alter = (name, accidentalSign) => accidentalSign && createElement(name, {}, accidentalSign === '#' ? 1 : -1);
+
+  return createElement('harmony', {}, [
+    createElement('root', {}, [createElement('root-step', {}, step), alter('root-alter', accidental)]),
+    createElement('kind', { text: suffix }, CHORD_KINDS[suffix] || 'other'),
+    bassStep && createElement('bass', {}, [createElement('bass-step', {}, bassStep), alter('bass-alter', bassAccidental)]),
+  ]);
+}
+
+/**
+ * Get the note elements of a tab position (one per note, the later ones marked as chord notes)
+ * @param {Object} entry - Position to write: {duration (in divisions), notes, deadNotes, bends: by string, links: by string}
+ * @param {Array<Object>} tuning - Open strings, high to low
+ * @param {number} capo - Capo fret
+ * @returns {Array<Object>} - Note elements (a rest when the position has no notes)
+ */
+function createNoteElements(entry, tuning, capo) {
+  const noteType = getNoteType(entry.duration / DIVISIONS);
+  const timing = [
+    createElement('duration', {}, entry.duration),
+    createElement('voice', {}, '1'),
+    noteType && createElement('type', {}, noteType.type),
+    ...(noteType && noteType.dots ? [createElement('dot')] : []),
+    noteType && noteType.triplet && createElement('time-modification', {}, [
+      createElement('actual-notes', {}, 3),
+      createElement('normal-notes', {}, 2),
+    ]),
+  ];
+
+  const written = [
+    ...entry.notes.map(note => ({ stringIndex: note.stringIndex, fret: note.tabFret, techniques: note.techniques, dead: false })),
+    ...entry.deadNotes.map(note => ({ stringIndex: note.stringIndex, fret: 0, techniques: note.techniques, dead: true })),
+  ];
+  if (written.length === 0) {
+    return [createElement('note', {}, [createElement('rest'), ...timing])];
+  }
+
+  return written.map((note, index) => {
+    const has = (type, check = () => true) => note.techniques.some(technique => technique.type === type && check(technique));
+    const isSlide = (technique) => ['slide-up', 'slide-down', 'slide'].includes(technique.type);
+    const slideIn = note.techniques.find(technique => isSlide(technique) && technique.fromFret === null);
+    const slideOut = note.techniques.find(technique => isSlide(technique) && technique.toFret === null && technique.fromFret !== null);
+    const linkIn = note.techniques.find(technique => technique.fromFret !== null && technique.toFret !== null
+      && ['hammer', 'pull', 'slide-up', 'slide-down', 'slide'].includes(technique.type));
+    const linkOut = entry.links[note.stringIndex];
+    const bends = note.dead ? [] : entry.bends[note.stringIndex] || [];
+    const unknownBend = has('bend', technique => technique.toFret === null) && bends.length === 0;
+    const linkElement = (technique, type) => {
+      if (technique.type === 'hammer') return createElement('hammer-on', { type }, type === 'start' ? 'H' : '');
+      if (technique.type === 'pull') return createElement('pull-off', { type }, type === 'start' ? 'P' : '');
+      return null;
+    };
+
+    const technical = [
+      linkIn && linkElement(linkIn, 'stop'),
+      linkOut && linkElement(linkOut, 'start'),
+      ...bends.map(semitones => createElement('bend', {}, [
+        createElement('bend-alter', {}, semitones),
+        semitones < 0 && createElement('release'),
+      ])),
+      unknownBend && createElement('bend', {}, [createElement('bend-alter', {}, 0)]),
+      has('harmonic') && createElement('harmonic', {}, [createElement('natural')]),
+      has('palm-mute') && createElement('other-technical', {}, 'palm mute'),
+      createElement('string', {}, note.stringIndex + 1),
+      createElement('fret', {}, note.fret),
+    ];
+    const articulations = [
+      slideIn && createElement(slideIn.type === 'slide-down' ? 'plop' : 'scoop'),
+      slideOut && createElement(slideOut.type === 'slide-up' ? 'doit' : 'falloff'),
+    ].filter(Boolean);
+
+    return createElement('note', {}, [
+      index > 0 && createElement('chord'),
+      createPitch(tuning[note.stringIndex].midi + capo + note.fret),
+      ...timing,
+      note.dead && createElement('notehead', {}, 'x'),
+      has('ghost') && createElement('notehead', { parentheses: 'yes' }, 'normal'),
+      createElement('notations', {}, [
+        linkIn && isSlide(linkIn) && createElement('slide', { type: 'stop' }),
+        linkOut && isSlide(linkOut) && createElement('slide', { type: 'start' }),
+        has('vibrato') && createElement('ornaments', {}, [
+          createElement('wavy-line', { type: 'start' }),
+          createElement('wavy-line', { type: 'stop' }),
+        ]),
+        createElement('technical', {}, technical),
+        articulations.length > 0 && createElement('articulations', {}, articulations),
+      ]),
+    ]);
+  });
+}
+
+/**
+ * Write a tab document as a MusicXML score with one tab part
+ * Positions become notes (string, fret and pitch) lasting their duration, grouped into the measures between
+ * the tab's bar lines; a bent or released note written as its own position (7b9r7) is folded into the note it
+ * bends when nothing else is played with it
+ * @param {Object} document - Tab document from parseTabDocument
+ * @param {Object} options - {tuning: open strings, high to low (default: the document's), capo (default: the
+ *   document's), tempo (default: the document's, or 120), partName (default: 'Guitar')}
+ * @returns {string} - MusicXML text (partwise)
+ */
+export function exportMusicXml(document, options = {}) {
+  const tuning = options.tuning || document.tuning.strings;
+  const capo = options.capo ?? document.metadata.capo;
+  const tempo = options.tempo || document.metadata.tempo || 120;
+
+  // Chord names go on the first position under them
+  const chordStarts = new Map();
+  document.chords.forEach(chord => {
+    const first = document.positions.find(position => position.column >= chord.startColumn && position.column < chord.endColumn);
+    if (first && !chordStarts.has(first.index)) chordStarts.set(first.index, chord.text);
+  });
+
+  // One entry per position, in the measure it's in (positions before the first bar line join the first measure)
+  const measureNumbers = document.measures.length > 0 ? document.measures.map(measure => measure.number) : [1];
+  const entriesByMeasure = new Map(measureNumbers.map(number => [number, []]));
+  let previous = null;
+  document.positions.forEach(position => {
+    const duration = Math.max(1, Math.round((position.duration || 1) * DIVISIONS));
+
+    // A bend or release on its own, straight after the note it bends, is part of that note
+    const [only] = position.notes;
+    const bend = position.notes.length === 1 && position.deadNotes.length === 0 && only.legato
+      ? only.techniques.find(technique => (technique.type === 'bend' || technique.type === 'release') && technique.fromFret !== null && technique.toFret !== null)
+      : null;
+    if (bend && previous && previous.index === position.index - 1 && previous.entry.stringFrets[only.stringIndex] === bend.fromFret) {
+      const { entry } = previous;
+      entry.duration += duration;
+      entry.bends[only.stringIndex] = [...(entry.bends[only.stringIndex] || []), bend.toFret - bend.fromFret];
+      entry.stringFrets[only.stringIndex] = bend.toFret;
+      previous = { index: position.index, entry };
+      return;
+    }
+
+    // A hammer, pull or slide into a note starts on the note before it on the string
+    position.notes.forEach(note => {
+      const link = note.legato && note.techniques.find(technique => technique.fromFret !== null && technique.toFret !== null
+        && ['hammer', 'pull', 'slide-up', 'slide-down', 'slide'].includes(technique.type));
+      if (link && previous && previous.entry.stringFrets[note.stringIndex] === link.fromFret) {
+        previous.entry.links[note.stringIndex] = link;
+      }
+    });
+
+    const entry = {
+      duration,
+      chord: chordStarts.get(position.index) || null,
+      notes: position.notes,
+      deadNotes: position.deadNotes,
+      bends: {},
+      links: {},
+      stringFrets: Object.fromEntries(position.notes.map(note => [note.stringIndex, note.tabFret])),
+    };
+    const number = entriesByMeasure.has(position.measure) ? position.measure : measureNumbers[0];
+    entriesByMeasure.get(number).push(entry);
+    previous = { index: position.index, entry };
+  });
+
+  let lastTime = null;
+  let lastLength = 4 * DIVISIONS;
+  const sectionsByMeasure = new Map();
+  document.sections.forEach(section => {
+    const measure = document.measures.find(candidate => section.startColumn < candidate.endColumn) || { number: measureNumbers[0] };
+    if (!sectionsByMeasure.has(measure.number)) sectionsByMeasure.set(measure.number, section.label);
+  });
+
+  const measures = measureNumbers.map((number, index) => {
+    const entries = entriesByMeasure.get(number);
+    const length = entries.reduce((sum, entry) => sum + entry.duration, 0) || lastLength;
+    lastLength = length;
+    const time = getTimeSignature(length / DIVISIONS);
+    const timeChanged = !lastTime || lastTime.numerator !== time.numerator || lastTime.denominator !== time.denominator;
+    lastTime = time;
+
+    const attributes = index === 0
+      ? createElement('attributes', {}, [
+        createElement('divisions', {}, DIVISIONS),
+        createElement('time', {}, [createElement('beats', {}, time.numerator), createElement('beat-type', {}, time.denominator)]),
+        createElement('clef', {}, [createElement('sign', {}, 'TAB'), createElement('line', {}, 5)]),
+        createElement('staff-details', {}, [
+          createElement('staff-lines', {}, tuning.length),
+          // Line 1 is the lowest string
+          ...[...tuning].reverse().map((string, line) => createElement('staff-tuning', { line: line + 1 }, [
+            createElement('tuning-step', {}, string.name[0]),
+            string.name.length > 1 && createElement('tuning-alter', {}, string.name[1] === '#' ? 1 : -1),
+            createElement('tuning-octave', {}, Math.floor(string.midi / 12) - 1),
+          ])),
+          capo > 0 && createElement('capo', {}, capo),
+        ]),
+      ])
+      : timeChanged && createElement('attributes', {}, [
+        createElement('time', {}, [createElement('beats', {}, time.numerator), createElement('beat-type', {}, time.denominator)]),
+      ]);
+
+    const section = sectionsByMeasure.get(number);
+    return createElement('measure', { number }, [
+      attributes,
+      index === 0 && createElement('direction', { placement: 'above' }, [
+        createElement('direction-type', {}, [
+          createElement('metronome', {}, [createElement('beat-unit', {}, 'quarter'), createElement('per-minute', {}, Math.round(tempo))]),
+        ]),
+        createElement('sound', { tempo: Math.round(tempo) }),
+      ]),
+      section && createElement('direction', { placement: 'above' }, [
+        createElement('direction-type', {}, [createElement('rehearsal', {}, section)]),
+      ]),
+      ...(entries.length > 0
+        ? entries.flatMap(entry => [entry.chord && createHarmony(entry.chord), ...createNoteElements(entry, tuning, capo)])
+        : [createElement('note', {}, [createElement('rest', { measure: 'yes' }), createElement('duration', {}, length), createElement('voice', {}, '1')])]),
+    ]);
+  });
+
+  const { title, artist } = document.metadata;
+  const score = createElement('score-partwise', { version: '4.0' }, [
+    title && createElement('work', {}, [createElement('work-title', {}, title)]),
+    createElement('identification', {}, [
+      artist && createElement('creator', { type: 'composer' }, artist),
+      createElement('encoding', {}, [createElement('software', {}, 'FretFocus')]),
+    ]),
+    createElement('part-list', {}, [
+      createElement('score-part', { id: 'P1' }, [createElement('part-name', {}, options.partName || 'Guitar')]),
+    ]),
+    createElement('part', { id: 'P1' }, measures),
+  ]);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    serializeXml(score),
+    '',
+  ].join('\n');
+}
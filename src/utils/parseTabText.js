@@ -4,151 +4,382 @@
  */
 
 /**
- * Finds where the actual tab content starts by looking for string identifier patterns
- * @param {string} tabText - Raw pasted tab text
- * @returns {number} - Index of the first line that starts the tab, or -1 if not found
+ * Matches a string line: a string identifier (a note name like E|, e|, C#|, Eb|, D2|, or a string
+ * number like 1|) followed by tab characters (rests, frets, dead notes or technique marks: x, (5), <12>, /5, ...)
  */
-function findTabStart(tabText) {
-  const lines = tabText.split('\n');
-  
-  // Look for lines that match the pattern: string identifier (E|, B|, G|, D|, A|) followed by tab characters
-  // Pattern: E|-, B|-, G|-, D|-, A|- followed by tab content (dashes, numbers, pipes)
-  const tabStartPattern = /^[EBGDA]\|[-\d|]|^[ebgda]\|[-\d|]/;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (tabStartPattern.test(line)) {
-      return i;
-    }
-  }
-  
-  return -1;
-}
+const STRING_LINE_PATTERN = /^(?:[A-Ga-g][#b]?\d?|[1-9])\s?\|[-\d|xX(<\/\\~hpbrs*]/;
 
 /**
- * Groups tab lines into metarows (chunks of 6 lines, one per string)
- * @param {Array<string>} tabLines - Array of tab lines starting with E|, B|, etc.
- * @returns {Array<Object>} - Array of metarows, each containing content for each string index
+ * Matches the string identifier prefix of a string line (E|, e|, F#|, 1|, ...)
  */
-function groupIntoMetarows(tabLines) {
-  const metarows = [];
-  let currentMetarow = {};
-  let lastStringIndex = -1;
-  let eCount = 0; // Track which E string we're on (0 = high E, 1 = low E)
+export const STRING_PREFIX_PATTERN = /^(?:[A-Ga-g][#b]?\d?|[1-9])\s?\|/;
 
-  for (const line of tabLines) {
+/**
+ * Pitch classes of natural note letters, for reading string order from note name identifiers
+ */
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Matches a palm-mute line written above or below a system (PM----, P.M. . . ., pm--|)
+ */
+const PALM_MUTE_LINE_PATTERN = /^\s*\|?\s*P\.?\s?M\.?/i;
+
+/**
+ * Groups tab lines into blocks of consecutive string lines (any other line ends a block)
+ * @param {Array<string>} lines - Lines of the pasted text
+ * @returns {Array<Array<Object>>} - Blocks, each an array of {label, content, lineIndex, contentStart} objects
+ *   (top to bottom); lineIndex is the line's index in lines, contentStart the column after its '|'
+ */
+function groupIntoBlocks(lines) {
+  const blocks = [];
+  let currentBlock = [];
+
+  for (const [lineIndex, line] of lines.entries()) {
     const trimmed = line.trim();
-    if (!trimmed || !/^[EBGDAebgda]\|[-\d|]/.test(trimmed)) {
+    if (!STRING_LINE_PATTERN.test(trimmed)) {
+      // Any other line closes the current block
+      if (currentBlock.length > 0) {
+        blocks.push(currentBlock);
+        currentBlock = [];
+      }
       continue;
     }
 
     // Extract string identifier and content
     const pipeIndex = trimmed.indexOf('|');
-    if (pipeIndex === -1) continue;
-    
-    const identifier = trimmed.substring(0, pipeIndex).toUpperCase();
-    const content = trimmed.substring(pipeIndex + 1);
-
-    // Determine string index (0 = high E, 1 = B, 2 = G, 3 = D, 4 = A, 5 = low E)
-    let stringIndex;
-    if (identifier === 'E') {
-      if (eCount === 0) {
-        stringIndex = 0; // High E
-        eCount = 1;
-      } else {
-        stringIndex = 5; // Low E
-        eCount = 0; // Reset for next metarow
-      }
+    currentBlock.push({
+      label: trimmed.substring(0, pipeIndex).trim(),
+      content: trimmed.substring(pipeIndex + 1),
+      lineIndex,
+      contentStart: line.indexOf('|') + 1
+    });
+  }
+
+  if (currentBlock.length > 0) {
+    blocks.push(currentBlock);
+  }
+
+  return blocks;
+}
+
+/**
+ * Splits a block of string lines into systems (one line per string)
+ * Back-to-back systems are split where the string names start over: a line named like the system's first
+ * line whose next line is named like another of its lines. A string line repeating the name of the line
+ * above it is reported, and dropped when its system has more lines than the instrument has strings
+ * @param {Array<Object>} block - Block from groupIntoBlocks
+ * @param {number} stringCount - Number of strings on the instrument
+ * @param {Array<Object>} diagnostics - Diagnostics list to add to
+ * @returns {Array<Array<Object>>} - Systems, each an array of line objects (high to low)
+ */
+function splitBlock(block, stringCount, diagnostics) {
+  const systems = [[]];
+  block.forEach((line, index) => {
+    const system = systems[systems.length - 1];
+    const next = block[index + 1];
+    const startsOver = system.length > 1 && line.label === system[0].label && next !== undefined
+      && system.slice(1).some(previous => previous.label === next.label);
+    if (startsOver) {
+      systems.push([line]);
     } else {
-      const map = { 'B': 1, 'G': 2, 'D': 3, 'A': 4 };
-      stringIndex = map[identifier];
-      if (stringIndex === undefined) continue;
+      system.push(line);
     }
+  });
+
+  return systems.map(system => {
+    const duplicates = system.filter((line, index) => index > 0 && line.label === system[index - 1].label);
+    const hasExtraLines = system.length > stringCount;
+    duplicates.forEach(line => {
+      diagnostics.push(createDiagnostic(line, 0, 'warning', hasExtraLines
+        ? `Duplicate ${line.label} string line; it was left out`
+        : `Duplicate ${line.label} string line; another string's line may be missing`));
+    });
+    return hasExtraLines ? system.filter(line => !duplicates.includes(line)) : system;
+  });
+}
 
-    // If we see high E (index 0) and we already have a metarow started, save it
-    if (stringIndex === 0 && Object.keys(currentMetarow).length > 0) {
-      metarows.push({ ...currentMetarow });
-      currentMetarow = {};
-    }
+/**
+ * Gets the pitch class of a note name identifier (e.g., 'e' -> 4, 'C#' -> 1, 'Eb2' -> 3)
+ * @param {string} label - String identifier
+ * @returns {number|null} - Pitch class, or null for a string number
+ */
+function getLabelPitchClass(label) {
+  const match = label.match(/^([A-Ga-g])([#b]?)/);
+  if (!match) return null;
+  const offset = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+  return (LETTER_PITCH_CLASSES[match[1].toUpperCase()] + offset + 12) % 12;
+}
 
-    // Add this line to current metarow
-    currentMetarow[stringIndex] = content;
-    lastStringIndex = stringIndex;
+/**
+ * Puts a system's lines in string order, highest string first, reading the order from its identifiers:
+ * string numbers count from the highest string (1|), and note names are read in whichever direction
+ * has the usual intervals between neighbouring strings (so a system written low string first is flipped)
+ * @param {Array<Object>} system - Lines of the system, top to bottom
+ * @returns {Array<Object>} - Lines of the system, highest string first
+ */
+function orderSystemStrings(system) {
+  if (system.every(line => /^[1-9]$/.test(line.label))) {
+    return [...system].sort((a, b) => parseInt(a.label, 10) - parseInt(b.label, 10));
   }
 
-  // Add the last metarow if it exists
-  if (Object.keys(currentMetarow).length > 0) {
-    metarows.push(currentMetarow);
+  const pitchClasses = system.map(line => getLabelPitchClass(line.label));
+  if (pitchClasses.some(pitchClass => pitchClass === null)) {
+    return system;
   }
 
-  return metarows;
+  // Neighbouring strings are usually 1-5 semitones apart (a fourth, a third, or a whole step)
+  const countUsualIntervals = (direction) => pitchClasses.slice(1).filter((pitchClass, index) => {
+    const interval = ((pitchClasses[index] - pitchClass) * direction + 12) % 12;
+    return interval >= 1 && interval <= 5;
+  }).length;
+
+  return countUsualIntervals(-1) > countUsualIntervals(1) ? [...system].reverse() : system;
 }
 
 /**
- * Concatenates metarows horizontally into a single continuous 6-row ribbon
- * @param {Array<Array<string>>} metarows - Array of metarows
- * @returns {Array<string>} - 6 concatenated string lines
+ * Creates a diagnostic for a line of pasted text
+ * @param {Object|null} line - Line object from groupIntoBlocks (null for the text as a whole)
+ * @param {number} column - Column in the pasted line (0-indexed)
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} message - What's wrong
+ * @returns {Object} - {line, column, severity, message}; line and column are 1-based (null for the text as a whole)
  */
-function concatenateMetarows(metarows) {
-  if (metarows.length === 0) {
-    return [];
+function createDiagnostic(line, column, severity, message) {
+  return {
+    line: line ? line.lineIndex + 1 : null,
+    column: line ? column + 1 : null,
+    severity,
+    message
+  };
+}
+
+/**
+ * Fills in the strings missing from a system with rests, matching its labels against the full systems' labels
+ * @param {Array<Object>} system - Lines of the system (high to low)
+ * @param {Array<string>} labels - String labels of a full system (high to low)
+ * @param {Array<Object>} diagnostics - Diagnostics list to add to
+ * @returns {Array<Object>} - Lines of the system with an empty line object for each missing string
+ */
+function fillMissingStrings(system, labels, diagnostics) {
+  const filled = [];
+  let next = 0;
+  const missingLabels = [];
+
+  labels.forEach((label, stringIndex) => {
+    // Take the system's next line when it has this label, or when there are only as many lines left as strings
+    const line = system[next];
+    const remainingStrings = labels.length - stringIndex;
+    if (line && (line.label === label || system.length - next >= remainingStrings)) {
+      filled.push(line);
+      next++;
+    } else {
+      missingLabels.push(label);
+      filled.push({ label, content: '', lineIndex: null, contentStart: null });
+    }
+  });
+
+  const firstLine = system[0];
+  diagnostics.push(createDiagnostic(firstLine, 0, 'warning',
+    `System has ${system.length} of ${labels.length} strings (missing ${missingLabels.join(', ')}); the missing strings were filled with rests`));
+
+  return filled;
+}
+
+/**
+ * Pads a string line's content to a width with rests, keeping a closing bar line at the end
+ * @param {string} content - Tab characters of the line
+ * @param {number} width - Width of the system
+ * @param {boolean} closesWithBar - Whether the system's lines end with a bar line
+ * @returns {string} - Padded content
+ */
+function padContent(content, width, closesWithBar) {
+  if (content.length >= width) {
+    return content;
   }
+  if (closesWithBar) {
+    const body = content.endsWith('|') ? content.slice(0, -1) : content;
+    return body.padEnd(width - 1, '-') + '|';
+  }
+  return content.padEnd(width, '-');
+}
 
-  // Initialize 6 empty strings (one per string)
-  const stringLines = ['', '', '', '', '', ''];
+/**
+ * Parses the systems of pasted tab text, aligning them so every string has the same columns
+ * Systems missing strings get rests for them, short lines are padded with rests to the system's width,
+ * and every problem found is reported
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {number} stringCount - Number of strings on the instrument (default: 6)
+ * @returns {Object} - {systems, labels, diagnostics}
+ *   systems: [{lines, width, firstLineIndex, lastLineIndex}], lines being {label, content, lineIndex, contentStart}
+ *   objects (high to low, lineIndex null for a filled-in string) all content.length === width;
+ *   labels: string labels (high to low); diagnostics: [{line, column, severity, message}] (1-based line and column)
+ */
+export function parseTabSystems(tabText, stringCount = 6) {
+  const diagnostics = [];
+  if (!tabText || !tabText.trim()) {
+    return { systems: [], labels: [], diagnostics };
+  }
 
-  // Concatenate each metarow horizontally
-  for (const metarow of metarows) {
-    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
-      const content = metarow[stringIndex] || '';
-      stringLines[stringIndex] += content;
-    }
+  const lines = tabText.split('\n');
+  const rawSystems = groupIntoBlocks(lines)
+    .flatMap(block => splitBlock(block, stringCount, diagnostics))
+    .map(orderSystemStrings);
+  if (rawSystems.length === 0) {
+    diagnostics.push(createDiagnostic(null, 0, 'error', 'No tab lines found. Tab lines start with a string name and a bar, like E|---3---|'));
+    return { systems: [], labels: [], diagnostics };
   }
 
-  // Format with string identifiers
-  const stringNames = ['E', 'B', 'G', 'D', 'A', 'E'];
-  return stringLines.map((content, index) => `${stringNames[index]}|${content}`);
+  // The tab's string count is its most common system size (the larger on a tie)
+  const sizeCounts = new Map();
+  rawSystems.forEach(system => sizeCounts.set(system.length, (sizeCounts.get(system.length) || 0) + 1));
+  const tabStringCount = [...sizeCounts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+  const labels = rawSystems.find(system => system.length === tabStringCount).map(line => line.label);
+
+  const systems = rawSystems.map(rawSystem => {
+    let system = rawSystem;
+    if (system.length < tabStringCount) {
+      system = fillMissingStrings(system, labels, diagnostics);
+    } else if (system.length > tabStringCount) {
+      system.slice(tabStringCount).forEach(line => {
+        diagnostics.push(createDiagnostic(line, 0, 'warning', `Extra string line (the tab has ${tabStringCount} strings); it was left out`));
+      });
+      system = system.slice(0, tabStringCount);
+    }
+
+    // Pad every line to the system's widest line
+    const width = Math.max(...system.map(line => line.content.length));
+    const widest = system.find(line => line.content.length === width);
+    const closesWithBar = widest.content.endsWith('|');
+    const alignedLines = system.map(line => {
+      if (line.lineIndex !== null && line.content.length < width) {
+        const shortBy = width - line.content.length;
+        diagnostics.push(createDiagnostic(line, line.contentStart + line.content.length, 'warning',
+          `${line.label} string line is ${shortBy} character${shortBy === 1 ? '' : 's'} shorter than the rest of its system; padded with rests`));
+      }
+      return { ...line, content: padContent(line.content, width, closesWithBar) };
+    });
+
+    // Systems written low string first were flipped, so their first and last lines in the text are found by index
+    const lineIndices = system.filter(line => line.lineIndex !== null).map(line => line.lineIndex);
+    return {
+      lines: alignedLines,
+      width,
+      firstLineIndex: Math.min(...lineIndices),
+      lastLineIndex: Math.max(...lineIndices)
+    };
+  });
+
+  diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+  return { systems, labels, diagnostics };
 }
 
 /**
  * Extracts and cleans the tab content from pasted text
- * Groups tab lines into metarows (chunks of 6) and concatenates them horizontally
+ * Aligns the tab's systems (one line per string) and concatenates them horizontally
  * @param {string} tabText - Raw pasted tab text (may include headers)
- * @returns {string} - Cleaned tab text as a single continuous 6-row ribbon
+ * @param {number} stringCount - Number of strings on the instrument (default: 6)
+ * @returns {string} - Cleaned tab text as a single continuous ribbon (one row per string)
  */
-export function extractTabContent(tabText) {
-  if (!tabText || !tabText.trim()) {
+export function extractTabContent(tabText, stringCount = 6) {
+  const { systems, labels } = parseTabSystems(tabText, stringCount);
+  if (systems.length === 0) {
     return '';
   }
 
-  const lines = tabText.split('\n');
-  const tabStartIndex = findTabStart(tabText);
-  
-  // Get all tab lines (starting with E|, B|, etc.)
-  let tabLines;
-  if (tabStartIndex === -1) {
-    // If we can't find a clear start, filter all lines
-    tabLines = lines
-      .map(line => line.trim())
-      .filter(trimmed => trimmed.length > 0 && /^[EBGDAebgda]\|[-\d|]/.test(trimmed));
-  } else {
-    // Extract from tab start onwards
-    tabLines = lines.slice(tabStartIndex)
-      .map(line => line.trim())
-      .filter(trimmed => trimmed.length > 0 && /^[EBGDAebgda]\|[-\d|]/.test(trimmed));
+  // Concatenate each system horizontally, labelled with the full systems' identifiers
+  return labels
+    .map((label, stringIndex) => `${label}|${systems.map(system => system.lines[stringIndex].content).join('')}`)
+    .join('\n');
+}
+
+/**
+ * Finds the annotation lines written around a system: the non-blank, non-string lines directly above
+ * it (nearest first), then those directly below
+ * @param {Array<string>} lines - Lines of the pasted text
+ * @param {Object} system - System from parseTabSystems
+ * @returns {Array<number>} - Indexes of the annotation lines in lines
+ */
+function getAnnotationLines(lines, system) {
+  const isAnnotation = (line) => line !== undefined && line.trim().length > 0 && !STRING_LINE_PATTERN.test(line.trim());
+  const annotations = [];
+
+  for (let index = system.firstLineIndex - 1; isAnnotation(lines[index]); index--) {
+    annotations.push(index);
   }
-  
-  if (tabLines.length === 0) {
+  for (let index = system.lastLineIndex + 1; isAnnotation(lines[index]); index++) {
+    annotations.push(index);
+  }
+
+  return annotations;
+}
+
+/**
+ * Extracts one kind of annotation line (palm mutes, rhythm, ...) as a track aligned with the ribbon from extractTabContent
+ * For each system, the first annotation line around it that matches is cut to the system's columns; a line
+ * taken by a system isn't taken again by the next one (a chord line between stacked systems belongs to the first)
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {number} stringCount - Number of strings on the instrument
+ * @param {Function} isAnnotationLine - Whether a line is the kind of annotation to extract
+ * @returns {string} - One character per ribbon column (spaces where there's no annotation), or '' when the tab has none
+ */
+export function extractAnnotationTrack(tabText, stringCount, isAnnotationLine) {
+  if (!tabText || !tabText.trim()) {
     return '';
   }
 
-  // Group into metarows (chunks of 6 lines)
-  const metarows = groupIntoMetarows(tabLines);
-  
-  // Concatenate metarows horizontally
-  const concatenatedLines = concatenateMetarows(metarows);
+  const lines = tabText.split('\n');
+  let track = '';
+  let hasAnnotation = false;
+  const takenLineIndices = new Set();
+
+  for (const system of parseTabSystems(tabText, stringCount).systems) {
+    // Columns follow the top line of the system, as in findUniqueCharacterPositions
+    const { contentStart } = system.lines.find(line => line.lineIndex !== null);
+    const annotationIndex = getAnnotationLines(lines, system)
+      .find(index => !takenLineIndices.has(index) && isAnnotationLine(lines[index]));
+
+    if (annotationIndex !== undefined) {
+      hasAnnotation = true;
+      takenLineIndices.add(annotationIndex);
+      track += lines[annotationIndex].padEnd(contentStart + system.width).substring(contentStart, contentStart + system.width);
+    } else {
+      track += ' '.repeat(system.width);
+    }
+  }
+
+  return hasAnnotation ? track : '';
+}
+
+/**
+ * Finds the systems of pasted tab text and where each starts in the ribbon from extractTabContent
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {number} stringCount - Number of strings on the instrument (default: 6)
+ * @returns {Array<Object>} - Systems in order: {firstLineIndex, lastLineIndex, column, length}
+ *   firstLineIndex/lastLineIndex are its top and bottom lines in the pasted text; column is its first ribbon column
+ */
+export function findSystems(tabText, stringCount = 6) {
+  let column = 0;
+  return parseTabSystems(tabText, stringCount).systems.map(system => {
+    const layout = {
+      firstLineIndex: system.firstLineIndex,
+      lastLineIndex: system.lastLineIndex,
+      column,
+      length: system.width
+    };
+    column += system.width;
+    return layout;
+  });
+}
 
-  return concatenatedLines.join('\n');
+/**
+ * Extracts the palm-mute marks of a tab as one track aligned with the ribbon from extractTabContent
+ * A palm-mute line (PM----, P.M. . . .) above or below a system covers the columns it spans
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {number} stringCount - Number of strings on the instrument (default: 6)
+ * @returns {string} - One character per ribbon column (non-space where palm muted), or '' when the tab has no palm mutes
+ */
+export function extractPalmMuteTrack(tabText, stringCount = 6) {
+  return extractAnnotationTrack(tabText, stringCount, line => PALM_MUTE_LINE_PATTERN.test(line));
 }
 
 /**
@@ -168,8 +399,8 @@ export function isValidTabText(tabText) {
     return false;
   }
 
-  // All lines should start with string identifiers (E|, B|, G|, D|, A|)
-  const allHaveStringIdentifiers = lines.every(line => /^[EBGDAebgda]\|[-\d|]/.test(line.trim()));
+  // All lines should start with string identifiers (E|, B|, G|, D|, A|, ...)
+  const allHaveStringIdentifiers = lines.every(line => STRING_LINE_PATTERN.test(line.trim()));
   
   // Should have at least some tab-like characters (dashes, numbers)
   const hasTabCharacters = lines.some(line => /[-|0-9]/.test(line.trim()));
@@ -179,7 +410,7 @@ export function isValidTabText(tabText) {
 
 /**
  * Finds all unique character positions in tab text
- * A position is "unique" if at least one string has a non-dash, non-space, non-pipe character at that column
+ * A position is "unique" if at least one string has a fret number or a dead note (x) at that column
  * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
  * @returns {Array<number>} - Array of column positions (0-indexed) that contain unique characters
  */
@@ -196,7 +427,7 @@ export function findUniqueCharacterPositions(tabText) {
 
   // Extract content after the pipe (E|, B|, etc.)
   const contentLines = lines
-    .filter(line => /^[EBGDAebgda]\|/.test(line.trim()))
+    .filter(line => STRING_PREFIX_PATTERN.test(line.trim()))
     .map(line => {
       const pipeIndex = line.indexOf('|');
       return pipeIndex !== -1 ? line.substring(pipeIndex + 1) : '';
@@ -209,12 +440,11 @@ export function findUniqueCharacterPositions(tabText) {
   // Find the maximum length across all lines
   const maxLength = Math.max(...contentLines.map(line => line.length));
 
-  // Characters that are considered "unique" - only numbers (0-9)
-  // Ignore letters (b, h, p, s, etc.) and special characters used for techniques
+  // Characters that are considered "unique" - numbers (0-9) and dead notes (x), so muted strums get a step
+  // Ignore other letters (b, h, p, s, etc.) and special characters used for techniques
   const isUniqueChar = (char) => {
     if (!char) return false;
-    // Only consider numeric characters (0-9) as unique
-    return /[0-9]/.test(char);
+    return /[0-9xX]/.test(char);
   };
 
   const uniquePositions = [];
@@ -238,7 +468,7 @@ export function findUniqueCharacterPositions(tabText) {
         // Check how many consecutive digits follow this one (for multi-digit frets like 10, 12, 15)
         let digitWidth = 1;
         let offset = 1;
-        while (col + offset < line.length && /\d/.test(line[col + offset])) {
+        while (/\d/.test(line[col]) && col + offset < line.length && /\d/.test(line[col + offset])) {
           digitWidth++;
           offset++;
         }
@@ -281,7 +511,7 @@ export function parseNotesAtColumn(tabText, column) {
   
   // Extract content after the pipe (E|, B|, etc.)
   const contentLines = lines
-    .filter(line => /^[EBGDAebgda]\|/.test(line.trim()))
+    .filter(line => STRING_PREFIX_PATTERN.test(line.trim()))
     .map(line => {
       const pipeIndex = line.indexOf('|');
       return pipeIndex !== -1 ? line.substring(pipeIndex + 1) : '';
@@ -292,10 +522,9 @@ export function parseNotesAtColumn(tabText, column) {
   }
 
   const notes = [];
-  const stringNames = ['E', 'B', 'G', 'D', 'A', 'E']; // High E to low E
 
-  // Check each string at this column position
-  for (let stringIndex = 0; stringIndex < contentLines.length && stringIndex < 6; stringIndex++) {
+  // Check each string at this column position (index 0 = top line = highest string)
+  for (let stringIndex = 0; stringIndex < contentLines.length; stringIndex++) {
     const line = contentLines[stringIndex];
     
     if (column >= line.length) {
@@ -329,3 +558,32 @@ export function parseNotesAtColumn(tabText, column) {
   return notes;
 }
 
+
+/**
+ * Finds the bar lines of a tab: columns where every string has a '|'
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @returns {Array<number>} - Bar line columns (0-indexed, after the pipe), in order
+ */
+export function findBarColumns(tabText) {
+  if (!tabText || !tabText.trim()) {
+    return [];
+  }
+
+  const contentLines = tabText.split('\n')
+    .filter(line => STRING_PREFIX_PATTERN.test(line.trim()))
+    .map(line => line.substring(line.indexOf('|') + 1));
+
+  if (contentLines.length === 0) {
+    return [];
+  }
+
+  const barColumns = [];
+  const length = Math.max(...contentLines.map(line => line.length));
+  for (let column = 0; column < length; column++) {
+    if (contentLines.every(line => line[column] === '|')) {
+      barColumns.push(column);
+    }
+  }
+
+  return barColumns;
+}
@@ -0,0 +1,179 @@
+/**
+ * Position systems: restrict a scale to one playable shape at a time
+ * (CAGED shapes, pentatonic boxes and 3-notes-per-string patterns)
+ */
+
+import { STRING_TUNINGS, getMidiAtFret } from './fretCalculator.js';
+import { noteToPitchClass } from './spelling.js';
+
+/**
+ * Available position systems
+ * - scaleSize: number of scale notes the system needs (null = any scale)
+ */
+export const POSITION_SYSTEMS = [
+  { id: 'all', label: 'All Notes', scaleSize: null },
+  { id: 'caged', label: 'CAGED Shapes', scaleSize: null },
+  { id: 'pentatonic-box', label: 'Pentatonic Boxes', scaleSize: 5 },
+  { id: '3nps', label: '3 Notes per String', scaleSize: 7 },
+];
+
+/**
+ * CAGED forms in order up the neck
+ * - anchorString: string holding the form's root, counted up from the lowest string (0 = lowest)
+ * - window: fret range of the shape relative to that root
+ */
+const CAGED_FORMS = [
+  { form: 'C', anchorString: 1, window: [-3, 1] },
+  { form: 'A', anchorString: 1, window: [-1, 3] },
+  { form: 'G', anchorString: 0, window: [-3, 1] },
+  { form: 'E', anchorString: 0, window: [-1, 3] },
+  { form: 'D', anchorString: 2, window: [-1, 3] },
+];
+
+/**
+ * Check whether a position system can be used with a scale
+ * @param {string} systemId - Position system id (e.g., '3nps')
+ * @param {Array<string>} scaleNotes - Notes in the scale
+ * @returns {boolean} - True if the system applies (pentatonic boxes need 5 notes, 3NPS needs 7)
+ */
+export function isPositionSystemAvailable(systemId, scaleNotes) {
+  const system = POSITION_SYSTEMS.find(candidate => candidate.id === systemId);
+  return Boolean(system) && (system.scaleSize === null || system.scaleSize === scaleNotes.length);
+}
+
+/**
+ * Get the number of shapes in a position system
+ * @param {string} systemId - Position system id
+ * @param {Array<string>} scaleNotes - Notes in the scale
+ * @returns {number} - Number of shapes (0 for 'all' or an unavailable system)
+ */
+export function getShapeCount(systemId, scaleNotes) {
+  if (systemId === 'all' || !isPositionSystemAvailable(systemId, scaleNotes)) {
+    return 0;
+  }
+  return systemId === 'caged' ? CAGED_FORMS.length : scaleNotes.length;
+}
+
+/**
+ * Find the lowest fret at or above the capo that sounds a pitch class on a string
+ * @param {number} stringIndex - Index of the string
+ * @param {number} pitchClass - Pitch class (0-11)
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @param {number} capo - Capo fret
+ * @returns {number} - Fret number
+ */
+function findLowestFret(stringIndex, pitchClass, tuning, capo) {
+  const openPitchClass = getMidiAtFret(stringIndex, capo, tuning) % 12;
+  return capo + (pitchClass - openPitchClass + 12) % 12;
+}
+
+/**
+ * Get a CAGED shape: every scale note inside the form's fret window
+ * @param {number} shapeIndex - Shape index (0 = C form)
+ * @param {Array<string>} scaleNotes - Notes in the scale (root first)
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @param {number} capo - Capo fret
+ * @param {number} maxFrets - Highest fret shown
+ * @returns {Array<Object>} - Array of {stringIndex, fret} objects
+ */
+function getCagedShape(shapeIndex, scaleNotes, tuning, capo, maxFrets) {
+  const { anchorString, window } = CAGED_FORMS[shapeIndex];
+  const anchorIndex = Math.max(0, tuning.length - 1 - anchorString);
+
+  // Anchor on the lowest root on the form's string; move up an octave if most of the shape would be cut off
+  let rootFret = findLowestFret(anchorIndex, noteToPitchClass(scaleNotes[0]), tuning, capo);
+  if (rootFret + window[0] < capo - 1) {
+    rootFret += 12;
+  }
+
+  const lowFret = Math.max(capo, rootFret + window[0]);
+  const highFret = Math.min(maxFrets, rootFret + window[1]);
+  const pitchClasses = new Set(scaleNotes.map(noteToPitchClass));
+
+  const positions = [];
+  tuning.forEach((_, stringIndex) => {
+    for (let fret = lowFret; fret <= highFret; fret++) {
+      if (pitchClasses.has(getMidiAtFret(stringIndex, fret, tuning) % 12)) {
+        positions.push({ stringIndex, fret });
+      }
+    }
+  });
+  return positions;
+}
+
+/**
+ * Get a fixed notes-per-string shape by walking up the scale from the lowest string
+ * Shape N starts on the Nth scale degree on the lowest string
+ * @param {number} shapeIndex - Shape index (0 = starting on the root)
+ * @param {number} notesPerString - Notes on each string (2 for pentatonic boxes, 3 for 3NPS)
+ * @param {Array<string>} scaleNotes - Notes in the scale (root first)
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @param {number} capo - Capo fret
+ * @param {number} maxFrets - Highest fret shown
+ * @returns {Array<Object>} - Array of {stringIndex, fret} objects
+ */
+function getNotesPerStringShape(shapeIndex, notesPerString, scaleNotes, tuning, capo, maxFrets) {
+  const pitchClasses = new Set(scaleNotes.map(noteToPitchClass));
+  const lowestString = tuning.length - 1;
+  const startFret = findLowestFret(lowestString, noteToPitchClass(scaleNotes[shapeIndex]), tuning, capo);
+
+  let midi = getMidiAtFret(lowestString, startFret, tuning);
+  const nextScaleMidi = (current) => {
+    let next = current + 1;
+    while (!pitchClasses.has(next % 12)) next++;
+    return next;
+  };
+
+  const positions = [];
+  for (let stringIndex = lowestString; stringIndex >= 0; stringIndex--) {
+    for (let count = 0; count < notesPerString; count++) {
+      let fret = midi - tuning[stringIndex].midi;
+      // Irregular (e.g., re-entrant) tunings can put the next note below the nut: use the octave above
+      while (fret < capo) fret += 12;
+      if (fret <= maxFrets) {
+        positions.push({ stringIndex, fret });
+      }
+      midi = nextScaleMidi(midi);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Get one shape of a position system
+ * @param {string} systemId - Position system id ('caged', 'pentatonic-box' or '3nps')
+ * @param {number} shapeIndex - Shape index (0-based)
+ * @param {Array<string>} scaleNotes - Notes in the scale (root first)
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
+ * @param {number} capo - Capo fret (default: 0)
+ * @param {number} maxFrets - Highest fret shown (default: 16)
+ * @returns {Object|null} - {label, positions, minFret, maxFret}, or null for 'all' or an unavailable system
+ */
+export function getPositionShape(systemId, shapeIndex, scaleNotes, tuning = STRING_TUNINGS, capo = 0, maxFrets = 16) {
+  const count = getShapeCount(systemId, scaleNotes);
+  if (count === 0) {
+    return null;
+  }
+  const index = ((shapeIndex % count) + count) % count;
+
+  let label;
+  let positions;
+  if (systemId === 'caged') {
+    label = `Shape ${index + 1} (${CAGED_FORMS[index].form} form)`;
+    positions = getCagedShape(index, scaleNotes, tuning, capo, maxFrets);
+  } else if (systemId === 'pentatonic-box') {
+    label = `Box ${index + 1}`;
+    positions = getNotesPerStringShape(index, 2, scaleNotes, tuning, capo, maxFrets);
+  } else {
+    label = `Pattern ${index + 1} (from ${scaleNotes[index]})`;
+    positions = getNotesPerStringShape(index, 3, scaleNotes, tuning, capo, maxFrets);
+  }
+
+  const frets = positions.map(position => position.fret);
+  return {
+    label,
+    positions,
+    minFret: frets.length > 0 ? Math.min(...frets) : capo,
+    maxFret: frets.length > 0 ? Math.max(...frets) : capo,
+  };
+}
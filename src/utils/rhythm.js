@@ -0,0 +1,222 @@
+/**
+ * Rhythm inference: how long each tab position lasts, from the dash spacing between notes
+ * (normalized per measure between | bar lines) or from a rhythm annotation line when the tab has one
+ */
+
+import { STRING_PREFIX_PATTERN, extractAnnotationTrack, findBarColumns } from './parseTabText.js';
+import { DEFAULT_STEP_BEATS } from './transport.js';
+
+/**
+ * Beats in a measure (tabs are assumed to be in 4/4)
+ */
+export const BEATS_PER_MEASURE = 4;
+
+/**
+ * Longest run of columns read as one measure; longer runs (e.g., a whole system without bar lines)
+ * are timed from the tab's typical note spacing instead
+ */
+export const MAX_MEASURE_COLUMNS = 48;
+
+/**
+ * Beats of each duration letter in a rhythm line (w h q e s t, a trailing '.' dots the note)
+ */
+const DURATION_BEATS = { w: 4, h: 2, q: 1, e: 0.5, s: 0.25, t: 0.125 };
+
+/**
+ * Symbols for displaying durations (dotted and triplet values included)
+ */
+const DURATION_SYMBOLS = [
+  [4, 'w'], [3, 'h.'], [2, 'h'], [1.5, 'q.'], [4 / 3, 'h3'], [1, 'q'], [2 / 3, 'q3'], [0.75, 'e.'], [0.5, 'e'],
+  [1 / 3, 'e3'], [0.375, 's.'], [0.25, 's'], [1 / 6, 's3'], [0.125, 't'],
+];
+
+/**
+ * Beat offsets of the counting syllables after a beat number (1 e & a)
+ */
+const COUNT_OFFSETS = { 'e': 0.25, '&': 0.5, '+': 0.5, 'a': 0.75 };
+
+const DURATION_TOKEN_PATTERN = /^[whqest]\.?$/i;
+const COUNT_TOKEN_PATTERN = /^(\d+|e|&|\+|a)$/;
+
+/**
+ * Whether a line is a rhythm annotation: duration letters (q e e s s) or a count (1 & 2 &)
+ * @param {string} line - Line of pasted text
+ * @returns {boolean} - True for a rhythm line
+ */
+export function isRhythmLine(line) {
+  const tokens = line.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length < 2 || STRING_PREFIX_PATTERN.test(line.trim())) {
+    return false;
+  }
+  return tokens.every(token => DURATION_TOKEN_PATTERN.test(token))
+    || (tokens.every(token => COUNT_TOKEN_PATTERN.test(token)) && tokens.some(token => /^\d+$/.test(token)));
+}
+
+/**
+ * Extracts the rhythm lines of a tab as one track aligned with the ribbon from extractTabContent
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {number} stringCount - Number of strings on the instrument (default: 6)
+ * @returns {string} - One character per ribbon column, or '' when the tab has no rhythm lines
+ */
+export function extractRhythmTrack(tabText, stringCount = 6) {
+  return extractAnnotationTrack(tabText, stringCount, isRhythmLine);
+}
+
+/**
+ * Round beats to the nearest sixteenth, or keep an exact triplet value (never shorter than a sixteenth)
+ * @param {number} beats - Beats
+ * @param {boolean} allowTriplets - Whether exact triplet values are kept (default: true)
+ * @returns {number} - Quantized beats
+ */
+function quantizeBeats(beats, allowTriplets = true) {
+  const triplets = Math.round(beats * 3) / 3;
+  if (allowTriplets && Math.abs(triplets - beats) < 0.01) {
+    return triplets;
+  }
+  return Math.max(DURATION_BEATS.s, Math.round(beats * 4) / 4);
+}
+
+/**
+ * Get the beats each column of the tab lasts, measure by measure
+ * Bar lines last nothing; a measure shares BEATS_PER_MEASURE among its columns, and overlong
+ * measures use the tab's typical spacing (the most common gap between notes is an eighth note)
+ * @param {number} length - Number of columns in the tab
+ * @param {Array<number>} barColumns - Bar line columns from findBarColumns
+ * @param {Array<Object>} positions - Positions from findUniqueCharacterPositions ({column, width})
+ * @returns {Object} - {beats: beats per column, measured: whether each column is in a measure of normal length}
+ */
+function getColumnBeats(length, barColumns, positions) {
+  const gaps = positions.slice(1).map((position, index) => position.column - positions[index].column);
+  const commonGap = gaps.length > 0 ? [...gaps].sort((a, b) => a - b)[Math.floor(gaps.length / 2)] : 2;
+  const fallbackBeats = DEFAULT_STEP_BEATS / commonGap;
+
+  const columnBeats = new Array(length).fill(0);
+  const measured = new Array(length).fill(false);
+  let measureStart = 0;
+  for (const column of [...barColumns, length]) {
+    const measureLength = column - measureStart;
+    const isMeasured = measureLength <= MAX_MEASURE_COLUMNS;
+    for (let measureColumn = measureStart; measureColumn < column; measureColumn++) {
+      columnBeats[measureColumn] = isMeasured ? BEATS_PER_MEASURE / measureLength : fallbackBeats;
+      measured[measureColumn] = isMeasured;
+    }
+    measureStart = column + 1;
+  }
+
+  return { beats: columnBeats, measured };
+}
+
+/**
+ * Find the token of a rhythm track written at a position (at its column, or one column either side)
+ * @param {Array<Object>} tokens - Tokens of the track ({column, text})
+ * @param {Object} position - Position ({column, width})
+ * @returns {Object|undefined} - Closest token, if any
+ */
+function findTokenAt(tokens, position) {
+  return tokens
+    .filter(token => token.column >= position.column - 1 && token.column <= position.column + position.width)
+    .sort((a, b) => Math.abs(a.column - position.column) - Math.abs(b.column - position.column))[0];
+}
+
+/**
+ * Get the beat each counted position starts on, from a count track (1 & 2 & ...)
+ * A count that doesn't move forward (back to 1) starts a new measure
+ * @param {Array<Object>} tokens - Count tokens of the track ({column, text})
+ * @param {Array<Object>} positions - Positions ({column, width})
+ * @returns {Array<number|null>} - Onset in beats per position (null for positions without a count)
+ */
+function getCountOnsets(tokens, positions) {
+  const measureBeats = Math.max(BEATS_PER_MEASURE, ...tokens.filter(token => /^\d+$/.test(token.text)).map(token => parseInt(token.text, 10)));
+  const onsets = new Map(); // Token column -> onset
+  let measureStart = 0;
+  let beat = 0; // Number of the last counted beat (0 before the first)
+  let previousOnset = -1;
+
+  tokens.forEach(token => {
+    if (/^\d+$/.test(token.text)) {
+      beat = parseInt(token.text, 10);
+    }
+    let onset = measureStart + Math.max(0, beat - 1) + (COUNT_OFFSETS[token.text] || 0);
+    if (onset <= previousOnset) {
+      measureStart += measureBeats;
+      onset += measureBeats;
+    }
+    onsets.set(token.column, onset);
+    previousOnset = onset;
+  });
+
+  return positions.map(position => {
+    const token = findTokenAt(tokens, position);
+    return token ? onsets.get(token.column) : null;
+  });
+}
+
+/**
+ * Infer how many beats each tab position lasts (until the next position starts, rests included)
+ * A rhythm line's durations or counts take precedence; other positions are timed by their dash spacing
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @param {Array<Object>} positions - Positions from findUniqueCharacterPositions ({column, width})
+ * @param {string} rhythmTrack - Rhythm track from extractRhythmTrack ('' for none)
+ * @returns {Array<number>} - Beats per position
+ */
+export function inferDurations(tabText, positions, rhythmTrack = '') {
+  if (!tabText || positions.length === 0) {
+    return [];
+  }
+
+  // Columns follow the top line of the tab
+  const topLine = tabText.split('\n').find(line => STRING_PREFIX_PATTERN.test(line.trim())) || '';
+  const content = topLine.substring(topLine.indexOf('|') + 1);
+  const barColumns = findBarColumns(tabText);
+  const columnBeats = getColumnBeats(content.length, barColumns, positions);
+
+  // Dash spacing: the beats of every column from this position up to the next (or the end of its measure)
+  // Triplets are only read from measured bars, not estimated spacing
+  const spacing = positions.map((position, index) => {
+    const end = index + 1 < positions.length
+      ? positions[index + 1].column
+      : (barColumns.find(column => column > position.column) ?? content.length);
+    let beats = 0;
+    let isMeasured = true;
+    for (let column = position.column; column < end; column++) {
+      beats += columnBeats.beats[column];
+      isMeasured = isMeasured && (columnBeats.measured[column] || barColumns.includes(column));
+    }
+    return quantizeBeats(beats || DEFAULT_STEP_BEATS, isMeasured);
+  });
+
+  const tokens = [...rhythmTrack.matchAll(/\S+/g)].map(match => ({ column: match.index, text: match[0] }));
+  if (tokens.length === 0) {
+    return spacing;
+  }
+
+  // Duration letters give each position's length directly
+  if (tokens.every(token => DURATION_TOKEN_PATTERN.test(token.text))) {
+    return positions.map((position, index) => {
+      const token = findTokenAt(tokens, position);
+      if (!token) return spacing[index];
+      const beats = DURATION_BEATS[token.text[0].toLowerCase()];
+      return token.text.endsWith('.') ? beats * 1.5 : beats;
+    });
+  }
+
+  // Counts give each position's start; its length runs to the next counted start
+  const onsets = getCountOnsets(tokens.filter(token => COUNT_TOKEN_PATTERN.test(token.text)), positions);
+  return positions.map((position, index) => {
+    const next = onsets[index + 1];
+    if (onsets[index] === null || next === null || next === undefined || next <= onsets[index]) {
+      return spacing[index];
+    }
+    return quantizeBeats(next - onsets[index]);
+  });
+}
+
+/**
+ * Format a duration for display (q = quarter, e. = dotted eighth, e3 = triplet eighth, ...)
+ * @param {number} beats - Duration in beats
+ * @returns {string} - Symbol, or the number of beats when there's none
+ */
+export function formatDuration(beats) {
+  const symbol = DURATION_SYMBOLS.find(([value]) => Math.abs(value - beats) < 0.01);
+  return symbol ? symbol[1] : `${Math.round(beats * 100) / 100}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * Scale finder: lists every key and scale containing a set of notes (the inverse of getScaleNotes)
+ */
+
+import { SCALE_GROUPS, getScaleNotes, getKeyNames } from './scales.js';
+import { parseNote, noteToPitchClass } from './spelling.js';
+import { getTabPitches } from './keyDetection.js';
+
+/**
+ * Parse a typed list of notes (e.g., 'A C D E G' or 'F#, a, Bb')
+ * @param {string} text - Note names separated by spaces or commas
+ * @returns {Array<string>} - Note names with duplicates (by pitch class) removed, in the order typed
+ */
+export function parseNoteList(text) {
+  const tokens = (text || '').split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new Error('Enter some notes (e.g., A C D E G)');
+  }
+
+  const notes = [];
+  tokens.forEach(token => {
+    const note = token.charAt(0).toUpperCase() + token.slice(1).replace('♯', '#').replace('♭', 'b');
+    if (!parseNote(note)) {
+      throw new Error(`"${token}" is not a note name`);
+    }
+    if (!notes.some(existing => noteToPitchClass(existing) === noteToPitchClass(note))) {
+      notes.push(note);
+    }
+  });
+  return notes;
+}
+
+/**
+ * Collect the pitch classes played in a tab, most frequent first
+ * Rare notes (passing tones, chromatic approaches) are left out so the rest can fit a scale
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @param {Array<Object>} tuning - Tuning of the tab ({name, midi} per string, high to low)
+ * @param {number} capo - Capo fret (tab frets are relative to it)
+ * @param {number} minShare - Smallest share of all played notes a pitch class needs to be kept (default: 0.05)
+ * @returns {Array<number>} - Distinct pitch classes, ordered by how often they occur
+ */
+export function getTabPitchClasses(tabText, tuning, capo = 0, minShare = 0.05) {
+  const pitches = getTabPitches(tabText, tuning, capo).flat();
+  const counts = new Map();
+  pitches.forEach(midi => {
+    counts.set(midi % 12, (counts.get(midi % 12) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .filter(([, count]) => count >= pitches.length * minShare)
+    .sort((a, b) => b[1] - a[1])
+    .map(([pitchClass]) => pitchClass);
+}
+
+/**
+ * Find every key and scale that contains the given notes, best fit first
+ * A tight fit (few scale notes outside the set) ranks highest; the first note is taken as a
+ * hint for the tonic, and among equal fits the more common scale groups come first
+ * @param {Array<number>} pitchClasses - Pitch classes to contain (the first is the tonic hint)
+ * @param {Object} options - {preference: 'auto'|'sharps'|'flats', groups: Style option groups (default: SCALE_GROUPS)}
+ * @returns {Array<Object>} - Matches: {key, style, label, group, notes, extraNotes, fit}
+ *   key and style are Key and Style selector values; notes: the spelled scale;
+ *   extraNotes: scale notes not in the set; fit: share of the scale covered by the set (0-1)
+ */
+export function findScales(pitchClasses, { preference = 'auto', groups = SCALE_GROUPS } = {}) {
+  const wanted = [...new Set(pitchClasses)];
+  if (wanted.length === 0) {
+    return [];
+  }
+
+  const keyNames = getKeyNames(preference);
+  const matches = [];
+  const seenScales = new Set();
+
+  groups.forEach((group, groupIndex) => {
+    group.options.forEach(option => {
+      // Options showing the same scale (e.g., Pentatonic and Pentatonic +) are listed once
+      if (seenScales.has(option.scale)) return;
+      seenScales.add(option.scale);
+
+      keyNames.forEach((keyName, rootPitchClass) => {
+        const notes = getScaleNotes(keyName, option.scale, preference);
+        const scalePitchClasses = notes.map(note => noteToPitchClass(note));
+        if (!wanted.every(pitchClass => scalePitchClasses.includes(pitchClass))) return;
+
+        const fit = wanted.length / new Set(scalePitchClasses).size;
+        const score = fit * 100 + (rootPitchClass === wanted[0] ? 15 : 0) - groupIndex;
+        matches.push({
+          key: keyName,
+          style: option.value,
+          label: `${notes[0]} ${option.label}`,
+          group: group.label,
+          notes,
+          extraNotes: notes.filter(note => !wanted.includes(noteToPitchClass(note))),
+          fit,
+          score,
+        });
+      });
+    });
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .map(({ score, ...match }) => match);
+}
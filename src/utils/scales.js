@@ -1,3 +1,5 @@
+import { noteToPitchClass, getEnharmonicSpellings, respellNote, spellScale, countAccidentals, SHARP_NAMES, FLAT_NAMES } from './spelling.js';
+
 /**
  * Scale definitions - intervals in semitones from the root note
  */
@@ -10,46 +12,178 @@ export const SCALE_PATTERNS = {
   dorian: [0, 2, 3, 5, 7, 9, 10],
   mixolydian: [0, 2, 4, 5, 7, 9, 10],
   blues: [0, 3, 5, 6, 7, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  'harmonic-minor': [0, 2, 3, 5, 7, 8, 11],
+  'phrygian-dominant': [0, 1, 4, 5, 7, 8, 10], // 5th mode of harmonic minor
+  'hungarian-minor': [0, 2, 3, 6, 7, 8, 11],
+  'melodic-minor': [0, 2, 3, 5, 7, 9, 11],
+  'dorian-b2': [0, 1, 3, 5, 7, 9, 10], // 2nd mode of melodic minor
+  'lydian-augmented': [0, 2, 4, 6, 8, 9, 11], // 3rd mode
+  'lydian-dominant': [0, 2, 4, 6, 7, 9, 10], // 4th mode
+  'mixolydian-b6': [0, 2, 4, 5, 7, 8, 10], // 5th mode
+  'locrian-natural-2': [0, 2, 3, 5, 6, 8, 10], // 6th mode
+  altered: [0, 1, 3, 4, 6, 8, 10], // 7th mode
+  'whole-tone': [0, 2, 4, 6, 8, 10],
+  'diminished-half-whole': [0, 1, 3, 4, 6, 7, 9, 10],
+  'diminished-whole-half': [0, 2, 3, 5, 6, 8, 9, 11],
+  'bebop-dominant': [0, 2, 4, 5, 7, 9, 10, 11],
+  'bebop-major': [0, 2, 4, 5, 7, 8, 9, 11],
+  'bebop-dorian': [0, 2, 3, 4, 5, 7, 9, 10],
 };
 
 /**
- * All available keys
+ * Scales offered in the Style selector, grouped by family
+ * - value: selector value (the original four styles keep their display names)
+ * - scale: key into SCALE_PATTERNS
+ * - description: short summary shown under the selector
+ */
+export const SCALE_GROUPS = [
+  {
+    label: 'Pentatonic & Blues',
+    options: [
+      { value: 'Pentatonic', label: 'Pentatonic', scale: 'pentatonic-major', description: 'Major pentatonic: five notes with no half steps' },
+      { value: 'Blues Pentatonic', label: 'Blues Pentatonic', scale: 'pentatonic-minor', description: 'Minor pentatonic: the core of blues and rock soloing' },
+      { value: 'Pentatonic +', label: 'Pentatonic +', scale: 'pentatonic-major', description: 'Major pentatonic with the 4th and 7th shown as passing tones' },
+      { value: 'blues', label: 'Blues', scale: 'blues', description: 'Minor pentatonic plus the b5 "blue note"' },
+    ],
+  },
+  {
+    label: 'Diatonic Modes',
+    options: [
+      { value: 'Diatonic', label: 'Major (Ionian)', scale: 'major', description: 'The major scale: bright and resolved' },
+      { value: 'dorian', label: 'Dorian', scale: 'dorian', description: 'Minor with a natural 6: jazzy, funky minor' },
+      { value: 'phrygian', label: 'Phrygian', scale: 'phrygian', description: 'Minor with a b2: dark, Spanish flavour' },
+      { value: 'lydian', label: 'Lydian', scale: 'lydian', description: 'Major with a #4: dreamy and floating' },
+      { value: 'mixolydian', label: 'Mixolydian', scale: 'mixolydian', description: 'Major with a b7: dominant, bluesy rock' },
+      { value: 'minor', label: 'Natural Minor (Aeolian)', scale: 'minor', description: 'The relative minor of the major scale' },
+      { value: 'locrian', label: 'Locrian', scale: 'locrian', description: 'b2 and b5: fits half-diminished chords' },
+    ],
+  },
+  {
+    label: 'Harmonic Minor',
+    options: [
+      { value: 'harmonic-minor', label: 'Harmonic Minor', scale: 'harmonic-minor', description: 'Natural minor with a raised 7th for a strong V7' },
+      { value: 'phrygian-dominant', label: 'Phrygian Dominant', scale: 'phrygian-dominant', description: '5th mode of harmonic minor: b2 with a major 3rd' },
+      { value: 'hungarian-minor', label: 'Hungarian Minor', scale: 'hungarian-minor', description: 'Harmonic minor with a #4: two augmented seconds' },
+    ],
+  },
+  {
+    label: 'Melodic Minor',
+    options: [
+      { value: 'melodic-minor', label: 'Melodic Minor', scale: 'melodic-minor', description: 'Major scale with a b3 (jazz melodic minor)' },
+      { value: 'dorian-b2', label: 'Dorian b2', scale: 'dorian-b2', description: '2nd mode: Dorian with a b2' },
+      { value: 'lydian-augmented', label: 'Lydian Augmented', scale: 'lydian-augmented', description: '3rd mode: Lydian with a #5' },
+      { value: 'lydian-dominant', label: 'Lydian Dominant', scale: 'lydian-dominant', description: '4th mode: #4 and b7, for non-resolving 7th chords' },
+      { value: 'mixolydian-b6', label: 'Mixolydian b6', scale: 'mixolydian-b6', description: '5th mode: Mixolydian with a b6' },
+      { value: 'locrian-natural-2', label: 'Locrian ♮2', scale: 'locrian-natural-2', description: '6th mode: Locrian with a natural 2' },
+      { value: 'altered', label: 'Altered (Super Locrian)', scale: 'altered', description: '7th mode: every tension of an altered dominant' },
+    ],
+  },
+  {
+    label: 'Symmetric',
+    options: [
+      { value: 'whole-tone', label: 'Whole-Tone', scale: 'whole-tone', description: 'Six whole steps: fits augmented and 7#5 chords' },
+      { value: 'diminished-half-whole', label: 'Diminished (Half-Whole)', scale: 'diminished-half-whole', description: 'Alternating half and whole steps: fits 7b9 chords' },
+      { value: 'diminished-whole-half', label: 'Diminished (Whole-Half)', scale: 'diminished-whole-half', description: 'Alternating whole and half steps: fits diminished 7th chords' },
+    ],
+  },
+  {
+    label: 'Bebop',
+    options: [
+      { value: 'bebop-dominant', label: 'Bebop Dominant', scale: 'bebop-dominant', description: 'Mixolydian with a passing major 7th' },
+      { value: 'bebop-major', label: 'Bebop Major', scale: 'bebop-major', description: 'Major with a passing #5' },
+      { value: 'bebop-dorian', label: 'Bebop Dorian', scale: 'bebop-dorian', description: 'Dorian with a passing major 3rd' },
+    ],
+  },
+];
+
+/**
+ * Patterns of user-defined scales, keyed by id (see userScales.js)
+ */
+const userScalePatterns = new Map();
+
+/**
+ * Register user scales so getScaleNotes accepts their ids like built-in styles
+ * Replaces any previously registered user scales
+ * @param {Array<Object>} scales - Array of {id, pattern} objects
+ */
+export function registerUserScales(scales) {
+  userScalePatterns.clear();
+  scales.forEach(scale => userScalePatterns.set(scale.id, scale.pattern));
+}
+
+/**
+ * Get a Style selector option by value
+ * @param {string} value - Selector value (e.g., 'Pentatonic', 'lydian')
+ * @param {Array<Object>} groups - Option groups to search (default: built-in SCALE_GROUPS)
+ * @returns {Object|null} - Option object ({value, label, scale, description}) or null if not found
+ */
+export function getScaleOption(value, groups = SCALE_GROUPS) {
+  for (const group of groups) {
+    const option = group.options.find(option => option.value === value);
+    if (option) return option;
+  }
+  return null;
+}
+
+/**
+ * All available keys (conventional spelling: Db, Eb, Ab, Bb but F#)
  */
 export const KEYS = [
-  'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'
+  'C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'
 ];
 
+/**
+ * Get the key names for an accidental preference
+ * @param {string} preference - 'auto', 'sharps' or 'flats'
+ * @returns {Array<string>} - Twelve key names, starting from C
+ */
+export function getKeyNames(preference = 'auto') {
+  if (preference === 'sharps') return SHARP_NAMES;
+  if (preference === 'flats') return FLAT_NAMES;
+  return KEYS;
+}
+
 /**
  * All available scale styles
  */
 export const SCALE_STYLES = Object.keys(SCALE_PATTERNS);
 
 /**
- * Note names array
+ * Note names array (one name per pitch class, used for unspelled note lookups)
  */
 export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
 /**
- * Get the notes in a given scale
- * @param {string} key - The root key (e.g., 'C', 'D#')
- * @param {string} scaleStyle - The scale pattern name (e.g., 'pentatonic', 'major')
- * @returns {Array<string>} - Array of note names in the scale
+ * Get the notes in a given scale, spelled so each degree uses its own letter
+ * With the 'auto' preference the root is respelled when its enharmonic needs fewer
+ * accidentals (e.g., Db minor is spelled as C# minor)
+ * @param {string} key - The root key (e.g., 'C', 'Eb', 'F#')
+ * @param {string|Array<number>} scaleStyle - The scale pattern name (e.g., 'pentatonic', 'major', a
+ *   registered user scale id) or a pattern of semitones from the root
+ * @param {string} preference - Accidental preference: 'auto', 'sharps' or 'flats' (default: 'auto')
+ * @returns {Array<string>} - Array of spelled note names in the scale (e.g., F major → F G A Bb C D E)
  */
-export function getScaleNotes(key, scaleStyle = 'pentatonic') {
-  const keyIndex = NOTE_NAMES.indexOf(key);
-  if (keyIndex === -1) {
+export function getScaleNotes(key, scaleStyle = 'pentatonic', preference = 'auto') {
+  if (noteToPitchClass(key) === -1) {
     throw new Error(`Invalid key: ${key}`);
   }
 
-  const pattern = SCALE_PATTERNS[scaleStyle];
+  const pattern = Array.isArray(scaleStyle)
+    ? scaleStyle
+    : SCALE_PATTERNS[scaleStyle] || userScalePatterns.get(scaleStyle);
   if (!pattern) {
     throw new Error(`Invalid scale style: ${scaleStyle}`);
   }
 
-  // Generate notes by applying intervals to the root key
-  return pattern.map(interval => {
-    const noteIndex = (keyIndex + interval) % 12;
-    return NOTE_NAMES[noteIndex];
-  });
+  // Candidate root spellings: the preferred one, or (auto) every enharmonic of the key
+  const roots = preference === 'auto' ? getEnharmonicSpellings(key) : [respellNote(key, preference)];
+
+  // Generate notes by applying intervals to the root, keeping the spelling with fewest accidentals
+  return roots
+    .map(root => spellScale(root, pattern))
+    .reduce((best, notes) => (countAccidentals(notes) < countAccidentals(best) ? notes : best));
 }
 
@@ -0,0 +1,291 @@
+/**
+ * Songs decoded from files (Guitar Pro, MusicXML) and how a track of one is written out as tab text for
+ * the tab parser, with each position's exact duration
+ *
+ * A song is {title, artist, tempo, measures, tracks}:
+ *   measures: [{numerator, denominator, marker}] (marker: section name or null)
+ *   tracks: [{name, tuning: open strings as {name, midi} high to low, capo, isPercussion, measures: [{beats}]}],
+ *   beats being {duration (in beats), chord (name or null), notes (from createNote)}
+ */
+
+import { extractTabContent, findUniqueCharacterPositions } from './parseTabText.js';
+import { isChordLine } from './annotations.js';
+import { NOTE_NAMES } from './scales.js';
+
+/**
+ * Columns of written tab per beat of rest or sustained note (an eighth note spans 4 columns)
+ */
+const COLUMNS_PER_BEAT = 8;
+
+/**
+ * Widest a system of rendered tab grows before the next measure starts a new one
+ */
+const SYSTEM_WIDTH = 80;
+
+/**
+ * Name an open string from its MIDI note
+ * @param {number} midi - MIDI note of the open string
+ * @returns {Object} - {name, midi}
+ */
+export function getOpenString(midi) {
+  return { name: NOTE_NAMES[midi % 12], midi };
+}
+
+/**
+ * Create a note with no techniques
+ * @param {number} stringIndex - Index of the string (0 = highest)
+ * @param {number} fret - Fret
+ * @returns {Object} - Note: {stringIndex, fret, tie, dead, ghost, harmonic, palmMute, vibrato, hammer, slide,
+ *   slideIn, slideOut, bend}; hammer and slide ('shift' or 'legato') lead to the next note on the string,
+ *   slideIn is 'below' or 'above', slideOut 'down' or 'up', bend {semitones (null when unknown), release}
+ */
+export function createNote(stringIndex, fret) {
+  return {
+    stringIndex, fret, tie: false, dead: false, ghost: false, harmonic: false, palmMute: false, vibrato: false,
+    hammer: false, slide: null, slideIn: null, slideOut: null, bend: null,
+  };
+}
+
+/**
+ * Write a note as tab: its prefix (slide in, ghost or harmonic bracket), its fret and its suffix (bend, vibrato, slide out)
+ * @param {Object} note - Note from createNote
+ * @param {boolean} isLinkTarget - Whether the previous note on the string hammers or slides into it
+ * @returns {Object|null} - {prefix, body, suffix}, or null for a tied note (which isn't picked again)
+ */
+function getNoteToken(note, isLinkTarget) {
+  if (note.tie) return null;
+  if (note.dead) return { prefix: '', body: 'x', suffix: '' };
+
+  const slideIn = !isLinkTarget && note.slideIn ? (note.slideIn === 'below' ? '/' : '\\') : '';
+  const prefix = slideIn + (note.ghost ? '(' : note.harmonic ? '<' : '');
+  const body = `${note.fret}${note.ghost ? ')' : note.harmonic ? '>' : ''}`;
+
+  // A bend of unknown size is written without its target (7b)
+  let suffix = '';
+  if (note.bend && note.bend.semitones === null) {
+    suffix += 'b';
+  } else if (note.bend && Math.round(note.bend.semitones) > 0) {
+    suffix += `b${note.fret + Math.round(note.bend.semitones)}${note.bend.release ? `r${note.fret}` : ''}`;
+  }
+  if (note.vibrato) suffix += '~';
+  if (note.slideOut && !note.slide && !note.hammer) suffix += note.slideOut === 'down' ? '\\' : '/';
+  return { prefix, body, suffix };
+}
+
+/**
+ * Lay out the beats of a measure as columns of tab
+ * A note that hammers or slides into the next note on its string is written right against it (5h7),
+ * which fixes the width of its beat; other beats are spaced by their duration
+ * @param {Array<Object>} beats - Beats of the measure
+ * @param {number} stringCount - Strings on the track
+ * @returns {Object} - {lines: content per string, beats: [{start, noteColumn, width}], palmMuted: [[start, end]], chords: [{column, text}]}
+ *   (columns within the measure)
+ */
+function layoutMeasure(beats, stringCount) {
+  const tokens = beats.map((beat, index) => {
+    const previous = beats[index - 1];
+    return beat.notes.map(note => {
+      const source = previous && previous.notes.find(candidate => candidate.stringIndex === note.stringIndex);
+      const isLinkTarget = Boolean(source && (source.hammer || source.slide) && !source.tie && !source.dead);
+      return { note, token: getNoteToken(note, isLinkTarget) };
+    }).filter(({ token }) => token);
+  });
+  const prefixWidths = tokens.map(beatTokens => Math.max(0, ...beatTokens.map(({ token }) => token.prefix.length)));
+
+  const lines = Array.from({ length: stringCount }, () => ['-']); // A rest after the opening bar line
+  const layout = { lines: null, beats: [], palmMuted: [], chords: [] };
+  let column = 1;
+
+  beats.forEach((beat, index) => {
+    const beatTokens = tokens[index];
+    const prefixWidth = prefixWidths[index];
+    const ends = beatTokens.map(({ token }) => prefixWidth + token.body.length + token.suffix.length);
+    const plainWidth = Math.max(0, ...ends);
+
+    // Connectors into the next beat's note on the same string (only when it starts right at that beat)
+    const next = beats[index + 1];
+    const connectors = beatTokens.map(({ note, token }, tokenIndex) => {
+      const target = next && (note.hammer || note.slide) && prefixWidths[index + 1] === 0
+        ? next.notes.find(candidate => candidate.stringIndex === note.stringIndex && !candidate.tie && !candidate.dead)
+        : null;
+      if (!target || note.dead || token.suffix.endsWith('\\') || token.suffix.endsWith('/')) return null;
+      const connector = note.hammer
+        ? (target.fret >= note.fret ? 'h' : 'p')
+        : (target.fret >= note.fret ? '/' : '\\');
+      return { connector, end: ends[tokenIndex] + 1 };
+    });
+    // The next beat then starts right after the connectors, so no other note may run into a note after it
+    const linkedEnd = Math.max(0, ...connectors.filter(Boolean).map(link => link.end));
+    const isLinked = linkedEnd > 0 && beatTokens.every(({ note }, tokenIndex) => (
+      connectors[tokenIndex] || ends[tokenIndex] < linkedEnd
+      || (ends[tokenIndex] === linkedEnd && !next.notes.some(candidate => candidate.stringIndex === note.stringIndex))
+    ));
+
+    const width = isLinked
+      ? linkedEnd
+      : Math.max(beatTokens.length > 0 ? plainWidth + 1 : 1, Math.round(beat.duration * COLUMNS_PER_BEAT));
+    const noteColumn = column + prefixWidth;
+
+    for (let stringIndex = 0; stringIndex < stringCount; stringIndex++) {
+      lines[stringIndex].push(...'-'.repeat(width));
+    }
+    beatTokens.forEach(({ note, token }, tokenIndex) => {
+      const link = isLinked && connectors[tokenIndex] && connectors[tokenIndex].end === linkedEnd ? connectors[tokenIndex].connector : '';
+      const text = token.prefix + token.body + token.suffix + link;
+      text.split('').forEach((char, offset) => {
+        lines[note.stringIndex][noteColumn - token.prefix.length + offset] = char;
+      });
+    });
+
+    if (beat.notes.some(note => note.palmMute && !note.tie)) {
+      layout.palmMuted.push([noteColumn, column + width]);
+    }
+    if (beat.chord) {
+      layout.chords.push({ column: noteColumn, text: beat.chord.replace(/\s+/g, '') });
+    }
+    layout.beats.push({ start: column, noteColumn, width });
+    column += width;
+  });
+
+  layout.lines = lines.map(chars => `${chars.join('')}|`);
+  return layout;
+}
+
+/**
+ * Write a line of labels at columns, skipping any that would run into the label before
+ * @param {number} length - Line length
+ * @param {Array<Object>} labels - Labels: {column, text}
+ * @returns {string} - Line (trailing spaces trimmed)
+ */
+function buildLabelLine(length, labels) {
+  const chars = new Array(length).fill(' ');
+  let end = 0;
+  labels.forEach(({ column, text }) => {
+    if (column < end) return;
+    text.split('').forEach((char, offset) => {
+      chars[column + offset] = char;
+    });
+    end = column + text.length + 1;
+  });
+  return chars.join('').trimEnd();
+}
+
+/**
+ * Write a track of a song as tab text, with the duration of each of its positions
+ * The text has headers (title, artist, tempo, tuning, capo), [Section] headers at markers, palm-mute lines
+ * and chord names, so parsing it gives the same notes and annotations
+ * @param {Object} song - Song (e.g., from parseGuitarProFile or parseMusicXml)
+ * @param {number} trackIndex - Index of the track
+ * @returns {Object} - {text, durations}: durations are beats per position of the parsed tab (findUniqueCharacterPositions order)
+ */
+export function renderSongTrack(song, trackIndex) {
+  const track = song.tracks[trackIndex];
+  if (!track || track.tuning.length === 0) {
+    throw new Error('This track has no strings to write as tab (it may be a drum track)');
+  }
+
+  const stringCount = track.tuning.length;
+  const names = track.tuning.map(string => string.name);
+  const labelWidth = Math.max(...names.map(name => name.length));
+  const headers = [
+    song.title && `Title: ${song.title}`,
+    song.artist && `Artist: ${song.artist}`,
+    `Tempo: ${Math.round(song.tempo)}`,
+    `Tuning: ${[...names].reverse().join(' ')}`,
+    track.capo > 0 && `Capo: ${track.capo}`,
+    `Track: ${track.name}`,
+  ].filter(Boolean);
+
+  // Lay out every measure, then fill systems with them
+  let onset = 0;
+  const measures = track.measures.map((measure, index) => {
+    const header = song.measures[index] || { numerator: 4, denominator: 4, marker: null };
+    const beats = measure.beats.length > 0
+      ? measure.beats
+      : [{ duration: (header.numerator * 4) / header.denominator, chord: null, notes: [] }];
+    const layout = layoutMeasure(beats, stringCount);
+    const beatOnsets = beats.map(beat => {
+      const start = onset;
+      onset += beat.duration;
+      return start;
+    });
+    return { ...layout, marker: header.marker, beatOnsets, beatDurations: beats.map(beat => beat.duration) };
+  });
+
+  const systems = [];
+  measures.forEach(measure => {
+    const current = systems[systems.length - 1];
+    const width = measure.lines[0].length;
+    if (!current || measure.marker || current.width + width > SYSTEM_WIDTH) {
+      systems.push({ measures: [measure], width, marker: measure.marker });
+    } else {
+      current.measures.push(measure);
+      current.width += width;
+    }
+  });
+
+  // Write the systems, noting where every beat lands in the ribbon
+  const blocks = [];
+  const timeline = []; // {start, noteColumn, end, onset, duration} in ribbon columns
+  let ribbonColumn = 0;
+  systems.forEach(system => {
+    const contentStart = labelWidth + 1;
+    const chordLabels = [];
+    const palmMuteLabels = [];
+    let column = 0;
+    system.measures.forEach(measure => {
+      measure.beats.forEach((beat, index) => {
+        timeline.push({
+          start: ribbonColumn + column + beat.start,
+          noteColumn: ribbonColumn + column + beat.noteColumn,
+          end: ribbonColumn + column + beat.start + beat.width,
+          onset: measure.beatOnsets[index],
+          duration: measure.beatDurations[index],
+        });
+      });
+      measure.chords
+        .filter(chord => isChordLine(chord.text))
+        .forEach(chord => chordLabels.push({ column: contentStart + column + chord.column, text: chord.text }));
+      measure.palmMuted.forEach(([start, end]) => {
+        palmMuteLabels.push({ column: contentStart + column + start, text: '-'.repeat(end - start) });
+      });
+      column += measure.lines[0].length;
+    });
+
+    const lines = [];
+    if (system.marker) lines.push(`[${system.marker}]`);
+    if (palmMuteLabels.length > 0) {
+      // The line starts with PM so it's read as a palm-mute line
+      const palmMuteLine = buildLabelLine(contentStart + system.width, palmMuteLabels).split('');
+      const first = palmMuteLine.findIndex(char => char === '-');
+      palmMuteLine[first] = 'P';
+      if (palmMuteLine[first + 1] === '-') palmMuteLine[first + 1] = 'M';
+      lines.push(palmMuteLine.join(''));
+    }
+    names.forEach((name, stringIndex) => {
+      lines.push(`${name.padEnd(labelWidth)}|${system.measures.map(measure => measure.lines[stringIndex]).join('')}`);
+    });
+    const chordLine = buildLabelLine(contentStart + system.width, chordLabels);
+    if (chordLine) lines.push(chordLine);
+    blocks.push(lines.join('\n'));
+    ribbonColumn += system.width;
+  });
+
+  const text = `${headers.join('\n')}\n\n${blocks.join('\n\n')}\n`;
+
+  // Each position lasts until the next one starts; a position inside a beat (a bend's target) starts
+  // partway through it
+  const songEnd = onset;
+  const getOnset = (column) => {
+    const beat = timeline.find(candidate => column >= candidate.start && column < candidate.end);
+    if (!beat || column <= beat.noteColumn) return beat ? beat.onset : songEnd;
+    return beat.onset + ((column - beat.noteColumn) / (beat.end - beat.noteColumn)) * beat.duration;
+  };
+  const onsets = findUniqueCharacterPositions(extractTabContent(text, stringCount)).map(position => getOnset(position.column));
+  const durations = onsets.map((start, index) => {
+    const end = index + 1 < onsets.length ? onsets[index + 1] : songEnd;
+    return Math.round((end - start) * 1e6) / 1e6;
+  });
+
+  return { text, durations };
+}
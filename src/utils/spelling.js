@@ -0,0 +1,239 @@
+/**
+ * Enharmonic spelling helpers: pitch classes, letter names and accidentals
+ * Scales and chords are spelled so each degree uses its own letter (Bb in F major, not A#)
+ */
+
+/**
+ * Natural note letters and their pitch classes
+ */
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Pitch class names using sharps and flats
+ */
+export const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+export const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Accidental preferences offered to the user
+ * - auto: spell keys the conventional way (fewest accidentals)
+ * - sharps / flats: prefer sharp or flat roots and out-of-key notes
+ */
+export const ACCIDENTAL_PREFERENCES = ['auto', 'sharps', 'flats'];
+
+/**
+ * Default scale degree (1-7) for each semitone above the root, with an alternative
+ * letter used when the default letter is already taken (e.g., #4 instead of b5)
+ */
+const DEGREE_FOR_SEMITONE = [
+  { degree: 1 },
+  { degree: 2, alternative: 1 },   // b2 or #1
+  { degree: 2 },
+  { degree: 3, alternative: 2 },   // b3 or #2
+  { degree: 3 },
+  { degree: 4 },
+  { degree: 5, alternative: 4 },   // b5 or #4
+  { degree: 5 },
+  { degree: 6, alternative: 5 },   // b6 or #5
+  { degree: 6 },
+  { degree: 7 },
+  { degree: 7 },
+];
+
+/**
+ * Semitones of each major scale degree, and conventional degree names for each semitone
+ */
+const MAJOR_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+const CONVENTIONAL_DEGREES = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', '#5', '6', 'b7', '7'];
+
+/**
+ * Split a note name into its letter and accidental offset
+ * @param {string} note - Note name (e.g., 'C', 'F#', 'Bb', 'Ebb', 'F##')
+ * @returns {Object|null} - {letter, accidental} (accidental in semitones), or null if invalid
+ */
+export function parseNote(note) {
+  const match = typeof note === 'string' && note.match(/^([A-Ga-g])(#{1,2}|b{1,2}|x|♯|♭)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const symbols = match[2] || '';
+  let accidental = 0;
+  if (symbols === 'x') {
+    accidental = 2;
+  } else if (symbols.startsWith('#') || symbols === '♯') {
+    accidental = symbols === '♯' ? 1 : symbols.length;
+  } else if (symbols) {
+    accidental = symbols === '♭' ? -1 : -symbols.length;
+  }
+
+  return { letter: match[1].toUpperCase(), accidental };
+}
+
+/**
+ * Get the pitch class (0-11, C = 0) of a note name
+ * @param {string} note - Note name (e.g., 'C#', 'Db', 'Cb')
+ * @returns {number} - Pitch class, or -1 if the note name is invalid
+ */
+export function noteToPitchClass(note) {
+  const parsed = parseNote(note);
+  if (!parsed) {
+    return -1;
+  }
+  return (LETTER_PITCH_CLASSES[parsed.letter] + parsed.accidental + 12) % 12;
+}
+
+/**
+ * Spell a pitch class using a specific letter
+ * @param {number} pitchClass - Pitch class (0-11)
+ * @param {string} letter - Natural letter to spell with (e.g., 'B')
+ * @returns {string} - Spelled note (e.g., pitch class 10 with 'B' → 'Bb')
+ */
+export function spellWithLetter(pitchClass, letter) {
+  // Offset from the natural letter, normalized to -6..+5
+  const offset = ((pitchClass - LETTER_PITCH_CLASSES[letter]) % 12 + 12 + 6) % 12 - 6;
+  return offset >= 0 ? letter + '#'.repeat(offset) : letter + 'b'.repeat(-offset);
+}
+
+/**
+ * Spell an interval above a root using the given scale degree's letter
+ * @param {string} root - Spelled root note (e.g., 'Eb')
+ * @param {number} semitones - Interval in semitones (e.g., 3)
+ * @param {number} degree - Scale degree the interval represents (1-7, e.g., 3 for a minor third)
+ * @returns {string} - Spelled note (e.g., 'Gb')
+ */
+export function spellInterval(root, semitones, degree) {
+  const parsed = parseNote(root);
+  const letter = LETTERS[(LETTERS.indexOf(parsed.letter) + degree - 1) % 7];
+  return spellWithLetter((noteToPitchClass(root) + semitones) % 12, letter);
+}
+
+/**
+ * Spell the notes of a scale so each degree uses its own letter where possible
+ * Seven-note scales use each letter exactly once; other scales use conventional degrees
+ * (b3, b5, b7 in the blues scale, for example)
+ * @param {string} root - Spelled root note
+ * @param {Array<number>} pattern - Intervals in semitones from the root (ascending, starting at 0)
+ * @returns {Array<string>} - Spelled note names
+ */
+export function spellScale(root, pattern) {
+  if (pattern.length === 7) {
+    return pattern.map((interval, index) => spellInterval(root, interval, index + 1));
+  }
+
+  // Try every combination of default/alternative degrees and keep the spelling with the
+  // fewest repeated letters, then the fewest accidentals (e.g., Eb blues uses A, not Bbb)
+  const flexible = pattern
+    .map((interval, index) => (DEGREE_FOR_SEMITONE[interval % 12].alternative ? index : -1))
+    .filter(index => index !== -1);
+
+  let best = null;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 1 << flexible.length; mask++) {
+    const notes = pattern.map((interval, index) => {
+      const { degree, alternative } = DEGREE_FOR_SEMITONE[interval % 12];
+      const bit = flexible.indexOf(index);
+      return spellInterval(root, interval, bit !== -1 && mask & (1 << bit) ? alternative : degree);
+    });
+    const repeatedLetters = notes.length - new Set(notes.map(note => note[0])).size;
+    const score = repeatedLetters * 100 + countAccidentals(notes);
+    if (score < bestScore) {
+      best = notes;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Get the scale degree of a note relative to a root, altered against the major scale
+ * The note's letter decides the degree (D# above C is '#2', Eb is 'b3'); spellings more than a
+ * semitone away from the major degree fall back to the conventional name for the interval
+ * @param {string} note - Spelled note (e.g., 'Eb')
+ * @param {string} root - Spelled root (e.g., 'C')
+ * @returns {string|null} - Degree label (e.g., '1', 'b3', '#4'), or null if either note is invalid
+ */
+export function getDegreeLabel(note, root) {
+  const parsedNote = parseNote(note);
+  const parsedRoot = parseNote(root);
+  if (!parsedNote || !parsedRoot) {
+    return null;
+  }
+
+  const degree = (LETTERS.indexOf(parsedNote.letter) - LETTERS.indexOf(parsedRoot.letter) + 7) % 7 + 1;
+  const majorDegree = spellInterval(root, MAJOR_SEMITONES[degree - 1], degree);
+  const offset = ((noteToPitchClass(note) - noteToPitchClass(majorDegree)) % 12 + 12 + 6) % 12 - 6;
+
+  if (offset === 0) return String(degree);
+  if (offset === -1) return `b${degree}`;
+  if (offset === 1) return `#${degree}`;
+  return CONVENTIONAL_DEGREES[(noteToPitchClass(note) - noteToPitchClass(root) + 12) % 12];
+}
+
+/**
+ * Count the accidentals in a list of spelled notes (double accidentals count twice)
+ * @param {Array<string>} notes - Spelled note names
+ * @returns {number} - Number of accidentals
+ */
+export function countAccidentals(notes) {
+  return notes.reduce((total, note) => total + Math.abs(parseNote(note).accidental), 0);
+}
+
+/**
+ * Get the candidate spellings of a root (as given, with sharps, with flats)
+ * @param {string} note - Note name
+ * @returns {Array<string>} - Unique spellings, the given one first
+ */
+export function getEnharmonicSpellings(note) {
+  const pitchClass = noteToPitchClass(note);
+  return [...new Set([note, SHARP_NAMES[pitchClass], FLAT_NAMES[pitchClass]])];
+}
+
+/**
+ * Respell a root according to an accidental preference
+ * @param {string} note - Note name
+ * @param {string} preference - 'auto', 'sharps' or 'flats'
+ * @returns {string} - The note as given ('auto'), or its sharp or flat spelling
+ */
+export function respellNote(note, preference = 'auto') {
+  const pitchClass = noteToPitchClass(note);
+  if (preference === 'sharps') return SHARP_NAMES[pitchClass];
+  if (preference === 'flats') return FLAT_NAMES[pitchClass];
+  return note;
+}
+
+/**
+ * Spell a pitch class in the context of a key or scale
+ * Notes in the key keep the key's spelling; other notes follow the preference
+ * (in 'auto', flat keys use flats and everything else uses sharps)
+ * @param {number} pitchClass - Pitch class (0-11)
+ * @param {string} preference - 'auto', 'sharps' or 'flats'
+ * @param {Array<string>} keyNotes - Spelled notes of the current key or scale (optional)
+ * @returns {string} - Spelled note name
+ */
+export function spellPitchClass(pitchClass, preference = 'auto', keyNotes = []) {
+  const inKey = keyNotes.find(note => noteToPitchClass(note) === pitchClass);
+  if (inKey) {
+    return inKey;
+  }
+
+  const keyUsesFlats = keyNotes.some(note => parseNote(note).accidental < 0);
+  if (preference === 'flats' || (preference === 'auto' && keyUsesFlats)) {
+    return FLAT_NAMES[pitchClass];
+  }
+  return SHARP_NAMES[pitchClass];
+}
+
+/**
+ * Lower a note by a semitone, keeping its letter where that gives a single accidental
+ * @param {string} note - Note name (e.g., 'D', 'F#', 'Bb')
+ * @returns {string} - Flattened note (e.g., 'Db', 'F', 'A')
+ */
+export function flattenNote(note) {
+  const parsed = parseNote(note);
+  if (parsed.accidental > -1) {
+    return spellWithLetter((noteToPitchClass(note) + 11) % 12, parsed.letter);
+  }
+  return FLAT_NAMES[(noteToPitchClass(note) + 11) % 12];
+}
@@ -0,0 +1,203 @@
+/**
+ * Tab document: everything parsed from a pasted tab in one versioned, JSON-serializable object
+ * (metadata, tuning, systems, measures, annotations and the notes of every position with where
+ * they were written), shared by the app and the command-line scripts
+ */
+
+import { parseTabSystems, extractTabContent, extractPalmMuteTrack, findUniqueCharacterPositions } from './parseTabText.js';
+import { tokenizeTab, getTabPositionNotes } from './tabTechniques.js';
+import { extractRhythmTrack, inferDurations } from './rhythm.js';
+import { buildMeasureIndex, locatePositions } from './measures.js';
+import { extractChordAnnotations, extractSections, findAnnotationAt } from './annotations.js';
+import { detectTabTuning } from './tunings.js';
+import { getMidiAtFret } from './fretCalculator.js';
+import { findInstrumentForStringCount } from './instruments.js';
+
+/**
+ * Version of the document format (bumped whenever its shape changes)
+ */
+export const TAB_DOCUMENT_VERSION = 1;
+
+/**
+ * Matches a 'key: value' header line above the tab (e.g., 'Artist: Stevie Ray Vaughan', 'Capo: 2')
+ */
+const HEADER_LINE_PATTERN = /^\s*([A-Za-z][A-Za-z ]{0,19}?)\s*:\s*(.*\S)\s*$/;
+
+/**
+ * Read the 'key: value' header lines written before the first system
+ * @param {Array<string>} lines - Lines of the pasted text
+ * @param {number} endLineIndex - Index of the first string line (headers are read above it)
+ * @returns {Object} - Header values by lowercase key (the first of each key wins)
+ */
+function parseHeaders(lines, endLineIndex) {
+  const headers = {};
+  lines.slice(0, endLineIndex).forEach(line => {
+    const match = line.match(HEADER_LINE_PATTERN);
+    if (match && !(match[1].toLowerCase() in headers)) {
+      headers[match[1].toLowerCase()] = match[2];
+    }
+  });
+  return headers;
+}
+
+/**
+ * Read a whole number from a header value (e.g., '2nd fret' -> 2)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} - Number, or null when there isn't one
+ */
+function parseHeaderNumber(value) {
+  const match = (value || '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Get where a ribbon column of a string was written in the pasted text
+ * @param {Array<Object>} systems - Systems from parseTabSystems, with their first ribbon column ({lines, column, width})
+ * @param {number} stringIndex - Index of the string (0 = highest)
+ * @param {number} column - Ribbon column
+ * @param {number} length - Number of characters
+ * @returns {Object|null} - {line, column, length} (1-based line and column), or null for a filled-in string
+ */
+function getSourceSpan(systems, stringIndex, column, length) {
+  const system = systems.find(candidate => column >= candidate.column && column < candidate.column + candidate.width);
+  const line = system ? system.lines[stringIndex] : null;
+  if (!line || line.lineIndex === null) {
+    return null;
+  }
+  return { line: line.lineIndex + 1, column: line.contentStart + column - system.column + 1, length };
+}
+
+/**
+ * Parse pasted tab text into a tab document
+ * Frets are read relative to the capo (a Capo: header, or else options.capo). The tuning is
+ * options.tuningOverride, or else the tab's declared one (a Tuning: header or its string names), or else
+ * options.tuning, or else the default tuning of an instrument with the tab's string count
+ * @param {string} tabText - Raw pasted tab text (may include headers)
+ * @param {Object} options - {stringCount: strings on the instrument (default: 6), tuning: open strings, high to low,
+ *   tuningOverride: open strings that replace the tab's own tuning, capo: capo fret of a tab without a Capo: header,
+ *   metadata: values that override the headers (e.g., {title}), durations: beats of each position, replacing
+ *   the ones inferred from the spacing (e.g., from an imported file)}
+ * @returns {Object} - Document: {version, metadata, tuning, ribbon, tracks, systems, sections, chords, measures,
+ *   positions, diagnostics}
+ *   metadata: {title, artist, tempo, capo, stringCount, headers}
+ *   tuning: {strings: [{name, midi}] high to low, labels: string identifiers, source: 'override', 'declaration',
+ *     'labels' or 'default', detail: how it was found}
+ *   ribbon: the aligned tab from extractTabContent; tracks: {palmMute, rhythm} aligned with it
+ *   systems: [{firstLine, lastLine, startColumn, endColumn}] (1-based lines, ribbon columns, endColumn exclusive)
+ *   sections, chords: from extractSections and extractChordAnnotations; measures: from buildMeasureIndex
+ *   positions: [{index, column, width, duration, measure, beat, chord, notes, deadNotes}], chord being the
+ *     written chord name; notes: {stringIndex, fret, tabFret, note, midi, techniques, legato, span};
+ *     deadNotes: {stringIndex, techniques, span}; span: {line, column, length} in the pasted text (null if filled in)
+ *   diagnostics: from parseTabSystems
+ */
+export function parseTabDocument(tabText, options = {}) {
+  const { stringCount = 6, tuningOverride = null, capo: capoOption = null, metadata: metadataOverrides = {} } = options;
+  const text = tabText || '';
+  const lines = text.split('\n');
+  const { systems, labels, diagnostics } = parseTabSystems(text, stringCount);
+
+  const headers = parseHeaders(lines, systems.length > 0 ? Math.min(...systems.map(system => system.firstLineIndex)) : lines.length);
+  const capo = parseHeaderNumber(headers.capo) ?? capoOption ?? 0;
+  const metadata = {
+    title: headers.title || headers.song || null,
+    artist: headers.artist || headers.band || headers.group || null,
+    tempo: parseHeaderNumber(headers.tempo || headers.bpm),
+    capo,
+    stringCount: labels.length,
+    headers,
+    ...metadataOverrides,
+  };
+
+  // The tab's own tuning, or the one it's played in
+  const instrument = findInstrumentForStringCount(labels.length);
+  const reference = options.tuning && options.tuning.length === labels.length
+    ? options.tuning
+    : (instrument ? instrument.tuning : null);
+  const detected = reference ? detectTabTuning(text, labels, reference) : null;
+  let tuning = { strings: reference || [], labels, source: 'default', detail: null };
+  if (tuningOverride && tuningOverride.length === labels.length) {
+    tuning = { strings: tuningOverride, labels, source: 'override', detail: null };
+  } else if (detected) {
+    tuning = { strings: detected.tuning, labels, source: detected.source, detail: detected.detail };
+  }
+
+  const ribbon = extractTabContent(text, stringCount);
+  const tracks = {
+    palmMute: extractPalmMuteTrack(text, stringCount),
+    rhythm: extractRhythmTrack(text, stringCount),
+  };
+
+  // Where each system starts in the ribbon
+  let column = 0;
+  const placedSystems = systems.map(system => {
+    const placed = { ...system, column };
+    column += system.width;
+    return placed;
+  });
+
+  const chords = extractChordAnnotations(text, stringCount);
+  const sections = extractSections(text, stringCount);
+  const foundPositions = findUniqueCharacterPositions(ribbon);
+  const durations = options.durations && options.durations.length === foundPositions.length
+    ? options.durations
+    : inferDurations(ribbon, foundPositions, tracks.rhythm);
+  const timedPositions = foundPositions.map((position, index) => ({ ...position, duration: durations[index] }));
+  const measures = buildMeasureIndex(ribbon, timedPositions);
+  const locations = locatePositions(measures, timedPositions);
+  const events = tokenizeTab(ribbon, tracks.palmMute);
+
+  const positions = timedPositions.map((position, index) => {
+    const chord = findAnnotationAt(chords, position.column);
+    const played = tuning.strings.length > 0 ? getTabPositionNotes(ribbon, position, events, tuning.strings, capo) : null;
+    const notes = played ? played.notes : [];
+    const deadNotes = played ? played.deadNotes : [];
+
+    return {
+      index,
+      column: position.column,
+      width: position.width,
+      duration: position.duration,
+      measure: locations[index].measure,
+      beat: locations[index].beat,
+      chord: chord ? chord.text : null,
+      notes: notes.map(note => ({
+        stringIndex: note.stringIndex,
+        fret: note.fret,
+        tabFret: note.tabFret,
+        note: note.note,
+        midi: getMidiAtFret(note.stringIndex, note.fret, tuning.strings),
+        techniques: note.techniques,
+        legato: note.legato,
+        span: getSourceSpan(placedSystems, note.stringIndex, position.column, String(note.tabFret).length),
+      })),
+      deadNotes: deadNotes.map(note => {
+        const event = events.find(candidate => candidate.stringIndex === note.stringIndex && candidate.fret === null
+          && candidate.column >= position.column && candidate.column < position.column + position.width);
+        return {
+          stringIndex: note.stringIndex,
+          techniques: note.techniques,
+          span: getSourceSpan(placedSystems, note.stringIndex, event.column, 1),
+        };
+      }),
+    };
+  });
+
+  return {
+    version: TAB_DOCUMENT_VERSION,
+    metadata,
+    tuning,
+    ribbon,
+    tracks,
+    systems: placedSystems.map(system => ({
+      firstLine: system.firstLineIndex + 1,
+      lastLine: system.lastLineIndex + 1,
+      startColumn: system.column,
+      endColumn: system.column + system.width,
+    })),
+    sections,
+    chords,
+    measures,
+    positions,
+    diagnostics,
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Technique-aware tab tokenizer: turns string lines into note events carrying their playing
+ * techniques (hammer-ons, pull-offs, bends, releases, slides, vibrato, harmonics, dead notes,
+ * ghost notes and palm mutes) and the links between notes (e.g., hammer from fret 3 to 4)
+ */
+
+import { STRING_PREFIX_PATTERN, parseNotesAtColumn } from './parseTabText.js';
+import { getNoteAtFret } from './fretCalculator.js';
+
+/**
+ * Techniques with their badge symbol and display name
+ */
+export const TECHNIQUES = {
+  'hammer': { symbol: 'h', name: 'Hammer-on' },
+  'pull': { symbol: 'p', name: 'Pull-off' },
+  'bend': { symbol: 'b', name: 'Bend' },
+  'release': { symbol: 'r', name: 'Release' },
+  'slide-up': { symbol: '/', name: 'Slide up' },
+  'slide-down': { symbol: '\\', name: 'Slide down' },
+  'slide': { symbol: 's', name: 'Slide' },
+  'vibrato': { symbol: '~', name: 'Vibrato' },
+  'harmonic': { symbol: '<>', name: 'Harmonic' },
+  'dead': { symbol: 'x', name: 'Dead note' },
+  'ghost': { symbol: '()', name: 'Ghost note' },
+  'palm-mute': { symbol: 'PM', name: 'Palm mute' },
+};
+
+/**
+ * Connector characters between two notes (or before/after a single note)
+ */
+const CONNECTOR_PATTERN = /^(h|p|r|\/|\\|s[ud]?|b+[*$]?)/;
+
+/**
+ * Technique of a connector token
+ * @param {string} token - Connector (e.g., 'h', 'su', 'b*')
+ * @returns {string} - Technique type
+ */
+function getConnectorType(token) {
+  if (token === 'h') return 'hammer';
+  if (token === 'p') return 'pull';
+  if (token === 'r') return 'release';
+  if (token === '/' || token === 'su') return 'slide-up';
+  if (token === '\\' || token === 'sd') return 'slide-down';
+  if (token === 's') return 'slide';
+  return 'bend';
+}
+
+/**
+ * Tokenize one string line (the content after its 'E|' prefix) into note events
+ * @param {string} content - Tab characters of one string
+ * @param {number} stringIndex - Index of the string (0 = highest)
+ * @param {string} palmMuteTrack - Palm-mute track from extractPalmMuteTrack ('' for none)
+ * @returns {Array<Object>} - Note events: {stringIndex, column, width, fret, techniques, legato}
+ *   fret: tab fret (null for a dead note); techniques: [{type, fromFret, toFret}], fromFret/toFret being
+ *   null when the technique has no source (slide into) or target (bend without a written pitch);
+ *   legato: the note is sounded by the previous note's hammer, pull, slide, bend or release, not picked
+ */
+export function tokenizeStringLine(content, stringIndex, palmMuteTrack = '') {
+  const events = [];
+  let last = null; // Last note event on the string
+  let lastEnd = -1; // Column right after the last note and its suffixes (connectors must start here)
+  let pending = null; // Connector waiting for its target note: {type, from}
+  let prefixes = []; // Techniques for the next note that have no source (b6, /5, su10)
+
+  const addEvent = (column, width, fret, techniques = []) => {
+    const event = { stringIndex, column, width, fret, techniques: [...techniques], legato: false };
+
+    if (pending) {
+      // The link moves from the source note to its target (which isn't picked again)
+      const { type, from } = pending;
+      from.techniques = from.techniques.filter(existing => !(existing.type === type && existing.toFret === null));
+      event.techniques.push({ type, fromFret: from.fret, toFret: fret });
+      event.legato = true;
+    }
+    prefixes.forEach(type => {
+      event.techniques.push(type === 'bend' ? { type, fromFret: fret, toFret: null } : { type, fromFret: null, toFret: fret });
+    });
+
+    const palmMuteMark = palmMuteTrack[column];
+    if (palmMuteMark && palmMuteMark !== ' ' && palmMuteMark !== '|') {
+      event.techniques.push({ type: 'palm-mute', fromFret: null, toFret: null });
+    }
+
+    events.push(event);
+    last = event;
+    lastEnd = column + width;
+    pending = null;
+    prefixes = [];
+  };
+
+  let i = 0;
+  while (i < content.length) {
+    const rest = content.slice(i);
+    const char = content[i];
+
+    // Fret number (possibly a harmonic <12> or ghost note (5))
+    const fretMatch = rest.match(/^\d+/);
+    const harmonicMatch = rest.match(/^<(\d+)>/);
+    const ghostMatch = rest.match(/^\((\d+)\)/);
+    if (fretMatch) {
+      addEvent(i, fretMatch[0].length, parseInt(fretMatch[0], 10));
+      i += fretMatch[0].length;
+      continue;
+    }
+    if (harmonicMatch || ghostMatch) {
+      const match = harmonicMatch || ghostMatch;
+      const type = harmonicMatch ? 'harmonic' : 'ghost';
+      addEvent(i + 1, match[1].length, parseInt(match[1], 10), [{ type, fromFret: null, toFret: null }]);
+      lastEnd = i + match[0].length;
+      i += match[0].length;
+      continue;
+    }
+    if (char === 'x' || char === 'X') {
+      addEvent(i, 1, null, [{ type: 'dead', fromFret: null, toFret: null }]);
+      i++;
+      continue;
+    }
+
+    const isAdjacent = last !== null && i === lastEnd;
+
+    // Vibrato after a note (~ or ~~~)
+    if (char === '~') {
+      const length = rest.match(/^~+/)[0].length;
+      if (isAdjacent && !last.techniques.some(technique => technique.type === 'vibrato')) {
+        last.techniques.push({ type: 'vibrato', fromFret: null, toFret: null });
+      }
+      if (isAdjacent) lastEnd += length;
+      i += length;
+      continue;
+    }
+
+    const connectorMatch = rest.match(CONNECTOR_PATTERN);
+    if (connectorMatch) {
+      const type = getConnectorType(connectorMatch[0]);
+      if (isAdjacent && last.fret !== null) {
+        // Linked to the next note; until one arrives it's a bend without a target or a slide out
+        pending = { type, from: last };
+        last.techniques.push({ type, fromFret: last.fret, toFret: null });
+        lastEnd += connectorMatch[0].length;
+      } else if (type !== 'hammer' && type !== 'pull' && type !== 'release') {
+        // Bent note (b6) or slide into the next note (/5, su10)
+        prefixes.push(type);
+      }
+      i += connectorMatch[0].length;
+      continue;
+    }
+
+    // Anything else (dashes, bar lines, spaces) ends a link
+    pending = null;
+    prefixes = [];
+    i++;
+  }
+
+  return events;
+}
+
+/**
+ * Tokenize a whole tab into note events (every string)
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @param {string} palmMuteTrack - Palm-mute track from extractPalmMuteTrack ('' for none)
+ * @returns {Array<Object>} - Note events from tokenizeStringLine, ordered by column then string
+ */
+export function tokenizeTab(tabText, palmMuteTrack = '') {
+  if (!tabText || !tabText.trim()) {
+    return [];
+  }
+
+  const contentLines = tabText.split('\n')
+    .filter(line => STRING_PREFIX_PATTERN.test(line.trim()))
+    .map(line => line.substring(line.indexOf('|') + 1));
+
+  return contentLines
+    .flatMap((content, stringIndex) => tokenizeStringLine(content, stringIndex, palmMuteTrack))
+    .sort((a, b) => a.column - b.column || a.stringIndex - b.stringIndex);
+}
+
+/**
+ * Get the note events of one tab position
+ * @param {Array<Object>} events - Events from tokenizeTab
+ * @param {Object} position - Position from findUniqueCharacterPositions ({column, width})
+ * @returns {Array<Object>} - Events starting within the position's columns
+ */
+export function getEventsAtPosition(events, position) {
+  return events.filter(event => event.column >= position.column && event.column < position.column + position.width);
+}
+
+/**
+ * Get the notes played at a tab position, with their techniques
+ * Tab frets are relative to the capo, so they're shifted to absolute frets (keeping the written fret as tabFret)
+ * @param {string} tabText - Tab text with lines starting with E|, B|, etc.
+ * @param {Object} position - Position from findUniqueCharacterPositions ({column, width}), with any details
+ *   known about it (duration, chord, ...), which are passed on
+ * @param {Array<Object>} events - Events from tokenizeTab
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @param {number} capo - Capo fret (0 = no capo)
+ * @returns {Object|null} - {column, ...details, notes, deadNotes}, or null when nothing is played there
+ *   (a muted strum has deadNotes but no notes)
+ *   e.g. duration: beats until the next position (from inferDurations); chord: chord annotation it's under
+ *   notes: {stringIndex, fret, tabFret, note, techniques, legato}; deadNotes: {stringIndex, fret: null, techniques}
+ */
+export function getTabPositionNotes(tabText, position, events, tuning, capo = 0) {
+  const notes = parseNotesAtColumn(tabText, position.column).map(note => {
+    const event = events.find(candidate => candidate.stringIndex === note.stringIndex && candidate.column === position.column);
+    return {
+      ...note,
+      fret: note.fret + capo,
+      tabFret: note.fret,
+      note: getNoteAtFret(note.stringIndex, note.fret + capo, tuning),
+      techniques: event ? event.techniques : [],
+      legato: event ? event.legato : false,
+    };
+  });
+
+  // Dead notes (x) have no pitch, but playback mutes their strings
+  const deadNotes = getEventsAtPosition(events, position)
+    .filter(event => event.fret === null)
+    .map(event => ({ stringIndex: event.stringIndex, fret: null, techniques: event.techniques }));
+
+  const { width, ...details } = position;
+  return notes.length > 0 || deadNotes.length > 0 ? { ...details, notes, deadNotes } : null;
+}
+
+/**
+ * Describe a technique for display (e.g., 'Hammer-on from fret 3 to 4 on G')
+ * @param {Object} technique - Technique from a note event ({type, fromFret, toFret})
+ * @param {string} stringName - Name of the string (e.g., 'G')
+ * @returns {string} - Description
+ */
+export function describeTechnique(technique, stringName) {
+  const { name } = TECHNIQUES[technique.type];
+  const { fromFret, toFret } = technique;
+  let description = name;
+
+  if (fromFret !== null && toFret !== null) {
+    description = `${name} from fret ${fromFret} to ${toFret}`;
+  } else if (technique.type === 'bend' && fromFret !== null) {
+    description = `${name} at fret ${fromFret}`;
+  } else if (fromFret !== null) {
+    description = `${name} out of fret ${fromFret}`;
+  } else if (toFret !== null) {
+    description = `${name} into fret ${toFret}`;
+  }
+
+  return `${description} on ${stringName}`;
+}
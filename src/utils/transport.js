@@ -0,0 +1,151 @@
+/**
+ * Tab transport: steps through tab positions in time with a lookahead scheduler on the AudioContext clock
+ * A timer only wakes the scheduler; every note is scheduled at an exact audio time slightly ahead,
+ * and the display follows the audio clock, so timing doesn't drift with the browser's timers
+ */
+
+import { getAudioContext, playClick } from './audioPlayback.js';
+
+/**
+ * Seconds of audio scheduled ahead of the clock, and milliseconds between scheduler wake-ups
+ * (the lookahead must cover the longest gap between wake-ups, including busy frames)
+ */
+const LOOKAHEAD = 0.1;
+const SCHEDULER_INTERVAL = 25;
+
+/**
+ * Delay before the first scheduled sound, so it isn't late when playback starts
+ */
+const START_DELAY = 0.05;
+
+/**
+ * Beats each position lasts unless getStepBeats says otherwise (an eighth note)
+ */
+export const DEFAULT_STEP_BEATS = 0.5;
+
+/**
+ * Tempo limits in beats per minute
+ */
+export const MIN_BPM = 30;
+export const MAX_BPM = 300;
+
+/**
+ * Get the positions a loop covers in playing order
+ * @param {Object|null} loop - Loop region {start, end} (position indices, inclusive; either order)
+ * @returns {Object|null} - {start, end} with start <= end, or null without a loop
+ */
+export function normalizeLoop(loop) {
+  if (!loop) return null;
+  return { start: Math.min(loop.start, loop.end), end: Math.max(loop.start, loop.end) };
+}
+
+/**
+ * Create a transport
+ * Settings (set with update, and read again at every step so they can change while playing):
+ *   stepCount: number of positions; bpm: tempo; loop: {start, end} or null; countIn: beats clicked before playing;
+ *   getStepBeats(index): beats position index lasts (default: DEFAULT_STEP_BEATS);
+ *   onStep(index, time): schedule the sound of a position at an AudioContext time;
+ *   onPosition(index): show a position (called when its sound starts); onEnd(): playback reached the end
+ * @param {Object} settings - Initial settings
+ * @returns {Object} - {play(fromIndex), stop(), update(settings), isPlaying()}
+ */
+export function createTransport(settings = {}) {
+  let current = { stepCount: 0, bpm: 100, loop: null, countIn: 0, getStepBeats: null, onStep: null, onPosition: null, onEnd: null, ...settings };
+  let timer = null;
+  let frame = null;
+  let nextIndex = 0;
+  let nextTime = 0;
+  let countRemaining = 0;
+  let queue = []; // Scheduled display changes: {time, index} or {time, end: true}
+  let generation = 0; // Bumped by stop, so a play waiting on the AudioContext knows it was cancelled
+
+  const secondsPerBeat = () => 60 / Math.min(MAX_BPM, Math.max(MIN_BPM, current.bpm));
+  const stepBeats = (index) => (current.getStepBeats ? current.getStepBeats(index) : DEFAULT_STEP_BEATS);
+
+  // Schedule every step (and count-in click) that starts before the lookahead window ends
+  const schedule = () => {
+    const context = getAudioContext();
+    const loop = normalizeLoop(current.loop);
+
+    while (timer !== null && nextTime < context.currentTime + LOOKAHEAD) {
+      if (countRemaining > 0) {
+        playClick(nextTime, countRemaining === current.countIn);
+        countRemaining--;
+        nextTime += secondsPerBeat();
+        continue;
+      }
+
+      // Wrap around the loop, or finish after the last position
+      if (loop && (nextIndex > loop.end || nextIndex < loop.start)) {
+        nextIndex = loop.start;
+      }
+      if (nextIndex >= current.stepCount) {
+        queue.push({ time: nextTime, end: true });
+        clearInterval(timer);
+        timer = null;
+        break;
+      }
+
+      if (current.onStep) current.onStep(nextIndex, nextTime);
+      queue.push({ time: nextTime, index: nextIndex });
+      nextTime += stepBeats(nextIndex) * secondsPerBeat();
+      nextIndex++;
+    }
+  };
+
+  // Follow the audio clock: show each position when its sound starts
+  const draw = () => {
+    const now = getAudioContext().currentTime;
+    while (queue.length > 0 && queue[0].time <= now) {
+      const entry = queue.shift();
+      if (entry.end) {
+        frame = null;
+        queue = [];
+        if (current.onEnd) current.onEnd();
+        return;
+      }
+      if (current.onPosition) current.onPosition(entry.index);
+    }
+    frame = requestAnimationFrame(draw);
+  };
+
+  const stop = () => {
+    generation++;
+    if (timer !== null) clearInterval(timer);
+    if (frame !== null) cancelAnimationFrame(frame);
+    timer = null;
+    frame = null;
+    queue = [];
+  };
+
+  const play = async (fromIndex = 0) => {
+    stop();
+    const playGeneration = generation;
+    const context = getAudioContext();
+    if (context.state === 'suspended') {
+      await context.resume();
+      // Paused, stopped or restarted while the context resumed
+      if (generation !== playGeneration) return;
+    }
+
+    const loop = normalizeLoop(current.loop);
+    nextIndex = loop && (fromIndex < loop.start || fromIndex > loop.end) ? loop.start : fromIndex;
+    nextTime = context.currentTime + START_DELAY;
+    countRemaining = current.countIn;
+
+    timer = setInterval(schedule, SCHEDULER_INTERVAL);
+    schedule();
+    frame = requestAnimationFrame(draw);
+  };
+
+  return {
+    play,
+    stop,
+    update(settings) {
+      current = { ...current, ...settings };
+    },
+    isPlaying() {
+      return timer !== null || frame !== null;
+    },
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Tuning presets and helpers for building custom tunings
+ */
+
+import { STRING_TUNINGS } from './fretCalculator.js';
+import { noteToPitchClass, respellNote } from './spelling.js';
+
+/**
+ * Build a tuning (high to low) from note names with octaves
+ * @param {Array<string>} notes - Notes with octaves, high to low (e.g., ['E4', 'B3', ...])
+ * @returns {Array<Object>} - Array of {name, midi} objects
+ */
+export function tuningFromNotes(notes) {
+  return notes.map(noteWithOctave => {
+    const [, name, octave] = noteWithOctave.match(/^([A-G][#b]?)(-?\d)$/);
+    return { name, midi: (parseInt(octave, 10) + 1) * 12 + noteToPitchClass(name) };
+  });
+}
+
+/**
+ * Six-string guitar tuning presets (open string notes, high to low like STRING_TUNINGS)
+ * Other instruments define their own presets in instruments.js
+ */
+export const TUNING_PRESETS = [
+  { id: 'standard', label: 'Standard (E A D G B E)', strings: STRING_TUNINGS },
+  { id: 'drop-d', label: 'Drop D (D A D G B E)', strings: tuningFromNotes(['E4', 'B3', 'G3', 'D3', 'A2', 'D2']) },
+  { id: 'dadgad', label: 'DADGAD (D A D G A D)', strings: tuningFromNotes(['D4', 'A3', 'G3', 'D3', 'A2', 'D2']) },
+  { id: 'open-g', label: 'Open G (D G D G B D)', strings: tuningFromNotes(['D4', 'B3', 'G3', 'D3', 'G2', 'D2']) },
+  { id: 'eb-standard', label: 'Eb Standard (half step down)', strings: tuningFromNotes(['Eb4', 'Bb3', 'Gb3', 'Db3', 'Ab2', 'Eb2']) },
+];
+
+/**
+ * Get a tuning preset by id
+ * @param {string} id - Preset id (e.g., 'drop-d')
+ * @param {Array<Object>} presets - Presets to search (default: guitar presets)
+ * @returns {Object|null} - Preset object or null if not found
+ */
+export function getTuningPreset(id, presets = TUNING_PRESETS) {
+  return presets.find(preset => preset.id === id) || null;
+}
+
+/**
+ * Whether two tunings tune every string to the same pitch
+ * @param {Array<Object>} a - Open string tunings, high to low
+ * @param {Array<Object>} b - Open string tunings, high to low
+ * @returns {boolean} - True when they have the same strings at the same pitches
+ */
+export function isSameTuning(a, b) {
+  return a.length === b.length && a.every((string, index) => string.midi === b[index].midi);
+}
+
+/**
+ * Find the preset matching a tuning exactly
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @param {Array<Object>} presets - Presets to search (default: guitar presets)
+ * @returns {string|null} - Matching preset id, or null for a custom tuning
+ */
+export function findMatchingPreset(tuning, presets = TUNING_PRESETS) {
+  const match = presets.find(preset => isSameTuning(preset.strings, tuning));
+  return match ? match.id : null;
+}
+
+/**
+ * Retune a single string to a new note name
+ * The octave is chosen so the string moves at most a tritone from its reference pitch
+ * @param {string} noteName - New open string note (e.g., 'D', 'Eb')
+ * @param {number} referenceMidi - MIDI note the string is tuned relative to
+ * @returns {Object} - {name, midi} object
+ */
+export function retuneString(noteName, referenceMidi) {
+  const noteIndex = noteToPitchClass(noteName);
+  if (noteIndex === -1) {
+    throw new Error(`Invalid note name: ${noteName}`);
+  }
+
+  // Shift between -6 and +5 semitones from the reference pitch
+  const shift = ((noteIndex - referenceMidi) % 12 + 12 + 6) % 12 - 6;
+  return { name: noteName, midi: referenceMidi + shift };
+}
+
+/**
+ * Build a tuning from open string note names, relative to a reference tuning
+ * @param {Array<string>} noteNames - Open string notes, high to low (e.g., ['E', 'B', 'G', 'D', 'A', 'D'])
+ * @param {Array<Object>} reference - Reference tuning to pick octaves from (default: standard)
+ * @returns {Array<Object>} - Array of {name, midi} objects
+ */
+export function createTuning(noteNames, reference = STRING_TUNINGS) {
+  if (noteNames.length !== reference.length) {
+    throw new Error(`Expected ${reference.length} string notes, got ${noteNames.length}`);
+  }
+  return noteNames.map((noteName, index) => retuneString(noteName, reference[index].midi));
+}
+
+/**
+ * Parse a tuning written low to high (e.g., 'D A D G B E' or 'DADGAD')
+ * @param {string} text - Tuning text, lowest string first
+ * @param {Array<Object>} reference - Reference tuning to pick octaves from (default: standard)
+ * @returns {Array<Object>} - Array of {name, midi} objects, high to low
+ */
+export function parseTuningString(text, reference = STRING_TUNINGS) {
+  const noteNames = (text.match(/[A-Ga-g][#b]?/g) || []).map(token => token[0].toUpperCase() + token.slice(1));
+  return createTuning(noteNames.reverse(), reference);
+}
+
+/**
+ * Format a tuning low to high (e.g., 'D A D G B E')
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @returns {string} - Space separated open string notes, lowest string first
+ */
+export function formatTuning(tuning) {
+  return [...tuning].reverse().map(string => string.name).join(' ');
+}
+
+/**
+ * Get the label displayed next to a string on the fretboard
+ * Treble strings are shown in lowercase (e.g., 'e', 'b' on a guitar)
+ * @param {Array<Object>} tuning - Open string tunings, high to low
+ * @param {number} stringIndex - Index of the string
+ * @param {number} trebleStrings - Number of top strings shown in lowercase (default: 2)
+ * @param {string} preference - Accidental preference: 'auto' keeps the tuning's spelling (default: 'auto')
+ * @returns {string} - String label
+ */
+export function getStringLabel(tuning, stringIndex, trebleStrings = 2, preference = 'auto') {
+  const name = respellNote(tuning[stringIndex].name, preference);
+  return stringIndex < trebleStrings ? name[0].toLowerCase() + name.slice(1) : name;
+}
+
+/**
+ * Tunings written by name in tab headers (open strings low to high)
+ */
+const NAMED_TUNINGS = [
+  { pattern: /drop\s*c#/i, notes: 'C# G# C# F# A# D#' },
+  { pattern: /drop\s*db\b/i, notes: 'Db Ab Db Gb Bb Eb' },
+  { pattern: /drop\s*d\b(?!#)/i, notes: 'D A D G B E' },
+  { pattern: /drop\s*c\b(?!#)/i, notes: 'C G C F A D' },
+  { pattern: /dadgad/i, notes: 'D A D G A D' },
+  { pattern: /open\s*g\b(?!#)/i, notes: 'D G D G B D' },
+  { pattern: /open\s*d\b(?!#)/i, notes: 'D A D F# A D' },
+  { pattern: /open\s*e\b(?!#)/i, notes: 'E B E G# B E' },
+  { pattern: /(half|1\/2)\s*step\s*down|e\s*b\s*standard|eb\s*tuning/i, notes: 'Eb Ab Db Gb Bb Eb' },
+  { pattern: /(whole|full)\s*step\s*down|d\s*standard/i, notes: 'D G C F A D' },
+  { pattern: /standard|e\s*a\s*d\s*g\s*b\s*e/i, notes: 'E A D G B E' },
+];
+
+/**
+ * Matches a tuning declaration in a tab header (e.g., 'Tuning: D A D G B E', 'Tuning - Drop D')
+ */
+const TUNING_DECLARATION_PATTERN = /^\s*tuning\s*[:=-]?\s*(.+)$/i;
+
+/**
+ * Read a tuning declaration from tab text (e.g., 'Tuning: D A D G B E', 'Tuning: Drop D', 'Tuning: DADGAD')
+ * Named tunings are six-string guitar tunings; spelled-out tunings can have any number of strings
+ * @param {string} text - Pasted tab text
+ * @returns {Object|null} - {notes: open string names high to low, line: the declaration}, or null when there's none
+ */
+export function parseTuningDeclaration(text) {
+  for (const line of (text || '').split('\n')) {
+    const match = line.match(TUNING_DECLARATION_PATTERN);
+    if (!match) continue;
+
+    // Spelled-out notes (at least four) take precedence over names, so 'D A D G B E' isn't read as 'Drop D'
+    // A lowercase letter is a note of its own (the high e of 'E A D G B e'), never one flattened by a 'b'
+    const declaration = match[1].trim();
+    const spelled = declaration.replace(/\(.*?\)/g, '').match(/^(?:(?:[A-G][#b]?|[a-g]#?)\s*){4,}$/)
+      ? declaration.replace(/\(.*?\)/g, '').match(/[A-G][#b]?|[a-g]#?/g).map(note => note[0].toUpperCase() + note.slice(1))
+      : null;
+    const named = NAMED_TUNINGS.find(tuning => tuning.pattern.test(declaration));
+    const notes = spelled || (named ? named.notes.split(' ') : null);
+    if (notes) {
+      return { notes: [...notes].reverse(), line: line.trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the tuning of a tab from a tuning declaration or, failing that, its string identifiers (e.g., D|A|D|G|B|e)
+ * Octaves follow the reference tuning (each string within a tritone of it)
+ * @param {string} text - Pasted tab text
+ * @param {Array<string>} labels - String identifiers of the tab, high to low (from parseTabSystems)
+ * @param {Array<Object>} reference - Tuning of the instrument playing the tab, high to low
+ * @returns {Object|null} - {tuning, source: 'declaration' or 'labels', detail}, or null when the tab doesn't say
+ *   detail: the declaration line, or the identifiers low to high
+ */
+export function detectTabTuning(text, labels, reference) {
+  const declaration = parseTuningDeclaration(text);
+  if (declaration && declaration.notes.length === reference.length) {
+    return { tuning: createTuning(declaration.notes, reference), source: 'declaration', detail: declaration.line };
+  }
+
+  // Note name identifiers (without octave numbers), one per string
+  const names = labels.map(label => label.match(/^([A-Ga-g])([#b]?)\d?$/));
+  if (names.length === reference.length && names.every(Boolean)) {
+    const noteNames = names.map(([, letter, accidental]) => letter.toUpperCase() + accidental);
+    return { tuning: createTuning(noteNames, reference), source: 'labels', detail: [...noteNames].reverse().join(' ') };
+  }
+
+  return null;
+}
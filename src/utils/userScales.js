@@ -0,0 +1,154 @@
+/**
+ * User-defined scales: creation, local persistence and JSON import/export
+ */
+
+import { spellScale, getDegreeLabel } from './spelling.js';
+
+/**
+ * localStorage key for saved user scales
+ */
+export const USER_SCALES_STORAGE_KEY = 'fretfocus-user-scales';
+
+/**
+ * Version written to exported scale files
+ */
+export const USER_SCALES_FILE_VERSION = 1;
+
+/**
+ * Normalize a scale pattern: unique semitones 0-11, ascending, always including the root
+ * @param {Array<number>} pattern - Intervals in semitones from the root
+ * @returns {Array<number>} - Normalized pattern
+ */
+export function normalizePattern(pattern) {
+  return [...new Set([0, ...pattern.map(interval => ((interval % 12) + 12) % 12)])].sort((a, b) => a - b);
+}
+
+/**
+ * Create a user scale from a name and a pattern
+ * @param {string} name - Display name (e.g., 'My Dorian #4')
+ * @param {Array<number>} pattern - Intervals in semitones from the root
+ * @returns {Object} - {id, name, pattern} object (id is 'user:' plus a slug of the name)
+ */
+export function createUserScale(name, pattern) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) {
+    throw new Error('Scale name is required');
+  }
+  if (!Array.isArray(pattern) || pattern.some(interval => !Number.isInteger(interval))) {
+    throw new Error(`Scale "${trimmedName}" has an invalid pattern`);
+  }
+
+  const normalized = normalizePattern(pattern);
+  if (normalized.length < 2) {
+    throw new Error(`Scale "${trimmedName}" needs at least two notes`);
+  }
+
+  const slug = trimmedName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scale';
+  return { id: `user:${slug}`, name: trimmedName, pattern: normalized };
+}
+
+/**
+ * Add or replace scales (matched by id), keeping the existing order
+ * @param {Array<Object>} scales - Current user scales
+ * @param {Array<Object>} incoming - Scales to add or replace
+ * @returns {Array<Object>} - Merged user scales
+ */
+export function mergeUserScales(scales, incoming) {
+  const merged = [...scales];
+  incoming.forEach(scale => {
+    const index = merged.findIndex(existing => existing.id === scale.id);
+    if (index === -1) {
+      merged.push(scale);
+    } else {
+      merged[index] = scale;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Serialize user scales as a JSON file
+ * @param {Array<Object>} scales - User scales
+ * @returns {string} - JSON text ({version, scales: [{name, pattern}]})
+ */
+export function exportUserScales(scales) {
+  return JSON.stringify({
+    version: USER_SCALES_FILE_VERSION,
+    scales: scales.map(({ name, pattern }) => ({ name, pattern })),
+  }, null, 2);
+}
+
+/**
+ * Parse user scales from JSON text (an exported file or a bare array of scales)
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} - Array of {id, name, pattern} objects
+ */
+export function parseUserScales(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Scale file is not valid JSON');
+  }
+
+  const scales = Array.isArray(data) ? data : data && data.scales;
+  if (!Array.isArray(scales)) {
+    throw new Error('Scale file has no "scales" list');
+  }
+  if (!Array.isArray(data) && data.version > USER_SCALES_FILE_VERSION) {
+    throw new Error(`Scale file version ${data.version} is not supported`);
+  }
+
+  return scales.map(scale => createUserScale(scale && scale.name, scale && scale.pattern));
+}
+
+/**
+ * Load saved user scales from localStorage
+ * @returns {Array<Object>} - Saved scales, or an empty array if none (or storage is unavailable)
+ */
+export function loadUserScales() {
+  try {
+    const saved = window.localStorage.getItem(USER_SCALES_STORAGE_KEY);
+    return saved ? parseUserScales(saved) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Save user scales to localStorage
+ * @param {Array<Object>} scales - User scales
+ */
+export function saveUserScales(scales) {
+  try {
+    window.localStorage.setItem(USER_SCALES_STORAGE_KEY, exportUserScales(scales));
+  } catch (error) {
+    // Storage may be full or disabled; scales remain available for this session
+  }
+}
+
+/**
+ * Describe a pattern as scale degrees (e.g., '1 2 b3 #4 5 6 b7')
+ * @param {Array<number>} pattern - Intervals in semitones from the root
+ * @returns {string} - Space separated degree labels
+ */
+export function formatPattern(pattern) {
+  return spellScale('C', pattern).map(note => getDegreeLabel(note, 'C')).join(' ');
+}
+
+/**
+ * Build the Style selector group for user scales (same option shape as SCALE_GROUPS)
+ * @param {Array<Object>} scales - User scales
+ * @returns {Object} - {label, options} group
+ */
+export function getUserScaleGroup(scales) {
+  return {
+    label: 'My Scales',
+    options: scales.map(scale => ({
+      value: scale.id,
+      label: scale.name,
+      scale: scale.id,
+      description: `Custom scale: ${formatPattern(scale.pattern)}`,
+    })),
+  };
+}
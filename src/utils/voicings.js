@@ -0,0 +1,311 @@
+/**
+ * Chord voicing generator: playable shapes with one note per string, fingerings and rankings
+ */
+
+import { STRING_TUNINGS, getMidiAtFret } from './fretCalculator.js';
+import { noteToPitchClass } from './spelling.js';
+
+/**
+ * Drop voicing types (drop voicings need four-note chords)
+ */
+export const DROP_TYPES = [
+  { id: 'none', label: 'Any' },
+  { id: 'drop2', label: 'Drop 2' },
+  { id: 'drop3', label: 'Drop 3' },
+];
+
+/**
+ * Default voicing search options
+ * - inversion: index of the chord tone in the bass (0 = root, 1 = third, ...)
+ * - drop: 'none', 'drop2' or 'drop3'
+ * - maxSpan: largest fretted stretch in frets (4 = e.g. frets 5 to 8)
+ * - maxResults: number of voicings returned, best first
+ */
+export const DEFAULT_VOICING_OPTIONS = {
+  inversion: 0,
+  drop: 'none',
+  maxSpan: 4,
+  maxResults: 40,
+};
+
+/**
+ * Order of chord tones (as indexes into a four-note chord, bottom to top) in drop voicings,
+ * relative to the bass tone: drop 2 of close 1-3-5-7 is 5-1-3-7, drop 3 is 3-1-5-7
+ */
+const DROP_TONE_ORDERS = {
+  drop2: [0, 2, 3, 1],
+  drop3: [0, 3, 1, 2],
+};
+
+/**
+ * Assign fingers to a voicing (1 = index ... 4 = pinky); open strings and the capo need none
+ * Notes on the lowest fretted fret share a barre with the index finger when more than four
+ * fingers would otherwise be needed
+ * @param {Array<Object>} notes - Sounding notes, {stringIndex, fret} (high to low string order)
+ * @param {number} capo - Capo fret (acts as the nut)
+ * @returns {Object|null} - {fingers: Map of stringIndex → finger, barre}, or null if unplayable
+ */
+export function assignFingers(notes, capo = 0) {
+  // Bass side first, so fingers count up from the lowest string on each fret
+  const fretted = notes
+    .filter(note => note.fret > capo)
+    .sort((a, b) => a.fret - b.fret || b.stringIndex - a.stringIndex);
+
+  const fingers = new Map();
+  if (fretted.length === 0) {
+    return { fingers, barre: null };
+  }
+
+  const lowestFret = fretted[0].fret;
+
+  // Roughly one finger per fret, moving on to the next finger for each new note and
+  // squeezing fingers together when the notes left would otherwise run out of fingers
+  const assignSequential = (toAssign, firstFinger) => {
+    let previous = firstFinger - 1;
+    for (let index = 0; index < toAssign.length; index++) {
+      const note = toAssign[index];
+      const finger = Math.min(
+        Math.max(previous + 1, 1 + note.fret - lowestFret),
+        4 - (toAssign.length - 1 - index)
+      );
+      if (finger <= previous) return false;
+      fingers.set(note.stringIndex, finger);
+      previous = finger;
+    }
+    return true;
+  };
+
+  if (assignSequential(fretted, 1)) {
+    return { fingers, barre: null };
+  }
+
+  // Barre the lowest fret with the index finger; it can't cross an open string
+  fingers.clear();
+  const barreNotes = fretted.filter(note => note.fret === lowestFret);
+  const fromString = Math.max(...barreNotes.map(note => note.stringIndex));
+  const toString = Math.min(...notes.map(note => note.stringIndex));
+  const crossesOpenString = notes.some(note =>
+    note.fret <= capo && note.stringIndex < fromString && note.stringIndex >= toString
+  );
+  if (crossesOpenString) {
+    return null;
+  }
+
+  barreNotes.forEach(note => fingers.set(note.stringIndex, 1));
+  const remaining = fretted.filter(note => note.fret !== lowestFret);
+  if (!assignSequential(remaining, 2)) {
+    return null;
+  }
+  return { fingers, barre: { fret: lowestFret, fromString, toString } };
+}
+
+/**
+ * Check whether a voicing's tones (bottom to top) form a drop 2 or drop 3 voicing
+ * @param {Array<number>} toneIndexes - Chord tone index of each sounding note, lowest string first
+ * @param {Array<number>} midis - MIDI note of each sounding note, lowest string first
+ * @param {string} drop - 'drop2' or 'drop3'
+ * @returns {boolean} - True if the voicing matches the drop type
+ */
+function isDropVoicing(toneIndexes, midis, drop) {
+  if (toneIndexes.length !== 4 || new Set(toneIndexes).size !== 4) {
+    return false;
+  }
+  const order = DROP_TONE_ORDERS[drop];
+  const matchesOrder = toneIndexes.every((tone, index) => tone === (toneIndexes[0] + order[index]) % 4);
+  // Drop voicings span less than two octaves, with no gap of an octave or more
+  const compact = midis.every((midi, index) => index === 0 || midi - midis[index - 1] < 12) &&
+    midis[3] - midis[0] < 24;
+  return matchesOrder && compact;
+}
+
+/**
+ * Count the set bits of a number (e.g., chord tones in a bitmask of tone indexes)
+ * @param {number} mask - Bitmask
+ * @returns {number} - Number of set bits
+ */
+function countBits(mask) {
+  let count = 0;
+  for (let rest = mask; rest; rest &= rest - 1) count++;
+  return count;
+}
+
+/**
+ * Format a voicing the way chord charts do, lowest string first (e.g., 'x32010', 'x-10-12-12-11-x')
+ * Frets are written relative to the capo
+ * @param {Object} voicing - Voicing from generateVoicings
+ * @returns {string} - Fret per string ('x' for muted strings)
+ */
+export function formatVoicing(voicing) {
+  const frets = [...voicing.strings].reverse().map(string =>
+    (string.fret === null ? 'x' : String(string.fret - voicing.capo))
+  );
+  return frets.some(fret => fret.length > 1) ? frets.join('-') : frets.join('');
+}
+
+/**
+ * Generate playable voicings of a chord, ranked by playability (best first)
+ * @param {Array<string>} chordNotes - Chord tones, root first (from getChordNotes)
+ * @param {Array<Object>} tuning - Open string tunings, high to low (default: standard)
+ * @param {number} capo - Capo fret (default: 0)
+ * @param {number} maxFrets - Highest fret to use (default: 16)
+ * @param {Object} options - See DEFAULT_VOICING_OPTIONS
+ * @returns {Array<Object>} - Voicings: {strings, notes, bass, minFret, maxFret, barre, capo, score}
+ *   strings has one entry per string ({stringIndex, fret, note, finger}, fret null when muted)
+ */
+export function generateVoicings(chordNotes, tuning = STRING_TUNINGS, capo = 0, maxFrets = 16, options = {}) {
+  const { inversion, drop, maxSpan, maxResults } = { ...DEFAULT_VOICING_OPTIONS, ...options };
+  const chordPitchClasses = chordNotes.map(noteToPitchClass);
+  if (chordPitchClasses.length === 0 || inversion >= chordPitchClasses.length) {
+    return [];
+  }
+  if (drop !== 'none' && chordPitchClasses.length !== 4) {
+    return [];
+  }
+
+  // Every tone is required, except the fifth of a four-note chord (commonly left out);
+  // larger chords need the root, third, seventh and top extension
+  const toneIndexes = chordPitchClasses.map((_, index) => index);
+  const semitonesAboveRoot = chordPitchClasses.map(pitchClass => (pitchClass - chordPitchClasses[0] + 12) % 12);
+  const requiredTones = chordPitchClasses.length <= 4
+    ? toneIndexes.filter(index => !(chordPitchClasses.length === 4 && index === 2))
+    : toneIndexes.filter(index =>
+      index <= 1 || index === chordPitchClasses.length - 1 || semitonesAboveRoot[index] === 10 || semitonesAboveRoot[index] === 11
+    );
+  const requiredMask = requiredTones.reduce((mask, tone) => mask | (1 << tone), 0);
+  const minSounding = drop !== 'none' ? 4 : Math.min(tuning.length, Math.max(3, requiredTones.length));
+  const lowestString = tuning.length - 1;
+
+  const results = new Map();
+
+  // Search one window of frets at a time (open strings are always available)
+  for (let windowStart = capo; windowStart <= maxFrets; windowStart++) {
+    const windowEnd = Math.min(maxFrets, windowStart + maxSpan - 1);
+
+    // Candidate frets per string: muted, open, or a chord tone inside the window (the first window is
+    // for shapes without fretted notes), with the bit of the chord tone each sounds
+    const candidates = tuning.map((_, stringIndex) => {
+      const frets = [{ fret: null, toneBit: 0 }];
+      for (let fret = capo; fret <= (windowStart === capo ? capo : windowEnd); fret++) {
+        const tone = chordPitchClasses.indexOf(getMidiAtFret(stringIndex, fret, tuning) % 12);
+        if ((fret === capo || fret >= windowStart) && tone !== -1) {
+          frets.push({ fret, toneBit: 1 << tone });
+        }
+      }
+      return frets;
+    });
+    // Whether a string at or above each one can be fretted at the window's first fret
+    const reachesStart = candidates.map((_, stringIndex) =>
+      windowStart > capo && candidates.slice(0, stringIndex + 1).some(frets => frets.some(({ fret }) => fret === windowStart))
+    );
+
+    // Strings are chosen from the lowest up, dropping shapes that can no longer sound enough strings, hold
+    // every required tone, avoid a second muted string inside the chord or be fingered (four fingers, or a
+    // barre and three). Each shape is only kept in the window starting at its lowest fretted fret, so it's
+    // evaluated once
+    const chosen = new Array(tuning.length).fill(null);
+    const search = (stringIndex, sounding, tones, pendingMutes, interiorMutes, atStart, aboveStart) => {
+      const stringsLeft = stringIndex + 1;
+      if (sounding + stringsLeft < minSounding || countBits(requiredMask & ~tones) > stringsLeft ||
+        interiorMutes > 1 || aboveStart > 3 || (windowStart > capo && !atStart && !reachesStart[stringIndex])) {
+        return;
+      }
+      if (stringIndex < 0) {
+        evaluate(chosen);
+        return;
+      }
+
+      for (const { fret, toneBit } of candidates[stringIndex]) {
+        chosen[stringIndex] = fret;
+        if (fret === null) {
+          search(stringIndex - 1, sounding, tones, sounding > 0 ? pendingMutes + 1 : 0, interiorMutes, atStart, aboveStart);
+        } else {
+          search(stringIndex - 1, sounding + 1, tones | toneBit, 0, interiorMutes + pendingMutes,
+            atStart || (fret === windowStart && fret > capo), aboveStart + (fret > windowStart ? 1 : 0));
+        }
+      }
+      chosen[stringIndex] = null;
+    };
+
+    const evaluate = (frets) => {
+      const key = frets.map(fret => (fret === null ? 'x' : fret)).join(',');
+      if (results.has(key)) return;
+
+      // Sounding notes, lowest string first
+      const sounding = [];
+      for (let stringIndex = lowestString; stringIndex >= 0; stringIndex--) {
+        if (frets[stringIndex] !== null) {
+          const midi = getMidiAtFret(stringIndex, frets[stringIndex], tuning);
+          sounding.push({ stringIndex, fret: frets[stringIndex], midi, tone: chordPitchClasses.indexOf(midi % 12) });
+        }
+      }
+      if (sounding.length < minSounding) return;
+
+      // The lowest-pitched note must be the chosen bass tone
+      const bass = sounding.reduce((lowest, note) => (note.midi < lowest.midi ? note : lowest));
+      if (bass.tone !== inversion) return;
+
+      const tones = new Set(sounding.map(note => note.tone));
+      if (!requiredTones.every(tone => tones.has(tone))) return;
+
+      // Muted strings between sounding strings are hard to play cleanly
+      const soundingStrings = sounding.map(note => note.stringIndex);
+      const interiorMutes = Math.max(...soundingStrings) - Math.min(...soundingStrings) + 1 - sounding.length;
+      if (interiorMutes > 1) return;
+
+      if (drop !== 'none') {
+        // Drop 3 voicings skip the string above the bass; drop 2 voicings use adjacent strings
+        const skipsString = interiorMutes === 1 && frets[soundingStrings[0] - 1] === null;
+        if (drop === 'drop2' ? interiorMutes > 0 : !skipsString) return;
+        const byPitch = [...sounding].sort((a, b) => a.midi - b.midi);
+        if (!isDropVoicing(byPitch.map(note => note.tone), byPitch.map(note => note.midi), drop)) return;
+      }
+
+      const fingering = assignFingers(sounding, capo);
+      if (!fingering) return;
+
+      const fretted = sounding.filter(note => note.fret > capo).map(note => note.fret);
+      const minFret = fretted.length > 0 ? Math.min(...fretted) : capo;
+      const maxFret = fretted.length > 0 ? Math.max(...fretted) : capo;
+      const openStrings = sounding.length - fretted.length;
+
+      // Open strings only combine with fretted notes near the nut
+      if (openStrings > 0 && maxFret > capo + maxSpan) return;
+
+      // Lower is better: small stretches, few fingers, low on the neck, full-sounding chords
+      const score = (maxFret - minFret) * 2 +
+        fingering.fingers.size * 0.5 +
+        (fingering.barre ? 1.5 : 0) +
+        interiorMutes * 6 +
+        (minFret - capo) * 0.15 -
+        openStrings * 0.5 -
+        sounding.length;
+
+      results.set(key, {
+        strings: frets.map((fret, stringIndex) => ({
+          stringIndex,
+          fret,
+          note: fret === null ? null : chordNotes[chordPitchClasses.indexOf(getMidiAtFret(stringIndex, fret, tuning) % 12)],
+          finger: fret === null ? null : fingering.fingers.get(stringIndex) || 0,
+        })),
+        notes: sounding.map(note => ({
+          stringIndex: note.stringIndex,
+          fret: note.fret,
+          note: chordNotes[note.tone],
+          finger: fingering.fingers.get(note.stringIndex) || 0,
+        })),
+        bass: chordNotes[bass.tone],
+        minFret,
+        maxFret,
+        barre: fingering.barre,
+        capo,
+        score,
+      });
+    };
+
+    search(lowestString, 0, 0, 0, 0, false, 0);
+  }
+
+  return [...results.values()]
+    .sort((a, b) => a.score - b.score || a.minFret - b.minFret)
+    .slice(0, maxResults);
+}
@@ -0,0 +1,233 @@
+/**
+ * Minimal XML reader and writer (elements, attributes, text and CDATA), so documents like Guitar Pro's score.gpif
+ * and MusicXML are read and written the same way in the browser and in Node
+ */
+
+/**
+ * Named character entities of XML
+ */
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Matches an attribute of a start tag (name="value" or name='value')
+ */
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Replace character references and entities with the characters they stand for
+ * @param {string} text - Raw text (e.g., 'Rock &amp; Roll')
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (reference, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return ENTITIES[entity] ?? reference;
+  });
+}
+
+/**
+ * Find the '>' that ends a tag, passing over quoted attribute values (which may hold a '>')
+ * @param {string} text - XML text
+ * @param {number} start - Index of the tag's '<'
+ * @returns {number} - Index of the closing '>', or -1 when the tag isn't closed
+ */
+function findTagEnd(text, start) {
+  let quote = null;
+  for (let index = start + 1; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse an XML document
+ * Comments, processing instructions and the doctype are skipped; text is kept per element (not per text node)
+ * @param {string} text - XML text
+ * @returns {Object} - Root element: {name, attributes, children, text}, children being elements and
+ *   text the element's own text (CDATA included, entities decoded)
+ */
+export function parseXml(text) {
+  const document = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [document];
+  let index = 0;
+
+  const skipPast = (terminator) => {
+    const end = text.indexOf(terminator, index);
+    if (end === -1) {
+      throw new Error(`Unterminated markup in XML (expected "${terminator}")`);
+    }
+    index = end + terminator.length;
+  };
+
+  while (index < text.length) {
+    const current = stack[stack.length - 1];
+    const tagStart = text.indexOf('<', index);
+    if (tagStart === -1) {
+      current.text += decodeEntities(text.slice(index));
+      break;
+    }
+    current.text += decodeEntities(text.slice(index, tagStart));
+    index = tagStart;
+
+    if (text.startsWith('<!--', index)) {
+      skipPast('-->');
+    } else if (text.startsWith('<![CDATA[', index)) {
+      const end = text.indexOf(']]>', index);
+      if (end === -1) {
+        throw new Error('Unterminated CDATA section in XML');
+      }
+      current.text += text.slice(index + 9, end);
+      index = end + 3;
+    } else if (text.startsWith('<?', index)) {
+      skipPast('?>');
+    } else if (text.startsWith('<!', index)) {
+      // Doctype, possibly with an internal subset in brackets
+      const bracket = text.indexOf('[', index);
+      const close = text.indexOf('>', index);
+      if (bracket !== -1 && bracket < close) {
+        index = bracket;
+        skipPast(']');
+      }
+      skipPast('>');
+    } else if (text.startsWith('</', index)) {
+      const end = text.indexOf('>', index);
+      if (end === -1) {
+        throw new Error('Unterminated tag in XML');
+      }
+      const name = text.slice(index + 2, end).trim();
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}> in XML`);
+      }
+      stack.pop();
+      index = end + 1;
+    } else {
+      const end = findTagEnd(text, index);
+      if (end === -1) {
+        throw new Error('Unterminated tag in XML');
+      }
+      const selfClosing = text[end - 1] === '/';
+      const tag = text.slice(index + 1, selfClosing ? end - 1 : end);
+      const name = tag.match(/^[^\s/>]+/)[0];
+      const attributes = {};
+      for (const [, attribute, doubleQuoted, singleQuoted] of tag.slice(name.length).matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[attribute] = decodeEntities(doubleQuoted ?? singleQuoted);
+      }
+
+      const element = { name, attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      index = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing closing tag </${stack[stack.length - 1].name}> in XML`);
+  }
+  const root = document.children[0];
+  if (!root) {
+    throw new Error('The XML has no root element');
+  }
+  return root;
+}
+
+/**
+ * Get the first child element with a name
+ * @param {Object|null} element - Element from parseXml
+ * @param {string} name - Element name
+ * @returns {Object|null} - Child element, or null
+ */
+export function getChild(element, name) {
+  return (element && element.children.find(child => child.name === name)) || null;
+}
+
+/**
+ * Get every child element with a name
+ * @param {Object|null} element - Element from parseXml
+ * @param {string} name - Element name
+ * @returns {Array<Object>} - Child elements in document order
+ */
+export function getChildren(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Get the trimmed text of the first child element with a name
+ * @param {Object|null} element - Element from parseXml
+ * @param {string} name - Element name
+ * @returns {string|null} - Text, or null when there's no such child
+ */
+export function getChildText(element, name) {
+  const child = getChild(element, name);
+  return child ? child.text.trim() : null;
+}
+
+/**
+ * Find every descendant element with a name (depth first, in document order)
+ * @param {Object|null} element - Element from parseXml
+ * @param {string} name - Element name
+ * @returns {Array<Object>} - Matching elements
+ */
+export function findElements(element, name) {
+  if (!element) return [];
+  return element.children.flatMap(child => [...(child.name === name ? [child] : []), ...findElements(child, name)]);
+}
+
+/**
+ * Escape text for an XML attribute value or text content
+ * @param {string} text - Raw text (e.g., 'Rock & Roll')
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&${Object.keys(ENTITIES).find(name => ENTITIES[name] === char)};`);
+}
+
+/**
+ * Create an element to serialize
+ * @param {string} name - Element name
+ * @param {Object} attributes - Attribute values by name (null and undefined values are left out)
+ * @param {Array<Object>|string|number} content - Child elements (falsy entries are left out), or text
+ * @returns {Object} - Element: {name, attributes, children, text}, as from parseXml
+ */
+export function createElement(name, attributes = {}, content = []) {
+  const isText = typeof content === 'string' || typeof content === 'number';
+  return {
+    name,
+    attributes,
+    children: isText ? [] : content.filter(Boolean),
+    text: isText ? String(content) : '',
+  };
+}
+
+/**
+ * Serialize an element as indented XML (an element has either children or text)
+ * @param {Object} element - Element from createElement or parseXml
+ * @param {number} depth - Indentation level
+ * @returns {string} - XML text
+ */
+export function serializeXml(element, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(element.attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+  if (element.children.length > 0) {
+    const children = element.children.map(child => serializeXml(child, depth + 1)).join('\n');
+    return `${indent}<${element.name}${attributes}>\n${children}\n${indent}</${element.name}>`;
+  }
+  if (element.text) {
+    return `${indent}<${element.name}${attributes}>${escapeXml(element.text)}</${element.name}>`;
+  }
+  return `${indent}<${element.name}${attributes}/>`;
+}